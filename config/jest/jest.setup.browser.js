@@ -73,3 +73,5 @@ mockObjProperty(window, 'matchMedia', jest.fn(query => ({
     removeEventListener: jest.fn(),
     dispatchEvent: jest.fn(),
 })));
+
+mockObjProperty(window, 'scrollTo', jest.fn());
@@ -22,9 +22,6 @@ import React, {
     type EffectCallback,
     type DependencyList,
 } from 'react';
-import {
-    type RouteProps,
-} from 'react-router';
 import {
     render,
     act,
@@ -34,8 +31,10 @@ import {
     type RenderOptions,
 } from '@testing-library/react';
 
-import Router, { appRoutes } from '@/components/Router';
+import Router, { appRoutes, type AppRoute } from '@/components/Router';
 import AppContext from '@/utils/AppContext';
+import AuthContext from '@/utils/AuthContext';
+import { ThemeProvider } from '@/utils/ThemeContext';
 
 import type {
     Fiber,
@@ -50,26 +49,34 @@ import type {
 // Prevent automatic redirection since tests will want to render their individual components without
 // also rendering components from redirects.
 // e.g. Prevent `/` from redirecting to `/home` so testing `<Home/>` doesn't render two Home components.
-export const appRoutesWithoutRedirect: RouteProps[] = appRoutes.map(routeProps => {
-    const routeElementName = ((routeProps.element as ReactElement)?.type as ComponentDeclaration)?.name || '';
-
-    if (routeElementName.match(/Navigate/)) {
-        routeProps.element = <div />;
-    }
+function removeRedirects(routes: AppRoute[]): AppRoute[] {
+    return routes.map(routeProps => {
+        const routeElementName = ((routeProps.element as ReactElement)?.type as ComponentDeclaration)?.name || '';
+
+        return {
+            ...routeProps,
+            element: routeElementName.match(/Navigate/) ? <div /> : routeProps.element,
+            children: routeProps.children && removeRedirects(routeProps.children),
+        };
+    });
+}
 
-    return routeProps;
-});
+export const appRoutesWithoutRedirect: AppRoute[] = removeRedirects(appRoutes);
 
 export function AppProviderWithRouter({ children }: PropsWithChildren<unknown>) {
     return (
         <>
             <AppContext.Provider>
-                <Router
-                    routes={appRoutesWithoutRedirect}
-                    wrapperProps={{ className: 'app text-center' }}
-                >
-                    {children}
-                </Router>
+                <AuthContext.Provider>
+                    <ThemeProvider>
+                        <Router
+                            routes={appRoutesWithoutRedirect}
+                            wrapperProps={{ className: 'app text-center' }}
+                        >
+                            {children}
+                        </Router>
+                    </ThemeProvider>
+                </AuthContext.Provider>
             </AppContext.Provider>
         </>
     );
@@ -0,0 +1,371 @@
+const zlib = require('node:zlib');
+
+
+/**
+ * Raw image data in RGBA format, i.e. 4 bytes per pixel, row by row.
+ *
+ * @typedef {Object} RgbaImage
+ * @property {number} width
+ * @property {number} height
+ * @property {Buffer} data
+ */
+
+
+const PNG_SIGNATURE = Buffer.from([ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ]);
+const PngColorTypes = {
+    GRAYSCALE: 0,
+    RGB: 2,
+    PALETTE: 3,
+    GRAYSCALE_ALPHA: 4,
+    RGBA: 6,
+};
+const pngColorTypeChannels = {
+    [PngColorTypes.GRAYSCALE]: 1,
+    [PngColorTypes.RGB]: 3,
+    [PngColorTypes.GRAYSCALE_ALPHA]: 2,
+    [PngColorTypes.RGBA]: 4,
+};
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let crc = n;
+
+    for (let k = 0; k < 8; k++) {
+        crc = (crc & 1) ? (0xEDB88320 ^ (crc >>> 1)) : (crc >>> 1);
+    }
+
+    return crc >>> 0;
+});
+
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+
+    for (const byte of buffer) {
+        crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+
+/**
+ * Predicts a byte's value from its left, upper, and upper-left neighbors.
+ *
+ * @see [PNG spec]{@link https://www.w3.org/TR/png/#9Filter-type-4-Paeth}
+ */
+function paethPredictor(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const leftDistance = Math.abs(estimate - left);
+    const upDistance = Math.abs(estimate - up);
+    const upLeftDistance = Math.abs(estimate - upLeft);
+
+    if (leftDistance <= upDistance && leftDistance <= upLeftDistance) {
+        return left;
+    }
+
+    if (upDistance <= upLeftDistance) {
+        return up;
+    }
+
+    return upLeft;
+}
+
+
+/**
+ * Throws if the PNG uses a format {@link readPng} can't decode, naming the unsupported feature
+ * and how to convert the image.
+ *
+ * @param {{ bitDepth: number, colorType: number, interlaceMethod: number }} header - PNG's IHDR fields.
+ */
+function validatePngHeader({ bitDepth, colorType, interlaceMethod }) {
+    const howToFix = 'Re-export it as an 8-bit, non-interlaced RGB(A) or grayscale PNG.';
+
+    if (colorType === PngColorTypes.PALETTE) {
+        throw new TypeError(`Palette (indexed-color) PNGs are not supported. ${howToFix}`);
+    }
+
+    if (!pngColorTypeChannels[colorType]) {
+        throw new TypeError(`Invalid PNG color type: ${colorType}`);
+    }
+
+    if (bitDepth !== 8) {
+        throw new TypeError(`${bitDepth}-bit PNGs are not supported. ${howToFix}`);
+    }
+
+    if (interlaceMethod !== 0) {
+        throw new TypeError(`Interlaced PNGs are not supported. ${howToFix}`);
+    }
+}
+
+
+/**
+ * Decodes a PNG file into raw RGBA pixels.
+ *
+ * Only supports 8-bit, non-interlaced, non-palette PNGs, which is what most
+ * image editors export for icons and screenshots; Other PNGs throw an error explaining
+ * how to convert them.
+ *
+ * @param {Buffer} pngBuffer - Contents of the PNG file.
+ * @returns {RgbaImage}
+ */
+function readPng(pngBuffer) {
+    if (!pngBuffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+        throw new TypeError('File is not a PNG');
+    }
+
+    let header;
+    const compressedDataChunks = [];
+
+    for (let offset = PNG_SIGNATURE.length; offset < pngBuffer.length;) {
+        if (offset + 12 > pngBuffer.length) {
+            throw new TypeError('PNG is truncated');
+        }
+
+        const chunkLength = pngBuffer.readUInt32BE(offset);
+        const chunkType = pngBuffer.toString('ascii', offset + 4, offset + 8);
+        const chunkData = pngBuffer.subarray(offset + 8, offset + 8 + chunkLength);
+
+        if (chunkData.length !== chunkLength) {
+            throw new TypeError(`PNG is truncated in its ${chunkType} chunk`);
+        }
+
+        if (chunkType === 'IHDR') {
+            header = {
+                width: chunkData.readUInt32BE(0),
+                height: chunkData.readUInt32BE(4),
+                bitDepth: chunkData[8],
+                colorType: chunkData[9],
+                interlaceMethod: chunkData[12],
+            };
+        } else if (chunkType === 'IDAT') {
+            compressedDataChunks.push(chunkData);
+        } else if (chunkType === 'IEND') {
+            break;
+        }
+
+        offset += chunkLength + 12; // length + type + data + CRC
+    }
+
+    if (!header) {
+        throw new TypeError('PNG is missing its IHDR header chunk');
+    }
+
+    validatePngHeader(header);
+
+    if (!compressedDataChunks.length) {
+        throw new TypeError('PNG is missing its IDAT image data chunks');
+    }
+
+    const { width, height } = header;
+    const channels = pngColorTypeChannels[header.colorType];
+    const filteredData = zlib.inflateSync(Buffer.concat(compressedDataChunks));
+    const rowLength = width * channels;
+    const pixels = Buffer.alloc(rowLength * height);
+
+    if (filteredData.length < (rowLength + 1) * height) {
+        throw new TypeError(`PNG image data is too short for ${width}x${height} pixels`);
+    }
+
+    for (let y = 0; y < height; y++) {
+        const filterType = filteredData[y * (rowLength + 1)];
+        const rowStart = y * rowLength;
+
+        if (filterType > 4) {
+            throw new TypeError(`Invalid PNG filter type ${filterType} in row ${y}`);
+        }
+
+        for (let x = 0; x < rowLength; x++) {
+            const filteredByte = filteredData[y * (rowLength + 1) + 1 + x];
+            const left = x >= channels ? pixels[rowStart + x - channels] : 0;
+            const up = y > 0 ? pixels[rowStart - rowLength + x] : 0;
+            const upLeft = (x >= channels && y > 0) ? pixels[rowStart - rowLength + x - channels] : 0;
+            const predictions = [ 0, left, up, (left + up) >> 1, paethPredictor(left, up, upLeft) ];
+
+            pixels[rowStart + x] = (filteredByte + predictions[filterType]) & 0xFF;
+        }
+    }
+
+    const data = Buffer.alloc(width * height * 4);
+
+    for (let i = 0; i < width * height; i++) {
+        const pixel = pixels.subarray(i * channels, (i + 1) * channels);
+        const isGrayscale = channels < 3;
+        const hasAlpha = channels % 2 === 0;
+
+        data[i * 4] = pixel[0];
+        data[i * 4 + 1] = isGrayscale ? pixel[0] : pixel[1];
+        data[i * 4 + 2] = isGrayscale ? pixel[0] : pixel[2];
+        data[i * 4 + 3] = hasAlpha ? pixel[channels - 1] : 0xFF;
+    }
+
+    return { width, height, data };
+}
+
+
+/**
+ * Encodes raw RGBA pixels into a PNG file.
+ *
+ * @param {RgbaImage} image
+ * @returns {Buffer} - Contents of the PNG file.
+ */
+function writePng({ width, height, data }) {
+    const rowLength = width * 4;
+    const filteredData = Buffer.alloc((rowLength + 1) * height);
+
+    for (let y = 0; y < height; y++) {
+        // Filter type 0 (none) is prefixed to each row; zlib handles the compression
+        data.copy(filteredData, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+
+    const header = Buffer.alloc(13);
+
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = PngColorTypes.RGBA;
+
+    const chunks = [
+        [ 'IHDR', header ],
+        [ 'IDAT', zlib.deflateSync(filteredData, { level: 9 }) ],
+        [ 'IEND', Buffer.alloc(0) ],
+    ].map(([ chunkType, chunkData ]) => {
+        const typeAndData = Buffer.concat([ Buffer.from(chunkType, 'ascii'), chunkData ]);
+        const chunkLength = Buffer.alloc(4);
+        const chunkCrc = Buffer.alloc(4);
+
+        chunkLength.writeUInt32BE(chunkData.length);
+        chunkCrc.writeUInt32BE(crc32(typeAndData));
+
+        return Buffer.concat([ chunkLength, typeAndData, chunkCrc ]);
+    });
+
+    return Buffer.concat([ PNG_SIGNATURE, ...chunks ]);
+}
+
+
+/**
+ * Resizes an image by averaging the source pixels covered by each output pixel.
+ *
+ * Meant for downscaling (e.g. icons generated from a large source image); upscaling
+ * results in nearest-neighbor pixelation.
+ *
+ * @param {RgbaImage} image
+ * @param {number} width - Output width.
+ * @param {number} height - Output height.
+ * @returns {RgbaImage}
+ */
+function resizeImage(image, width, height) {
+    const data = Buffer.alloc(width * height * 4);
+    const scaleX = image.width / width;
+    const scaleY = image.height / height;
+
+    for (let y = 0; y < height; y++) {
+        const srcYStart = Math.floor(y * scaleY);
+        const srcYEnd = Math.max(srcYStart + 1, Math.floor((y + 1) * scaleY));
+
+        for (let x = 0; x < width; x++) {
+            const srcXStart = Math.floor(x * scaleX);
+            const srcXEnd = Math.max(srcXStart + 1, Math.floor((x + 1) * scaleX));
+            const sums = [ 0, 0, 0, 0 ];
+            let pixelCount = 0;
+
+            for (let srcY = srcYStart; srcY < srcYEnd; srcY++) {
+                for (let srcX = srcXStart; srcX < srcXEnd; srcX++) {
+                    const srcIndex = (srcY * image.width + srcX) * 4;
+                    const alpha = image.data[srcIndex + 3];
+
+                    // Weight colors by alpha so transparent pixels don't darken the edges
+                    sums[0] += image.data[srcIndex] * alpha;
+                    sums[1] += image.data[srcIndex + 1] * alpha;
+                    sums[2] += image.data[srcIndex + 2] * alpha;
+                    sums[3] += alpha;
+                    pixelCount++;
+                }
+            }
+
+            const index = (y * width + x) * 4;
+
+            data[index] = sums[3] ? Math.round(sums[0] / sums[3]) : 0;
+            data[index + 1] = sums[3] ? Math.round(sums[1] / sums[3]) : 0;
+            data[index + 2] = sums[3] ? Math.round(sums[2] / sums[3]) : 0;
+            data[index + 3] = Math.round(sums[3] / pixelCount);
+        }
+    }
+
+    return { width, height, data };
+}
+
+
+/**
+ * Converts a hex color string to its RGBA values.
+ *
+ * @param {string} hexColor - Color in the form `#RGB`, `#RGBA`, `#RRGGBB`, or `#RRGGBBAA`.
+ * @returns {number[]} - `[ red, green, blue, alpha ]`.
+ */
+function hexToRgba(hexColor) {
+    let hex = hexColor.replace(/^#/, '');
+
+    if (hex.length <= 4) {
+        hex = hex.replace(/./g, '$&$&');
+    }
+
+    if (!/^([\da-f]{6}|[\da-f]{8})$/i.test(hex)) {
+        throw new TypeError(`Invalid hex color: ${hexColor}`);
+    }
+
+    const [ red, green, blue, alpha = 0xFF ] = hex.match(/../g).map(byte => parseInt(byte, 16));
+
+    return [ red, green, blue, alpha ];
+}
+
+
+/**
+ * Creates an image filled with `backgroundColor` with `image` centered on top of it,
+ * e.g. for splash screens.
+ *
+ * @param {RgbaImage} image - Image to center.
+ * @param {Object} options
+ * @param {number} options.width - Output width.
+ * @param {number} options.height - Output height.
+ * @param {string} options.backgroundColor - Hex color.
+ * @returns {RgbaImage}
+ */
+function centerImageOnBackground(image, {
+    width,
+    height,
+    backgroundColor,
+}) {
+    const [ bgRed, bgGreen, bgBlue, bgAlpha ] = hexToRgba(backgroundColor);
+    const data = Buffer.alloc(width * height * 4);
+    const offsetX = Math.floor((width - image.width) / 2);
+    const offsetY = Math.floor((height - image.height) / 2);
+
+    for (let i = 0; i < width * height; i++) {
+        data.set([ bgRed, bgGreen, bgBlue, bgAlpha ], i * 4);
+    }
+
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < image.width; x++) {
+            const srcIndex = (y * image.width + x) * 4;
+            const index = ((y + offsetY) * width + x + offsetX) * 4;
+            const alpha = image.data[srcIndex + 3] / 0xFF;
+
+            for (let channel = 0; channel < 3; channel++) {
+                data[index + channel] = Math.round(image.data[srcIndex + channel] * alpha + data[index + channel] * (1 - alpha));
+            }
+
+            data[index + 3] = Math.max(data[index + 3], image.data[srcIndex + 3]);
+        }
+    }
+
+    return { width, height, data };
+}
+
+
+module.exports = {
+    readPng,
+    writePng,
+    resizeImage,
+    hexToRgba,
+    centerImageOnBackground,
+};
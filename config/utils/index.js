@@ -30,6 +30,14 @@ const {
     downloadFile,
 } = require('./Network');
 
+const {
+    readPng,
+    writePng,
+    resizeImage,
+    hexToRgba,
+    centerImageOnBackground,
+} = require('./Images');
+
 
 /*
  * Because this file is also imported by MJS files, if we want our MJS files to
@@ -64,4 +72,9 @@ module.exports = {
     getOsHostnameAndLanIP,
     LocalLanHostIpAddresses,
     downloadFile,
+    readPng,
+    writePng,
+    resizeImage,
+    hexToRgba,
+    centerImageOnBackground,
 };
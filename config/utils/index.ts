@@ -5,6 +5,7 @@
 export * from './parseCliArgs';
 export * from './Files';
 export * from './Network';
+export * from './Images';
 
 // TS
 export * from './Certs';
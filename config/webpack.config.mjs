@@ -1,3 +1,6 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+
 import webpack from 'webpack';
 import HtmlWebpackPlugin from 'html-webpack-plugin';
 import CopyWebpackPlugin from 'copy-webpack-plugin';
@@ -11,6 +14,8 @@ import {
     broadcastChannel,
 } from './env.js';
 import AlterFilePostBuildPlugin from './webpack/AlterFilePostBuildPlugin.mjs';
+import DesignTokensPlugin from './webpack/DesignTokensPlugin.mjs';
+import WebAppManifestPlugin from './webpack/WebAppManifestPlugin.mjs';
 import {
     Paths,
     tsconfigPath,
@@ -22,7 +27,7 @@ import {
 import babelConfig from './babel.config.js';
 
 import packageJson from '../package.json' assert { type: 'json' };
-import manifestJson from '../src/manifest.json' assert { type: 'json' };
+import appConfig from '../src/appConfig.json' assert { type: 'json' };
 
 // TODO Make import aliases available to npm scripts
 //  Best option is likely through ts-node: https://www.npmjs.com/package/ts-node
@@ -42,16 +47,56 @@ const useHttps = false;
 const isLibrary = false;
 const sourceMap = !isProduction; // allows for passing `sourceMap` directly by name to loaders/plugins options
 
-const indexHtmlTitle = manifestJson.short_name;
+const indexHtmlTitle = appConfig.shortName;
 // TODO See if index.html <link> entries can be moved here
 const indexHtmlMetaTagData = {
     description: packageJson.description,
     keywords: packageJson.keywords.join(', '),
-    'theme-color': manifestJson.theme_color,
+    'theme-color': appConfig.themeColor,
     viewport: 'width=device-width, initial-scale=1, shrink-to-fit=no',
 };
 
 const fileUrlsNotToCacheInPwa = [];
+/**
+ * Caching strategies for URLs matching a pattern (URL string relative to the ServiceWorker, or RegExp).
+ * URLs not matching any entry fall back to cache-first for static files and network-only for everything else.
+ *
+ * @type {{
+ *     pattern: (string|RegExp),
+ *     strategy: ('network-first'|'cache-first'|'stale-while-revalidate'|'network-only'|'cache-only'),
+ *     maxAgeSeconds?: number,
+ *     maxEntries?: number,
+ * }[]}
+ */
+const cachingStrategiesInPwa = [
+    {
+        // Allow previous anime searches to be viewed offline
+        pattern: /^https:\/\/kitsu\.io\/api\//,
+        strategy: 'network-first',
+        maxAgeSeconds: 7 * 24 * 60 * 60,
+        maxEntries: 50,
+    },
+];
+
+/**
+ * Gets the hashes of an emitted file for the ServiceWorker's precache manifest.
+ *
+ * - `revision`: Short content hash so the ServiceWorker only re-downloads files that changed between builds.
+ * - `integrity`: [Subresource Integrity]{@link https://developer.mozilla.org/en-US/docs/Web/Security/Subresource_Integrity}
+ *   string so corrupted or tampered downloads fail the ServiceWorker's installation.
+ *
+ * @param {string} fileAbsPath - Absolute path of the emitted file.
+ * @returns {{ revision: string, integrity: string }}
+ */
+function getPrecacheHashes(fileAbsPath) {
+    const fileContents = fs.readFileSync(fileAbsPath);
+    const sha256 = crypto.createHash('sha256').update(fileContents);
+
+    return {
+        revision: sha256.copy().digest('hex').slice(0, 16),
+        integrity: `sha256-${sha256.digest('base64')}`,
+    };
+}
 
 const {
     JavaScript,
@@ -330,8 +375,8 @@ function getWebpackConfig(webpackArgs) {
                              *
                              * Exception: Favicon files, which should be in the root of the output directory
                              * and should not contain hashes.
-                             * TODO Dynamically generate manifest.json's favicon entries from webpack hash so
-                             *  that new favicon versions are served rather than the old/cached version.
+                             * Note: The favicons linked in index.html and manifest.json are generated by
+                             * `WebAppManifestPlugin` rather than this loader.
                              */
                             const faviconFileNames = [ 'favicon', 'apple-touch-icon' ];
                             const faviconRegex = new RegExp(`(${faviconFileNames.join('|')})`);
@@ -433,6 +478,19 @@ function getWebpackConfig(webpackArgs) {
                 template: Paths.getFileAbsPath(Paths.SRC.ABS, 'index.html'),
                 meta: indexHtmlMetaTagData,
             }),
+            // generates the SCSS variables (e.g. `$theme-colors`) and typed TS constants from a single design tokens file
+            new DesignTokensPlugin({
+                tokensFilePath: Paths.getFileAbsPath(Paths.SRC.ABS, 'styles/designTokens.json'),
+                scssOutputFilePath: Paths.getFileAbsPath(Paths.SRC.ABS, 'styles/_designTokens.scss'),
+                tsOutputFilePath: Paths.getFileAbsPath(Paths.SRC.ABS, 'styles/designTokens.generated.ts'),
+            }),
+            // generates manifest.json, icons, and splash screens, and injects their tags into index.html
+            new WebAppManifestPlugin({
+                appConfig,
+                srcDir: Paths.SRC.ABS,
+                routesFilePath: Paths.getFileAbsPath(Paths.SRC.ABS, 'utils/AppRoutes.ts'),
+                routesExportName: 'appRouteDefinitions',
+            }),
             // Adds specific matcher regex(es) for dynamic imports to tell them where to look when string
             // variables, template strings, and related non-static strings are used as args for dynamic imports.
             // In this case, allows the `src/assets/` directory to be searched for dynamic imports passed by
@@ -455,28 +513,39 @@ function getWebpackConfig(webpackArgs) {
             new CopyWebpackPlugin({
                 patterns: [
                     {
-                        from: `${Paths.SRC.REL}/manifest.json`,
+                        from: `${Paths.SRC.REL}/ServiceWorker.js`,
                         to: '[name].[ext]',
                     },
+                    // Offline fallbacks served by the ServiceWorker; Precached along with all other emitted files
                     {
-                        from: `${Paths.SRC.REL}/ServiceWorker.js`,
+                        from: `${Paths.SRC.REL}/offline.html`,
+                        to: '[name].[ext]',
+                    },
+                    {
+                        from: `${Paths.SRC.REL}/assets/offline-image.svg`,
                         to: '[name].[ext]',
                     },
                 ],
             }),
             new AlterFilePostBuildPlugin(
                 'ServiceWorker.js',
-                /urlsToCache ?= ?\[\]/g,
-                relativeEmittedFilePaths => {
-                    const pathsWithoutServiceWorkerOrFonts = relativeEmittedFilePaths
-                        .filter(path => !path.includes('ServiceWorker.js') && !path.includes('fonts'));
-                    const fileUrlsToCache = pathsWithoutServiceWorkerOrFonts.map(path => `"./${path}"`); // ServiceWorker exists at root level
+                /precacheManifest ?= ?\[\]/g,
+                (relativeEmittedFilePaths, emittedFilePaths) => {
+                    const precacheManifest = emittedFilePaths
+                        .filter(({ relative }) => !relative.includes('ServiceWorker.js') && !relative.includes('fonts'))
+                        .map(({ relative, absolute }) => ({
+                            url: `./${relative}`, // ServiceWorker exists at root level
+                            ...getPrecacheHashes(absolute),
+                        }));
+                    const indexHtmlEntry = precacheManifest.find(({ url }) => url === './index.html');
 
                     // `/` isn't a file but is routed to /index.html automatically.
                     // Add it manually so the URL can be mapped to a file.
-                    fileUrlsToCache.push('"./"');
+                    if (indexHtmlEntry) {
+                        precacheManifest.push({ ...indexHtmlEntry, url: './' });
+                    }
 
-                    return `urlsToCache=[${fileUrlsToCache.join(',')}]`;
+                    return `precacheManifest=${JSON.stringify(precacheManifest)}`;
                 },
                 isProduction,
             ),
@@ -491,8 +560,18 @@ function getWebpackConfig(webpackArgs) {
             ),
             new AlterFilePostBuildPlugin(
                 'ServiceWorker.js',
-                'VERSION',
-                packageJson.version,
+                /cachingStrategies ?= ?\[\]/g,
+                `cachingStrategies=[${cachingStrategiesInPwa
+                    .map(({ pattern, ...options }) => {
+                        // RegExps can't be stringified via JSON, so write them as literals
+                        const patternString = pattern instanceof RegExp
+                            ? pattern
+                            : JSON.stringify(/^\w+:\/\//.test(pattern) ? pattern : `./${pattern}`);
+
+                        return `Object.assign({pattern:${patternString}},${JSON.stringify(options)})`;
+                    })
+                    .join(',')
+                }]`,
                 isProduction,
             ),
             new AlterFilePostBuildPlugin(
@@ -15,6 +15,7 @@ class AlterFilePostBuildPlugin {
     /**
      * @callback replaceTextCallback
      * @param {string[]} fileNames - Relative paths of all emitted files.
+     * @param {{ relative: string, absolute: string }[]} filePaths - Relative and absolute paths of all emitted files, e.g. to read their contents.
      * @returns {string} - New text to replace old text.
      */
     /**
@@ -51,7 +52,7 @@ class AlterFilePostBuildPlugin {
             }
 
             if (typeof this.replaceWith === typeof this.getEmittedFilesPaths) {
-                replaceWithText = this.replaceWith(emittedFilesPaths.map(path => path.relative));
+                replaceWithText = this.replaceWith(emittedFilesPaths.map(path => path.relative), emittedFilesPaths);
             }
 
             this.replaceTextInFile(targetFilePaths.absolute, this.textToReplace, replaceWithText);
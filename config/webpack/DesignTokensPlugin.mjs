@@ -0,0 +1,241 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+
+/** @typedef {import('webpack/types').WebpackPluginInstance} WebpackPluginInstance */
+/** @typedef {import('webpack/types').Compiler} Compiler */
+
+/**
+ * Design tokens shared by SCSS and JS/TS.
+ *
+ * Lengths are numbers of pixels.
+ *
+ * @typedef {Object} DesignTokens
+ * @property {Object<string, { colors: Object<string, string>, body: { bg: string, color: string } }>} themes - Palettes by theme name; The first theme is the default.
+ * @property {Object<string, number>} gridBreakpoints - Min screen width of each breakpoint.
+ * @property {Object<string, number>} containerMaxWidths - Max width of `.container` at each breakpoint.
+ */
+
+
+/**
+ * Formats a JS value as an SCSS value, e.g. `{ a: 1 }` as the map `("a": 1px)`.
+ *
+ * Strings are inserted as-is (i.e. unquoted) so they're parsed as CSS values, e.g. colors.
+ *
+ * @param {*} value
+ * @param {string} [indent='']
+ * @returns {string}
+ */
+function toScssValue(value, indent = '') {
+    if (value instanceof Object) {
+        const nestedIndent = `${indent}    `;
+        const entries = Object.entries(value)
+            .map(([ key, nestedValue ]) => `${nestedIndent}"${key}": ${toScssValue(nestedValue, nestedIndent)},`);
+
+        return `(\n${entries.join('\n')}\n${indent})`;
+    }
+
+    if (typeof value === typeof 0) {
+        return value === 0 ? '0' : `${value}px`;
+    }
+
+    return String(value);
+}
+
+
+/**
+ * Formats a JS value as a TS literal, e.g. `{ 'body-bg': '#fff' }` as `{\n    'body-bg': '#fff',\n}`.
+ *
+ * @param {*} value
+ * @param {string} [indent='']
+ * @returns {string}
+ */
+function toTsValue(value, indent = '') {
+    if (value instanceof Object) {
+        const nestedIndent = `${indent}    `;
+        const entries = Object.entries(value).map(([ key, nestedValue ]) => {
+            const tsKey = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+
+            return `${nestedIndent}${tsKey}: ${toTsValue(nestedValue, nestedIndent)},`;
+        });
+
+        return `{\n${entries.join('\n')}\n${indent}}`;
+    }
+
+    if (typeof value === typeof '') {
+        return `'${value.replace(/['\\]/g, '\\$&')}'`;
+    }
+
+    return String(value);
+}
+
+
+/**
+ * Generates the SCSS variables for the design tokens.
+ *
+ * - `$themes`: Every theme's colors plus `body-bg`/`body-color`, by theme name.
+ * - `$theme-colors`, `$body-bg`, `$body-color`, and one variable per color (e.g. `$primary`) for the default theme.
+ * - `$grid-breakpoints` and `$container-max-widths`.
+ *
+ * @param {DesignTokens} tokens
+ * @param {string} [sourceFileName] - File the tokens were read from, mentioned in the header comment.
+ * @returns {string} - Contents of an SCSS partial.
+ */
+export function generateScssTokens({
+    themes,
+    gridBreakpoints,
+    containerMaxWidths,
+}, sourceFileName = 'the design tokens file') {
+    const [ defaultTheme ] = Object.values(themes);
+    const themePalettes = Object.entries(themes).reduce((palettes, [ themeName, { colors, body }]) => {
+        palettes[themeName] = {
+            ...colors,
+            'body-bg': body.bg,
+            'body-color': body.color,
+        };
+
+        return palettes;
+    }, {});
+
+    return [
+        `// Generated from ${sourceFileName} by DesignTokensPlugin; Edit that file instead of this one.`,
+        '',
+        ...Object.entries(defaultTheme.colors).map(([ colorName, color ]) => `$${colorName}: ${color};`),
+        '',
+        `$theme-colors: ${toScssValue(defaultTheme.colors)};`,
+        '',
+        `$body-bg: ${defaultTheme.body.bg};`,
+        `$body-color: ${defaultTheme.body.color};`,
+        '',
+        `$themes: ${toScssValue(themePalettes)};`,
+        '',
+        `$grid-breakpoints: ${toScssValue(gridBreakpoints)};`,
+        `$container-max-widths: ${toScssValue(containerMaxWidths)};`,
+        '',
+    ].join('\n');
+}
+
+
+/**
+ * Generates the typed TS constants for the design tokens.
+ *
+ * Every token is declared `as const` so that e.g. theme and breakpoint names are literal types
+ * and type-checking fails wherever a removed token is still used.
+ *
+ * - `themes`: Every theme's `colors` and `body` colors, by theme name.
+ * - `defaultThemeName`: The first theme, i.e. the one SCSS uses for `:root`.
+ * - `gridBreakpoints` and `containerMaxWidths`, in pixels.
+ *
+ * @param {DesignTokens} tokens
+ * @param {string} [sourceFileName] - File the tokens were read from, mentioned in the header comment.
+ * @returns {string} - Contents of a TS module.
+ */
+export function generateTsTokens({
+    themes,
+    gridBreakpoints,
+    containerMaxWidths,
+}, sourceFileName = 'the design tokens file') {
+    const [ defaultThemeName ] = Object.keys(themes);
+
+    return [
+        `// Generated from ${sourceFileName} by DesignTokensPlugin; Edit that file instead of this one.`,
+        '',
+        `export const themes = ${toTsValue(themes)} as const;`,
+        '',
+        `export const defaultThemeName = ${toTsValue(defaultThemeName)} as const;`,
+        '',
+        `export const gridBreakpoints = ${toTsValue(gridBreakpoints)} as const;`,
+        '',
+        `export const containerMaxWidths = ${toTsValue(containerMaxWidths)} as const;`,
+        '',
+    ].join('\n');
+}
+
+
+/**
+ * Writes a file only if its contents changed so watchers (e.g. `webpack serve`) don't rebuild unnecessarily.
+ *
+ * @param {string} filePath - Absolute path of the file to write.
+ * @param {string} contents
+ * @returns {boolean} - If the file was written.
+ */
+function writeFileIfChanged(filePath, contents) {
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath).toString() === contents) {
+        return false;
+    }
+
+    fs.writeFileSync(filePath, contents);
+
+    return true;
+}
+
+
+/**
+ * Writes the SCSS partial and TS module generated from the design tokens file.
+ *
+ * @param {string} tokensFilePath - Absolute path of the design tokens JSON file.
+ * @param {Object} outputFilePaths
+ * @param {string} outputFilePaths.scss - Absolute path of the SCSS partial to write.
+ * @param {string} outputFilePaths.ts - Absolute path of the TS module to write.
+ * @returns {boolean} - If either file was written.
+ */
+export function writeTokenFiles(tokensFilePath, { scss, ts }) {
+    const tokens = JSON.parse(fs.readFileSync(tokensFilePath).toString());
+    const sourceFileName = path.basename(tokensFilePath);
+    const wroteScss = writeFileIfChanged(scss, generateScssTokens(tokens, sourceFileName));
+    const wroteTs = writeFileIfChanged(ts, generateTsTokens(tokens, sourceFileName));
+
+    return wroteScss || wroteTs;
+}
+
+
+/**
+ * Generates the SCSS variables (e.g. `$theme-colors` and `$grid-breakpoints`) and the typed TS constants
+ * (e.g. `themes` and `gridBreakpoints`) from a single design tokens file, so both always use the same values
+ * without parsing SCSS at runtime.
+ *
+ * Both files are regenerated before every (re-)compilation, so changes to the tokens file are
+ * picked up by `webpack serve`. They're also committed so that SCSS and TS compile outside of webpack
+ * (e.g. IDEs, stylelint, `tsc`, or Jest) on a fresh clone; Tests fail if they're out of date with the tokens file.
+ *
+ * @extends WebpackPluginInstance
+ */
+class DesignTokensPlugin {
+    /**
+     * @param {Object} options
+     * @param {string} options.tokensFilePath - Absolute path of the design tokens JSON file.
+     * @param {string} options.scssOutputFilePath - Absolute path of the SCSS partial to generate.
+     * @param {string} options.tsOutputFilePath - Absolute path of the TS module to generate.
+     */
+    constructor({
+        tokensFilePath,
+        scssOutputFilePath,
+        tsOutputFilePath,
+    }) {
+        this.tokensFilePath = tokensFilePath;
+        this.scssOutputFilePath = scssOutputFilePath;
+        this.tsOutputFilePath = tsOutputFilePath;
+    }
+
+    /**
+     * @param {Compiler} compiler
+     */
+    apply(compiler) {
+        const generateTokenFiles = () => {
+            writeTokenFiles(this.tokensFilePath, {
+                scss: this.scssOutputFilePath,
+                ts: this.tsOutputFilePath,
+            });
+        };
+
+        compiler.hooks.beforeRun.tap(this.constructor.name, generateTokenFiles);
+        compiler.hooks.watchRun.tap(this.constructor.name, generateTokenFiles);
+
+        compiler.hooks.thisCompilation.tap(this.constructor.name, compilation => {
+            // Recompile when the tokens change even if no JS imports them
+            compilation.fileDependencies.add(this.tokensFilePath);
+        });
+    }
+}
+
+export default DesignTokensPlugin;
@@ -0,0 +1,391 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { parseSync } from '@babel/core';
+import webpack from 'webpack';
+import HtmlWebpackPlugin from 'html-webpack-plugin';
+
+import {
+    readPng,
+    writePng,
+    resizeImage,
+    centerImageOnBackground,
+} from '../utils/index.js';
+
+
+/** @typedef {import('webpack/types').WebpackPluginInstance} WebpackPluginInstance */
+/** @typedef {import('webpack/types').Compiler} Compiler */
+/** @typedef {import('webpack/types').Compilation} Compilation */
+
+/**
+ * App config from which `manifest.json` and its images are generated.
+ *
+ * @typedef {Object} AppConfig
+ * @property {string} name - Full name, e.g. shown on the install prompt.
+ * @property {string} shortName - Name shown on the home screen and as the page's title.
+ * @property {string} startUrl
+ * @property {string} scope
+ * @property {string} display
+ * @property {string} themeColor - Hex color.
+ * @property {string} backgroundColor - Hex color; Also used as the splash screens' background.
+ * @property {string[]} [categories] - See [categories]{@link https://developer.mozilla.org/en-US/docs/Web/Manifest/categories}.
+ * @property {string} icon - Path relative to `src/` of the source PNG from which all icons are generated; Should be at least as large as the largest icon.
+ * @property {number[]} iconSizes - Square icon sizes to generate.
+ * @property {{ width: number, height: number, pixelRatio: number }[]} [appleSplashScreens] - Portrait device resolutions (in physical pixels) for iOS splash screens.
+ * @property {{ src: string, label?: string, formFactor?: ('narrow'|'wide') }[]} [screenshots] - PNG screenshots, with `src` relative to `src/`.
+ */
+
+
+const ICONS_DIR = 'icons';
+const SPLASH_SCREENS_DIR = 'splash';
+const SHORTCUT_ICON_SIZE = 96;
+const APPLE_TOUCH_ICON_SIZE = 180;
+const SPLASH_SCREEN_ICON_SCALE = 0.25;
+
+
+/**
+ * Gets the value of an AST node if it's a static literal, e.g. `'str'`, `[ 1, 2 ]`, or `{ a: true }`.
+ *
+ * @param {import('@babel/core').types.Node} node
+ * @returns {*} - The literal value, or undefined if not static.
+ */
+function getStaticValue(node) {
+    switch (node?.type) {
+        case 'TSAsExpression':
+        case 'TSSatisfiesExpression':
+            // e.g. `{ ... } as const`
+            return getStaticValue(node.expression);
+        case 'StringLiteral':
+        case 'NumericLiteral':
+        case 'BooleanLiteral':
+            return node.value;
+        case 'TemplateLiteral':
+            return node.expressions.length ? undefined : node.quasis[0].value.cooked;
+        case 'ArrayExpression':
+            return node.elements.map(getStaticValue);
+        case 'ObjectExpression':
+            return node.properties.reduce((obj, property) => {
+                const key = property.key?.name ?? property.key?.value;
+
+                if (property.type === 'ObjectProperty' && !property.computed) {
+                    obj[key] = getStaticValue(property.value);
+                }
+
+                return obj;
+            }, {});
+        default:
+            return undefined;
+    }
+}
+
+
+/**
+ * Reads and decodes a PNG, naming the file in the error if it can't be decoded.
+ *
+ * @param {string} pngAbsPath
+ * @returns {{ contents: Buffer, image: import('../utils/Images.js').RgbaImage }}
+ */
+function readPngFile(pngAbsPath) {
+    const contents = fs.readFileSync(pngAbsPath);
+
+    try {
+        return { contents, image: readPng(contents) };
+    } catch (error) {
+        throw new TypeError(`Could not read ${pngAbsPath}: ${error.message}`);
+    }
+}
+
+
+/**
+ * Resolves an app URL (e.g. a route's `/about` path) against webpack's `output.publicPath` so that it
+ * works when the app is served from a subpath, e.g. `https://user.github.io/repo/about` on GitHub Pages.
+ *
+ * Without an explicit `publicPath` (i.e. `auto`), URLs are made relative, which browsers resolve against
+ * `manifest.json`'s URL since it's emitted at the root of the app.
+ *
+ * @param {string} url - Absolute path (e.g. `/about`) or full URL, which is returned as-is.
+ * @param {(string|function)} [publicPath] - Webpack's `output.publicPath`; Functions are treated like `auto`.
+ * @returns {string}
+ */
+export function resolveAgainstPublicPath(url, publicPath) {
+    if (/^[a-z][a-z\d+.-]*:/i.test(url)) {
+        return url;
+    }
+
+    const relativeUrl = url.replace(/^\/+/, '');
+
+    if (typeof publicPath !== typeof '' || !publicPath || publicPath === 'auto') {
+        return `./${relativeUrl}`;
+    }
+
+    return `${publicPath.replace(/\/*$/, '/')}${relativeUrl}`;
+}
+
+
+/**
+ * Reads the static `path` and `shortcut` fields of the routes (including nested `children`) exported from
+ * a source file without executing it, since route files import components, styles, etc. that can't run in Node.
+ *
+ * Routes can be exported as an array or as an object of routes by name (e.g. a typed route registry).
+ *
+ * @param {string} routesFileAbsPath - File exporting the routes.
+ * @param {string} routesExportName - Name of the exported routes array/object.
+ * @returns {{ path: string, shortcut?: Object }[]}
+ */
+function getStaticRoutes(routesFileAbsPath, routesExportName) {
+    const ast = parseSync(fs.readFileSync(routesFileAbsPath).toString(), {
+        filename: routesFileAbsPath,
+        babelrc: false,
+        configFile: false,
+        parserOpts: {
+            plugins: [ 'jsx', 'typescript' ],
+        },
+    });
+    const routesDeclarator = ast.program.body
+        .filter(statement => statement.type === 'ExportNamedDeclaration')
+        .flatMap(exportStatement => exportStatement.declaration?.declarations ?? [])
+        .find(declarator => declarator.id.name === routesExportName);
+
+    const routes = getStaticValue(routesDeclarator?.init);
+
+    if (!routes || typeof routes !== typeof {}) {
+        throw new TypeError(`Could not find exported routes \`${routesExportName}\` in ${routesFileAbsPath}`);
+    }
+
+    const flattenRoutes = (routes, parentPath) => routes
+        .filter(route => route && typeof route === typeof {})
+        .flatMap(({ path: routePath = '', shortcut, children = []}) => {
+            // Nested routes' paths can be relative to their parent's
+            const fullPath = routePath.startsWith('/') ? routePath : path.posix.join(parentPath, routePath);
+
+            return [
+                { path: fullPath, shortcut },
+                ...flattenRoutes(children, fullPath),
+            ];
+        });
+
+    return flattenRoutes(Array.isArray(routes) ? routes : Object.values(routes), '/');
+}
+
+
+/**
+ * Generates `manifest.json` from a single app config at compile time, along with:
+ *
+ * - Icons at every size in `iconSizes` (plus `favicon.png`), generated from the source `icon`.
+ * - iOS splash screens, i.e. the app's icon centered on its `backgroundColor`, shown while the installed PWA loads.
+ * - `shortcuts` from routes that have a `shortcut: { name, shortName?, description? }` field.
+ * - `screenshots` and `categories`.
+ *
+ * All files are emitted as webpack assets, so they're included in the ServiceWorker's precache manifest,
+ * and `index.html` gets the corresponding `<link>` tags injected via `HtmlWebpackPlugin`.
+ *
+ * @extends WebpackPluginInstance
+ */
+class WebAppManifestPlugin {
+    /**
+     * @param {Object} options
+     * @param {AppConfig} options.appConfig - App config.
+     * @param {string} options.srcDir - Absolute path of the directory `appConfig` paths are relative to.
+     * @param {string} [options.routesFilePath] - Absolute path of the file exporting the app's routes, from which `shortcuts` are generated.
+     * @param {string} [options.routesExportName='appRoutes'] - Name of the routes array (or object of routes by name) exported from `routesFilePath`.
+     */
+    constructor({
+        appConfig,
+        srcDir,
+        routesFilePath,
+        routesExportName = 'appRoutes',
+    }) {
+        this.appConfig = appConfig;
+        this.srcDir = srcDir;
+        this.routesFilePath = routesFilePath;
+        this.routesExportName = routesExportName;
+        this.imageCache = { iconModifiedTime: null, images: new Map() };
+    }
+
+    /**
+     * @param {Compiler} compiler
+     */
+    apply(compiler) {
+        compiler.hooks.thisCompilation.tap(this.constructor.name, compilation => {
+            let generatedFiles;
+
+            compilation.hooks.processAssets.tap(
+                {
+                    name: this.constructor.name,
+                    stage: webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL,
+                },
+                () => {
+                    generatedFiles = this.generateFiles(compilation);
+
+                    Object.entries(generatedFiles.assets).forEach(([ fileName, contents ]) => {
+                        compilation.emitAsset(fileName, new webpack.sources.RawSource(contents));
+                    });
+                },
+            );
+
+            HtmlWebpackPlugin.getHooks(compilation).alterAssetTagGroups.tap(this.constructor.name, data => {
+                data.headTags.push(...generatedFiles.htmlTags.map(({ tagName, attributes }) => (
+                    HtmlWebpackPlugin.createHtmlTagObject(tagName, attributes)
+                )));
+
+                return data;
+            });
+        });
+    }
+
+    /**
+     * @param {Compilation} compilation
+     * @returns {{ assets: Object<string, (string|Buffer)>, htmlTags: { tagName: string, attributes: Object }[] }}
+     */
+    generateFiles(compilation) {
+        const {
+            icon,
+            iconSizes,
+            appleSplashScreens = [],
+            screenshots = [],
+            backgroundColor,
+        } = this.appConfig;
+        const iconAbsPath = path.resolve(this.srcDir, icon);
+        const iconModifiedTime = fs.statSync(iconAbsPath).mtimeMs;
+        const { image: sourceIcon } = readPngFile(iconAbsPath);
+        const assets = {};
+        const htmlTags = [];
+
+        compilation.fileDependencies.add(iconAbsPath);
+
+        // Generating images takes a few seconds, so only regenerate them (e.g. in watch mode) if the source icon changed
+        if (this.imageCache.iconModifiedTime !== iconModifiedTime) {
+            this.imageCache = { iconModifiedTime, images: new Map() };
+        }
+
+        const getImage = (fileName, renderImage) => {
+            if (!this.imageCache.images.has(fileName)) {
+                this.imageCache.images.set(fileName, writePng(renderImage()));
+            }
+
+            return this.imageCache.images.get(fileName);
+        };
+
+        const getIconFileName = size => `${ICONS_DIR}/icon-${size}x${size}.png`;
+        const icons = iconSizes.map(size => {
+            assets[getIconFileName(size)] = getImage(getIconFileName(size), () => resizeImage(sourceIcon, size, size));
+
+            return {
+                src: getIconFileName(size),
+                sizes: `${size}x${size}`,
+                type: 'image/png',
+            };
+        });
+
+        assets['favicon.png'] = fs.readFileSync(iconAbsPath);
+        htmlTags.push(
+            { tagName: 'link', attributes: { rel: 'manifest', href: 'manifest.json' }},
+            { tagName: 'link', attributes: { rel: 'icon', href: 'favicon.png' }},
+        );
+
+        if (iconSizes.includes(APPLE_TOUCH_ICON_SIZE)) {
+            htmlTags.push({ tagName: 'link', attributes: { rel: 'apple-touch-icon', href: getIconFileName(APPLE_TOUCH_ICON_SIZE) }});
+        }
+
+        appleSplashScreens.forEach(({ width, height, pixelRatio }) => {
+            // Never upscale the icon since it would be pixelated
+            const iconSize = Math.min(Math.round(Math.min(width, height) * SPLASH_SCREEN_ICON_SCALE), sourceIcon.width);
+            const fileName = `${SPLASH_SCREENS_DIR}/apple-splash-${width}x${height}.png`;
+
+            assets[fileName] = getImage(fileName, () => centerImageOnBackground(resizeImage(sourceIcon, iconSize, iconSize), {
+                width,
+                height,
+                backgroundColor,
+            }));
+            htmlTags.push({
+                tagName: 'link',
+                attributes: {
+                    rel: 'apple-touch-startup-image',
+                    href: fileName,
+                    media: [
+                        `(device-width: ${width / pixelRatio}px)`,
+                        `(device-height: ${height / pixelRatio}px)`,
+                        `(-webkit-device-pixel-ratio: ${pixelRatio})`,
+                        '(orientation: portrait)',
+                    ].join(' and '),
+                },
+            });
+        });
+
+        if (appleSplashScreens.length) {
+            // Splash screens are only shown for PWAs launched in standalone mode
+            htmlTags.push({ tagName: 'meta', attributes: { name: 'apple-mobile-web-app-capable', content: 'yes' }});
+        }
+
+        const manifestScreenshots = screenshots.map(({ src, label, formFactor }) => {
+            const screenshotAbsPath = path.resolve(this.srcDir, src);
+            const { contents: screenshotContents, image: { width, height }} = readPngFile(screenshotAbsPath);
+            const fileName = `screenshots/${path.basename(src)}`;
+
+            compilation.fileDependencies.add(screenshotAbsPath);
+            assets[fileName] = screenshotContents;
+
+            return {
+                src: fileName,
+                sizes: `${width}x${height}`,
+                type: 'image/png',
+                label,
+                form_factor: formFactor,
+            };
+        });
+
+        assets['manifest.json'] = JSON.stringify(this.getManifest({
+            icons,
+            screenshots: manifestScreenshots,
+            shortcutIcons: icons.filter(({ sizes }) => sizes === `${SHORTCUT_ICON_SIZE}x${SHORTCUT_ICON_SIZE}`),
+            compilation,
+        }), null, 4);
+
+        return { assets, htmlTags };
+    }
+
+    getManifest({ icons, screenshots, shortcutIcons, compilation }) {
+        const {
+            name,
+            shortName,
+            startUrl,
+            scope,
+            display,
+            themeColor,
+            backgroundColor,
+            categories,
+        } = this.appConfig;
+        const { publicPath } = compilation.outputOptions;
+        let shortcuts;
+
+        if (this.routesFilePath) {
+            compilation.fileDependencies.add(this.routesFilePath);
+
+            shortcuts = getStaticRoutes(this.routesFilePath, this.routesExportName)
+                .filter(route => route.shortcut?.name)
+                .map(({ path: routePath, shortcut }) => ({
+                    name: shortcut.name,
+                    short_name: shortcut.shortName,
+                    description: shortcut.description,
+                    url: resolveAgainstPublicPath(routePath, publicPath),
+                    icons: shortcutIcons,
+                }));
+        }
+
+        return {
+            short_name: shortName,
+            name,
+            icons,
+            start_url: resolveAgainstPublicPath(startUrl, publicPath),
+            scope: resolveAgainstPublicPath(scope, publicPath),
+            display,
+            theme_color: themeColor,
+            background_color: backgroundColor,
+            categories,
+            shortcuts,
+            screenshots: screenshots.length ? screenshots : undefined,
+        };
+    }
+}
+
+export default WebAppManifestPlugin;
@@ -6,7 +6,7 @@ import ReadLine from 'node:readline';
 
 import { Paths } from '../config/utils/index.js';
 import packageJson from '../package.json' assert { type: 'json' };
-import manifestJson from '../src/manifest.json' assert { type: 'json' };
+import appConfig from '../src/appConfig.json' assert { type: 'json' };
 
 const cliInterface = ReadLine.createInterface({
     input: process.stdin,
@@ -44,14 +44,14 @@ packageJson.keywords = keywords;
 const packageJsonPath = path.resolve(Paths.ROOT.ABS, 'package.json');
 const newPackageJson = JSON.stringify(packageJson, undefined, 2) + '\n';
 
-manifestJson.short_name = appTitle;
-manifestJson.name = appDescription;
+appConfig.shortName = appTitle;
+appConfig.name = appDescription;
 
-const manifestJsonPath = path.resolve(Paths.ROOT.ABS, 'src/manifest.json');
-const newManifestJson = JSON.stringify(manifestJson, undefined, 4) + '\n';
+const appConfigPath = path.resolve(Paths.ROOT.ABS, 'src/appConfig.json');
+const newAppConfig = JSON.stringify(appConfig, undefined, 4) + '\n';
 
 await fs.writeFile(packageJsonPath, newPackageJson);
-await fs.writeFile(manifestJsonPath, newManifestJson);
+await fs.writeFile(appConfigPath, newAppConfig);
 
 childProcess.execSync('npm install');
 
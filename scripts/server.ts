@@ -8,12 +8,23 @@ import {
     type ClientRequest,
     type IncomingMessage,
     type OutgoingHttpHeaders,
+    type ServerResponse,
 } from 'http';
 import {
     createServer as createHttpsServer,
     get as httpsGet,
     Agent as HttpsAgent,
 } from 'https';
+import {
+    createCipheriv,
+    createECDH,
+    createPrivateKey,
+    generateKeyPairSync,
+    hkdfSync,
+    randomBytes,
+    sign,
+    type KeyObject,
+} from 'crypto';
 
 import 'isomorphic-fetch';
 
@@ -296,6 +307,222 @@ async function getIncomingMessageBody<
 
 
 
+// Web push
+interface PushSubscriptionJson {
+    endpoint: string;
+    keys: {
+        p256dh: string;
+        auth: string;
+    };
+}
+
+const pushSubscriptions = new Map<string, PushSubscriptionJson>();
+const { publicKey: vapidPublicKey, privateKey: vapidPrivateKey } = getVapidKeys();
+
+const pushPathPrefix = '/push/';
+
+function toBase64Url(data: Buffer | string): string {
+    return Buffer.from(data).toString('base64url');
+}
+
+function getVapidKeys(): { publicKey: Buffer; privateKey: KeyObject } {
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        const publicKey = Buffer.from(process.env.VAPID_PUBLIC_KEY, 'base64url');
+
+        return {
+            publicKey,
+            privateKey: createPrivateKey({
+                format: 'jwk',
+                key: {
+                    kty: 'EC',
+                    crv: 'P-256',
+                    // Uncompressed public keys are `0x04 || x || y`
+                    x: toBase64Url(publicKey.subarray(1, 33)),
+                    y: toBase64Url(publicKey.subarray(33, 65)),
+                    d: process.env.VAPID_PRIVATE_KEY,
+                },
+            }),
+        };
+    }
+
+    const { publicKey, privateKey } = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const { x, y } = publicKey.export({ format: 'jwk' });
+
+    return {
+        publicKey: Buffer.concat([
+            Buffer.from([ 0x04 ]),
+            Buffer.from(x as string, 'base64url'),
+            Buffer.from(y as string, 'base64url'),
+        ]),
+        privateKey,
+    };
+}
+
+function getVapidAuthorizationHeader(endpoint: string): string {
+    const jwtHeader = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const jwtPayload = toBase64Url(JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + (12 * 60 * 60),
+        sub: `mailto:dev@${domain}`,
+    }));
+    const unsignedToken = `${jwtHeader}.${jwtPayload}`;
+    const signature = sign('sha256', Buffer.from(unsignedToken), {
+        key: vapidPrivateKey,
+        dsaEncoding: 'ieee-p1363', // JWTs use the raw `r || s` signature format rather than DER
+    });
+
+    return `vapid t=${unsignedToken}.${toBase64Url(signature)}, k=${toBase64Url(vapidPublicKey)}`;
+}
+
+/**
+ * Encrypts the payload for the subscription using the `aes128gcm` content encoding.
+ */
+function encryptPayload(subscription: PushSubscriptionJson, payload: string): Buffer {
+    const userAgentPublicKey = Buffer.from(subscription.keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+    const serverEcdh = createECDH('prime256v1');
+    const serverPublicKey = serverEcdh.generateKeys();
+    const sharedSecret = serverEcdh.computeSecret(userAgentPublicKey);
+    const salt = randomBytes(16);
+    const hkdf = (ikm: Buffer, hkdfSalt: Buffer, info: Buffer | string, length: number) => Buffer.from(
+        hkdfSync('sha256', ikm, hkdfSalt, info, length),
+    );
+
+    const inputKeyMaterial = hkdf(
+        sharedSecret,
+        authSecret,
+        Buffer.concat([ Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey ]),
+        32,
+    );
+    const contentEncryptionKey = hkdf(inputKeyMaterial, salt, 'Content-Encoding: aes128gcm\0', 16);
+    const nonce = hkdf(inputKeyMaterial, salt, 'Content-Encoding: nonce\0', 12);
+
+    const cipher = createCipheriv('aes-128-gcm', contentEncryptionKey, nonce);
+    const encryptedPayload = Buffer.concat([
+        // 0x02 delimiter marks this as the last (and only) record
+        cipher.update(Buffer.concat([ Buffer.from(payload), Buffer.from([ 0x02 ]) ])),
+        cipher.final(),
+        cipher.getAuthTag(),
+    ]);
+
+    const recordSize = Buffer.alloc(4);
+
+    recordSize.writeUInt32BE(4096);
+
+    return Buffer.concat([
+        salt,
+        recordSize,
+        Buffer.from([ serverPublicKey.length ]),
+        serverPublicKey,
+        encryptedPayload,
+    ]);
+}
+
+async function sendPush(subscription: PushSubscriptionJson, payload: string): Promise<boolean> {
+    const response = await fetch(subscription.endpoint, {
+        method: 'POST',
+        headers: {
+            Authorization: getVapidAuthorizationHeader(subscription.endpoint),
+            'Content-Encoding': 'aes128gcm',
+            'Content-Type': 'application/octet-stream',
+            TTL: String(24 * 60 * 60),
+        },
+        body: encryptPayload(subscription, payload),
+    });
+
+    if (response.status === 404 || response.status === 410) {
+        // Subscription expired or was unsubscribed
+        pushSubscriptions.delete(subscription.endpoint);
+    }
+
+    return response.ok;
+}
+
+/**
+ * Handles requests to `/push/*` paths of a minimal [Web Push]{@link https://developer.mozilla.org/en-US/docs/Web/API/Push_API} server for testing
+ * push notifications locally without a third-party service.
+ *
+ * Used by every server mode (vanilla Node, webpack, and NextJS); `npm start` (i.e. `webpack serve`) doesn't
+ * run this file, so use one of these modes to test push notifications.
+ *
+ * Uses the `VAPID_PUBLIC_KEY` and `VAPID_PRIVATE_KEY` env vars (raw, base64url-encoded P-256 keys) if set,
+ * otherwise generates new keys on boot (which invalidates previous subscriptions).
+ *
+ * Endpoints:
+ * - `GET /push/vapidPublicKey` - Public key to pass to `subscribeToPush()`.
+ * - `POST /push/subscriptions` - Saves the `PushSubscription` JSON in the body.
+ * - `DELETE /push/subscriptions` - Removes the `PushSubscription` JSON in the body.
+ * - `POST /push/send` - Sends the body, e.g. `{ "title": "Hi", "body": "Message", "url": "/about" }`, to all subscriptions.
+ *
+ * @see [Message encryption (RFC 8291)]{@link https://datatracker.ietf.org/doc/html/rfc8291}
+ * @see [VAPID (RFC 8292)]{@link https://datatracker.ietf.org/doc/html/rfc8292}
+ *
+ * @returns If the request was handled.
+ */
+async function handleWebPushRequest(req: Required<IncomingMessage>, res: ServerResponse): Promise<boolean> {
+    const { pathname } = new URL(req.url, hostname);
+
+    if (!pathname.startsWith(pushPathPrefix)) {
+        return false;
+    }
+
+    const endpoint = pathname.slice(pushPathPrefix.length);
+    // Allow the app to call these endpoints from the webpack dev-server's origin
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+    };
+    const respond = (status: number, body?: unknown) => {
+        res.writeHead(status, {
+            ...corsHeaders,
+            'Content-Type': 'application/json',
+        });
+        res.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    if (req.method === 'OPTIONS') {
+        respond(204);
+    } else if (endpoint === 'vapidPublicKey' && req.method === 'GET') {
+        respond(200, { publicKey: toBase64Url(vapidPublicKey) });
+    } else if (endpoint === 'subscriptions' && req.method?.match(/POST|DELETE/)) {
+        const subscription = await getIncomingMessageBody<PushSubscriptionJson>(req);
+
+        if (!subscription?.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+            respond(400, { error: 'Body must be a PushSubscription in JSON form' });
+        } else if (req.method === 'POST') {
+            pushSubscriptions.set(subscription.endpoint, subscription);
+            respond(201, { subscriptions: pushSubscriptions.size });
+        } else {
+            pushSubscriptions.delete(subscription.endpoint);
+            respond(200, { subscriptions: pushSubscriptions.size });
+        }
+    } else if (endpoint === 'send' && req.method === 'POST') {
+        const notification = await getIncomingMessageBody(req);
+        const payload = typeof notification === typeof ''
+            ? notification as string
+            : JSON.stringify(notification);
+        const results = await Promise.all(
+            [ ...pushSubscriptions.values() ].map(subscription => sendPush(subscription, payload).catch(error => {
+                console.error(`Could not send push to ${subscription.endpoint}. Error:`, error);
+
+                return false;
+            })),
+        );
+
+        respond(200, {
+            sent: results.filter(Boolean).length,
+            failed: results.filter(isSent => !isSent).length,
+        });
+    } else {
+        respond(404, { error: `Unknown push endpoint: ${req.method} ${pathname}` });
+    }
+
+    return true;
+}
+
+
+
 // If using vanilla `http(s)` server
 async function runVanillaNodeServer() {
     // See: https://www.digitalocean.com/community/tutorials/how-to-create-a-web-server-in-node-js-with-the-http-module
@@ -303,6 +530,10 @@ async function runVanillaNodeServer() {
         const server = createServer(async (request, res) => {
             const req = request as Required<IncomingMessage>;
 
+            if (await handleWebPushRequest(req, res)) {
+                return;
+            }
+
             if (shouldProxyUrl(req.url)) {
                 const reqBody = await getIncomingMessageBody(req);
                 const reqBodyString = (
@@ -540,6 +771,7 @@ async function runWebpackServer() {
     type ProxyConfigEntry = import('webpack-dev-server').ProxyConfigArray;
     type ProxyConfigMap = import('webpack-dev-server').ProxyConfigMap;
     type ProxyConfigArray = ProxyConfigEntry[];
+    type RequestHandler = import('express').RequestHandler;
 
     const Webpack: WebpackFactory = (await import('webpack')).default;
     const WebpackDevServer: WebpackDevServerClass = (await import('webpack-dev-server')).default;
@@ -578,6 +810,18 @@ async function runWebpackServer() {
 
     const devServerOptions: WebpackDevServerConfig = {
         ...webpackConfig.devServer,
+        setupMiddlewares(middlewares, devServer) {
+            const webPushMiddleware: RequestHandler = (req, res, next) => {
+                handleWebPushRequest(req as Required<IncomingMessage>, res)
+                    .then(isHandled => isHandled || next())
+                    .catch(next);
+            };
+
+            // Handle `/push/*` before the dev-server's own middlewares, e.g. its static files and proxies
+            middlewares.unshift({ name: 'web-push', middleware: webPushMiddleware });
+
+            return webpackConfig.devServer?.setupMiddlewares?.(middlewares, devServer) ?? middlewares;
+        },
         host: domain,
         server: {
             type: protocol,
@@ -680,9 +924,13 @@ async function runNextJsServer() {
 
     const appRequestHandler = nextJsServer.getRequestHandler();
 
-    const server = createServer((request, res) => {
+    const server = createServer(async (request, res) => {
         const req = request as Required<IncomingMessage>;
 
+        if (await handleWebPushRequest(req, res)) {
+            return;
+        }
+
         // URL is pathname + query string
         const { url } = req;
         // NextJS uses the deprecated `url.parse`, so we can't use `new URL(url, hostname)`
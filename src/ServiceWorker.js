@@ -1,15 +1,78 @@
-var CACHE_NAME = 'cache-VERSION';
-var urlsToCache = []; // filenames change in each build (via appended filename hashes) and are injected during webpack build
+/*
+ * All emitted files, injected during webpack build.
+ * Entries are in the form `{ url, revision, integrity }` where `revision` is a hash of the file's content
+ * and `integrity` is its Subresource Integrity string, so only files whose content changed are re-downloaded.
+ */
+var precacheManifest = [];
+var PRECACHE_PREFIX = 'precache';
+/*
+ * Each version of the precache manifest gets its own cache so that installing a new ServiceWorker doesn't
+ * change the files served by the active one; Previous versions' caches are removed upon activation.
+ */
+var CACHE_NAME = PRECACHE_PREFIX + '::' + getPrecacheVersion();
 var urlsNotToCache = [];
+/*
+ * Caching strategies for specific URLs, injected during webpack build.
+ * Entries are in the form `{ pattern, strategy, maxAgeSeconds, maxEntries }` where `pattern` is a URL string
+ * (absolute or relative to the ServiceWorker) or RegExp, and the first entry matching a request's URL is used.
+ */
+var cachingStrategies = [];
 var BROADCAST_CHANNEL = 'BRD_CHANNEL';
-var UPDATE_BROADCAST = 'UPDATE';
+var SKIP_WAITING = 'SKIP_WAITING';
+var REPLAY_SYNC_QUEUE = 'REPLAY_SYNC_QUEUE';
+var BACKGROUND_SYNC_BROADCAST = 'BACKGROUND_SYNC';
+var BACKGROUND_SYNC_TAG = 'sync-queue';
+/*
+ * Mutations are only queued if they opt in via `sw-background-sync: queue` since queued requests are answered
+ * with `202 Accepted` (and `sw-background-sync: queued`), which callers must know to expect.
+ */
+var BACKGROUND_SYNC_HEADER = 'sw-background-sync';
+var BACKGROUND_SYNC_OPT_IN = 'queue';
+var BACKGROUND_SYNC_QUEUED = 'queued';
+// Credentials aren't persisted in IndexedDB; Replayed requests only send the browser's cookies (per `credentials`)
+var SYNC_QUEUE_OMITTED_HEADERS = [ 'authorization', 'proxy-authorization', 'cookie', BACKGROUND_SYNC_HEADER ];
+var SYNC_QUEUE_DB_NAME = 'background-sync';
+var SYNC_QUEUE_STORE_NAME = 'requests';
+var SYNC_QUEUE_METHODS = [ 'POST', 'PUT', 'PATCH', 'DELETE' ];
+var CachingStrategies = {
+    NETWORK_FIRST: 'network-first',
+    CACHE_FIRST: 'cache-first',
+    STALE_WHILE_REVALIDATE: 'stale-while-revalidate',
+    NETWORK_ONLY: 'network-only',
+    CACHE_ONLY: 'cache-only',
+};
+var OFFLINE_PAGE_URL = './offline.html';
+var OFFLINE_IMAGE_URL = './offline-image.svg';
+// Emitted by every build (see `WebAppManifestPlugin`), unlike the resized icons, whose sizes are configurable
+var NOTIFICATION_ICON_URL = './favicon.png';
+var RUNTIME_CACHE_PREFIX = 'runtime::';
+var CACHED_AT_HEADER = 'sw-cached-at';
+var REVISION_HEADER = 'sw-revision';
+
+/**
+ * Hashes the manifest's URLs and revisions (djb2) so the precache's name only changes when its files do.
+ */
+function getPrecacheVersion() {
+    var manifestString = precacheManifest.map(function(precacheEntry) {
+        return precacheEntry.url + '@' + precacheEntry.revision;
+    }).join(',');
+    var hash = 5381;
+
+    for (var i = 0; i < manifestString.length; i++) {
+        hash = ((hash << 5) + hash + manifestString.charCodeAt(i)) | 0;
+    }
+
+    return (hash >>> 0).toString(36);
+}
 
 function removeOldCaches() {
+    var currentCacheNames = [ CACHE_NAME ].concat(cachingStrategies.map(getRuntimeCacheName));
+
     return caches.keys()
         .then(function(cacheNames) {
             return Promise.all(
                 cacheNames.filter(function(cacheName) {
-                    return cacheName !== CACHE_NAME;
+                    return currentCacheNames.indexOf(cacheName) < 0;
                 }).map(function(cacheName) {
                     console.log('Outdated cache', cacheName, 'will be removed');
                     return caches.delete(cacheName);
@@ -18,30 +81,88 @@ function removeOldCaches() {
         });
 }
 
-function clearCache(cache, exceptUrls) {
-    if (typeof exceptUrls === typeof '') {
-        exceptUrls = [ exceptUrls ];
-    } else if (exceptUrls == null) {
-        exceptUrls = [];
-    }
+function getPrecacheUrl(precacheEntry) {
+    return new URL(precacheEntry.url, self.location.href).href;
+}
 
-    function clearCacheEntries(cacheObj) {
-        return cacheObj.keys().then(function(requests) {
-            return Promise.all(
-                requests.filter(function(request) {
-                    return !exceptUrls.includes(request.url);
-                }).map(function(request) {
-                    return cacheObj.delete(request);
-                }),
-            );
+function addRevisionHeader(response, revision) {
+    return response.blob().then(function(body) {
+        var headers = new Headers(response.headers);
+
+        headers.set(REVISION_HEADER, revision);
+
+        return new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: headers,
         });
-    }
+    });
+}
 
-    if (cache == null) {
-        return caches.open(CACHE_NAME).then(clearCacheEntries);
-    }
+/**
+ * Finds the response for the given revision of a URL in the precaches of previous ServiceWorker versions.
+ */
+function matchPreviouslyPrecached(url, revision) {
+    return caches.keys().then(function(cacheNames) {
+        var previousPrecacheNames = cacheNames.filter(function(cacheName) {
+            return cacheName !== CACHE_NAME && cacheName.indexOf(PRECACHE_PREFIX) === 0;
+        });
 
-    return clearCacheEntries(cache);
+        return previousPrecacheNames.reduce(function(previousMatch, cacheName) {
+            return previousMatch.then(function(matchedResponse) {
+                return matchedResponse || caches.open(cacheName).then(function(cache) {
+                    return cache.match(url);
+                }).then(function(cachedResponse) {
+                    return cachedResponse && cachedResponse.headers.get(REVISION_HEADER) === revision
+                        ? cachedResponse
+                        : null;
+                });
+            });
+        }, Promise.resolve(null));
+    });
+}
+
+/**
+ * Fills this version's precache with the manifest's entries, copying files whose revision didn't change
+ * from previous versions' precaches and downloading the rest.
+ *
+ * Downloads are verified against the entries' `integrity` by the browser, and any failure
+ * (network or integrity) fails the ServiceWorker's installation so a broken version is never activated.
+ */
+function updatePrecache() {
+    return caches.open(CACHE_NAME).then(function(cache) {
+        return Promise.all(precacheManifest.map(function(precacheEntry) {
+            var url = getPrecacheUrl(precacheEntry);
+
+            return cache.match(url).then(function(cachedResponse) {
+                if (cachedResponse && cachedResponse.headers.get(REVISION_HEADER) === precacheEntry.revision) {
+                    // Cached by a previous, interrupted installation of this version
+                    return;
+                }
+
+                return matchPreviouslyPrecached(url, precacheEntry.revision).then(function(previousResponse) {
+                    if (previousResponse) {
+                        return previousResponse;
+                    }
+
+                    return fetch(new Request(url, {
+                        integrity: precacheEntry.integrity,
+                        cache: 'no-cache', // Bypass the HTTP cache, which could contain an old revision
+                        credentials: 'same-origin',
+                    }))
+                        .then(function(fetchResponse) {
+                            if (!fetchResponse.ok) {
+                                throw new Error('Could not precache url: ' + url + ' Received status: ' + fetchResponse.status);
+                            }
+
+                            return addRevisionHeader(fetchResponse, precacheEntry.revision);
+                        });
+                }).then(function(responseToCache) {
+                    return cache.put(url, responseToCache);
+                });
+            });
+        }));
+    });
 }
 
 function fetchAndCache(event, cache) {
@@ -55,7 +176,55 @@ function fetchAndCache(event, cache) {
         })
         .catch(function(fetchError) {
             console.log('Could not fetch url:', event.request.url, 'Failed with fetch error:', fetchError);
+
+            throw fetchError;
+        });
+}
+
+function matchPrecached(url) {
+    return caches.open(CACHE_NAME).then(function(cache) {
+        return cache.match(new URL(url, self.location.href).href);
+    });
+}
+
+function isClientSideRouteNavigation(request) {
+    var url = new URL(request.url);
+
+    /*
+     * Routes in `appRoutes` (e.g. `/about`, `/animeSearch`) only exist in the browser's router, so
+     * navigations to them - i.e. any same-origin page load that isn't a file - are answered with index.html.
+     */
+    return (
+        request.mode === 'navigate'
+        && url.origin === self.location.origin
+        && !url.pathname.split('/').pop().match(/\.\w{2,6}$/)
+    );
+}
+
+function getOfflineFallback(request, fetchError) {
+    if (request.mode === 'navigate') {
+        var appShell = isClientSideRouteNavigation(request)
+            ? matchPrecached('./index.html').then(function(indexHtml) {
+                return indexHtml || matchPrecached('./');
+            })
+            : Promise.resolve(null);
+
+        return appShell.then(function(appShellResponse) {
+            return appShellResponse || matchPrecached(OFFLINE_PAGE_URL);
+        }).then(function(fallbackResponse) {
+            return fallbackResponse || Response.error();
+        });
+    }
+
+    if (request.destination === 'image') {
+        return matchPrecached(OFFLINE_IMAGE_URL).then(function(fallbackResponse) {
+            return fallbackResponse || Response.error();
         });
+    }
+
+    console.log('No offline fallback for url:', request.url, 'Failed with fetch error:', fetchError);
+
+    return Response.error();
 }
 
 function postMessageToClient(message) {
@@ -63,113 +232,507 @@ function postMessageToClient(message) {
         var channel = new BroadcastChannel(BROADCAST_CHANNEL);
 
         channel.postMessage(message);
+        channel.close();
     } catch (e) {
-        // BroadcastChannel not defined, likely because client is using Safari or IE
+        // BroadcastChannel not defined, likely because client is using Safari or IE, so message clients directly
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(function(clients) {
+            clients.forEach(function(client) {
+                client.postMessage(message);
+            });
+        });
+    }
+}
+
+function openSyncQueueDb() {
+    return new Promise(function(resolve, reject) {
+        var openRequest = indexedDB.open(SYNC_QUEUE_DB_NAME, 1);
+
+        openRequest.onupgradeneeded = function() {
+            // Auto-incremented keys keep requests in the order they were made
+            openRequest.result.createObjectStore(SYNC_QUEUE_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        openRequest.onsuccess = function() {
+            resolve(openRequest.result);
+        };
+        openRequest.onerror = function() {
+            reject(openRequest.error);
+        };
+    });
+}
+
+function runSyncQueueTransaction(mode, runOperation) {
+    return openSyncQueueDb().then(function(db) {
+        return new Promise(function(resolve, reject) {
+            var transaction = db.transaction(SYNC_QUEUE_STORE_NAME, mode);
+            var operationRequest = runOperation(transaction.objectStore(SYNC_QUEUE_STORE_NAME));
+
+            transaction.oncomplete = function() {
+                db.close();
+                resolve(operationRequest.result);
+            };
+            transaction.onerror = transaction.onabort = function() {
+                db.close();
+                reject(transaction.error);
+            };
+        });
+    });
+}
+
+function isBackgroundSyncRequest(request) {
+    return SYNC_QUEUE_METHODS.indexOf(request.method) >= 0
+        && request.headers.get(BACKGROUND_SYNC_HEADER) === BACKGROUND_SYNC_OPT_IN;
+}
+
+/**
+ * Reads a request into a plain object that can be both sent and stored in IndexedDB.
+ * The opt-in header is removed so it isn't sent to the server, e.g. causing a CORS preflight.
+ */
+function serializeRequest(request) {
+    return request.arrayBuffer().then(function(body) {
+        var headers = [];
+
+        request.headers.forEach(function(value, key) {
+            if (key.toLowerCase() !== BACKGROUND_SYNC_HEADER) {
+                headers.push([ key, value ]);
+            }
+        });
+
+        return {
+            url: request.url,
+            method: request.method,
+            headers: headers,
+            body: body.byteLength ? body : null,
+            credentials: request.credentials,
+        };
+    });
+}
+
+function deserializeRequest(serializedRequest) {
+    return new Request(serializedRequest.url, {
+        method: serializedRequest.method,
+        headers: serializedRequest.headers,
+        body: serializedRequest.body,
+        credentials: serializedRequest.credentials,
+    });
+}
+
+function addToSyncQueue(serializedRequest) {
+    var entry = Object.assign({}, serializedRequest, {
+        headers: serializedRequest.headers.filter(function(header) {
+            return SYNC_QUEUE_OMITTED_HEADERS.indexOf(header[0].toLowerCase()) < 0;
+        }),
+        queuedAt: Date.now(),
+    });
+
+    return runSyncQueueTransaction('readwrite', function(store) {
+        return store.add(entry);
+    }).then(function() {
+        return entry;
+    });
+}
+
+function registerBackgroundSync() {
+    if (self.registration.sync) {
+        return self.registration.sync.register(BACKGROUND_SYNC_TAG).catch(function(syncError) {
+            console.log('Could not register background sync. Failed with error:', syncError);
+        });
+    }
+
+    // Otherwise, the page sends `REPLAY_SYNC_QUEUE` when it's back online
+    return Promise.resolve();
+}
+
+/**
+ * Sends the request or, if it fails due to a network error, saves it to be replayed once back online.
+ * Queued requests are answered with `202 Accepted` and the `sw-background-sync: queued` header, and
+ * pages are notified via a `BACKGROUND_SYNC` broadcast with `queued: true`.
+ */
+function fetchOrQueueForSync(request) {
+    return serializeRequest(request).then(function(serializedRequest) {
+        return fetch(deserializeRequest(serializedRequest)).catch(function(fetchError) {
+            console.log('Could not fetch url:', request.url, 'Queueing for background sync. Failed with fetch error:', fetchError);
+
+            return addToSyncQueue(serializedRequest)
+                .then(function(entry) {
+                    postMessageToClient({
+                        type: BACKGROUND_SYNC_BROADCAST,
+                        url: entry.url,
+                        method: entry.method,
+                        queued: true,
+                        queuedAt: entry.queuedAt,
+                    });
+
+                    return registerBackgroundSync();
+                })
+                .then(function() {
+                    var headers = {};
+
+                    headers[BACKGROUND_SYNC_HEADER] = BACKGROUND_SYNC_QUEUED;
+
+                    return new Response(null, {
+                        status: 202,
+                        statusText: 'Accepted',
+                        headers: headers,
+                    });
+                });
+        });
+    });
+}
+
+function replaySyncQueueEntry(entry) {
+    return fetch(deserializeRequest(entry)).then(function(response) {
+        // The server received the request, so it's removed from the queue even if it wasn't successful
+        return runSyncQueueTransaction('readwrite', function(store) {
+            return store.delete(entry.id);
+        }).then(function() {
+            postMessageToClient({
+                type: BACKGROUND_SYNC_BROADCAST,
+                url: entry.url,
+                method: entry.method,
+                queued: false,
+                status: response.status,
+                ok: response.ok,
+                queuedAt: entry.queuedAt,
+            });
+        });
+    });
+}
+
+var syncQueueReplay = null;
+
+/**
+ * Replays queued requests in order, stopping at the first network error so the rest are retried later.
+ */
+function replaySyncQueue() {
+    if (!syncQueueReplay) {
+        syncQueueReplay = runSyncQueueTransaction('readonly', function(store) {
+            return store.getAll();
+        })
+            .then(function(entries) {
+                return entries.reduce(function(previousReplay, entry) {
+                    return previousReplay.then(function() {
+                        return replaySyncQueueEntry(entry);
+                    });
+                }, Promise.resolve());
+            })
+            .finally(function() {
+                syncQueueReplay = null;
+            });
     }
+
+    return syncQueueReplay;
 }
 
 self.addEventListener('install', function(event) {
-    // Perform install steps
+    /*
+     * Perform install steps.
+     *
+     * Updated ServiceWorkers wait until the user accepts the update (see `SKIP_WAITING` message below)
+     * so the page isn't changed out from under them.
+     * Old caches are only removed upon activation since the active ServiceWorker still uses them until then.
+     */
     event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(function(cache) {
-                console.log('Opened cache');
-                return cache.addAll(urlsToCache);
-            })
-            .then(removeOldCaches)
-            .then(function() {
-                return self.skipWaiting(); // needed to force new service workers to overwrite old ones
+        updatePrecache(),
+    );
+});
+
+self.addEventListener('message', function(event) {
+    if (event.data === SKIP_WAITING) {
+        self.skipWaiting();
+    } else if (event.data === REPLAY_SYNC_QUEUE) {
+        event.waitUntil(
+            replaySyncQueue().catch(function(replayError) {
+                console.log('Could not replay background sync queue. Failed with error:', replayError);
             }),
+        );
+    }
+});
+
+/*
+ * Push payloads are expected to be JSON in the form `{ title, body, url, icon, tag }`, where `url`
+ * is the route to open when the notification is clicked; Plain text payloads are used as the body.
+ */
+self.addEventListener('push', function(event) {
+    var pushData = {};
+
+    try {
+        pushData = event.data ? event.data.json() : {};
+    } catch (payloadNotJsonError) {
+        pushData = { body: event.data.text() };
+    }
+
+    event.waitUntil(
+        self.registration.showNotification(pushData.title || 'New notification', {
+            body: pushData.body,
+            icon: pushData.icon || NOTIFICATION_ICON_URL,
+            tag: pushData.tag,
+            data: {
+                url: pushData.url || './',
+            },
+        }),
     );
 });
 
+self.addEventListener('notificationclick', function(event) {
+    var targetUrl = new URL((event.notification.data && event.notification.data.url) || './', self.location.href).href;
+
+    event.notification.close();
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(function(clients) {
+            var sameOriginClients = clients.filter(function(client) {
+                return new URL(client.url).origin === self.location.origin;
+            });
+            var clientAtTargetUrl = sameOriginClients.find(function(client) {
+                return client.url === targetUrl;
+            });
+
+            if (clientAtTargetUrl) {
+                return clientAtTargetUrl.focus();
+            }
+
+            // Reuse an open tab, navigating it to the route, before opening a new one
+            if (sameOriginClients.length && sameOriginClients[0].navigate) {
+                return sameOriginClients[0].focus()
+                    .then(function(client) {
+                        return client.navigate(targetUrl);
+                    })
+                    .catch(function() {
+                        // Only clients controlled by this ServiceWorker can be navigated
+                        return self.clients.openWindow(targetUrl);
+                    });
+            }
+
+            return self.clients.openWindow(targetUrl);
+        }),
+    );
+});
+
+self.addEventListener('sync', function(event) {
+    if (event.tag === BACKGROUND_SYNC_TAG) {
+        // Rejecting tells the browser to retry the sync later
+        event.waitUntil(replaySyncQueue());
+    }
+});
+
 self.addEventListener('activate', function(event) {
+    // Swaps in this version's precache, i.e. removes previous versions' precaches and unused runtime caches
     event.waitUntil(
         removeOldCaches(),
     );
 });
 
+function urlMatchesPattern(url, regexOrString) {
+    if (regexOrString instanceof RegExp) {
+        return regexOrString.test(url);
+    }
+
+    // Strings may be relative to the ServiceWorker's location, e.g. `./index.html`
+    return regexOrString === url || new URL(regexOrString, self.location.href).href === url;
+}
+
+function getCachingStrategyEntry(url) {
+    var shouldNotCache = urlsNotToCache.some(function(regexOrString) {
+        return regexOrString && urlMatchesPattern(url, regexOrString);
+    });
+
+    if (shouldNotCache) {
+        return null;
+    }
+
+    for (var i = 0; i < cachingStrategies.length; i++) {
+        if (urlMatchesPattern(url, cachingStrategies[i].pattern)) {
+            return Object.assign({ index: i }, cachingStrategies[i]);
+        }
+    }
+
+    return null;
+}
+
+function getRuntimeCacheName(strategyEntry) {
+    // Each entry gets its own cache so that `maxEntries` only counts that entry's responses.
+    // Named by pattern rather than index so entries keep their caches when the table is reordered between builds.
+    return RUNTIME_CACHE_PREFIX + String(strategyEntry.pattern);
+}
+
+function isResponseExpired(response, maxAgeSeconds) {
+    if (!maxAgeSeconds) {
+        return false;
+    }
+
+    var cachedAt = Number(response.headers.get(CACHED_AT_HEADER)) || Date.parse(response.headers.get('date'));
+
+    if (!cachedAt) {
+        // Opaque (cross-origin, no-cors) responses don't have any headers, so their age is unknown
+        return false;
+    }
+
+    return Date.now() - cachedAt > maxAgeSeconds * 1000;
+}
+
+function addCachedAtHeader(response) {
+    if (response.type === 'opaque') {
+        return Promise.resolve(response);
+    }
+
+    return response.blob().then(function(body) {
+        var headers = new Headers(response.headers);
+
+        headers.set(CACHED_AT_HEADER, String(Date.now()));
+
+        return new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: headers,
+        });
+    });
+}
+
+function trimCache(cache, maxEntries) {
+    if (!maxEntries) {
+        return Promise.resolve();
+    }
+
+    return cache.keys().then(function(requests) {
+        // Cache keys are in insertion order, so the oldest entries are first
+        return Promise.all(
+            requests.slice(0, Math.max(0, requests.length - maxEntries)).map(function(request) {
+                return cache.delete(request);
+            }),
+        );
+    });
+}
+
+function fetchAndCacheWithLimits(request, cache, strategyEntry) {
+    return fetch(request).then(function(fetchResponse) {
+        if (!fetchResponse.ok && fetchResponse.type !== 'opaque') {
+            return fetchResponse;
+        }
+
+        addCachedAtHeader(fetchResponse.clone())
+            .then(function(responseToCache) {
+                // Delete first so re-cached URLs move to the end of the cache, i.e. become the newest entry
+                return cache.delete(request).then(function() {
+                    return cache.put(request, responseToCache);
+                });
+            })
+            .then(function() {
+                return trimCache(cache, strategyEntry.maxEntries);
+            })
+            .catch(function(cacheError) {
+                console.log('Could not cache url:', request.url, 'Failed with error:', cacheError);
+            });
+
+        return fetchResponse;
+    });
+}
+
+function getValidCachedResponse(request, cache, strategyEntry) {
+    return cache.match(request).then(function(cachedResponse) {
+        if (!cachedResponse || isResponseExpired(cachedResponse, strategyEntry.maxAgeSeconds)) {
+            return null;
+        }
+
+        return cachedResponse;
+    });
+}
+
+function respondWithCachingStrategy(request, strategyEntry) {
+    if (strategyEntry.strategy === CachingStrategies.NETWORK_ONLY || request.method !== 'GET') {
+        return fetch(request);
+    }
+
+    return caches.open(getRuntimeCacheName(strategyEntry)).then(function(cache) {
+        switch (strategyEntry.strategy) {
+            case CachingStrategies.CACHE_ONLY:
+                return getValidCachedResponse(request, cache, strategyEntry).then(function(cachedResponse) {
+                    return cachedResponse || Response.error();
+                });
+            case CachingStrategies.CACHE_FIRST:
+                return getValidCachedResponse(request, cache, strategyEntry).then(function(cachedResponse) {
+                    return cachedResponse || fetchAndCacheWithLimits(request, cache, strategyEntry);
+                });
+            case CachingStrategies.STALE_WHILE_REVALIDATE:
+                return getValidCachedResponse(request, cache, strategyEntry).then(function(cachedResponse) {
+                    var networkResponse = fetchAndCacheWithLimits(request, cache, strategyEntry);
+
+                    if (!cachedResponse) {
+                        return networkResponse;
+                    }
+
+                    networkResponse.catch(function(fetchError) {
+                        console.log('Could not revalidate url:', request.url, 'Failed with fetch error:', fetchError);
+                    });
+
+                    return cachedResponse;
+                });
+            case CachingStrategies.NETWORK_FIRST:
+                return fetchAndCacheWithLimits(request, cache, strategyEntry).catch(function(fetchError) {
+                    return getValidCachedResponse(request, cache, strategyEntry).then(function(cachedResponse) {
+                        if (!cachedResponse) {
+                            throw fetchError;
+                        }
+
+                        return cachedResponse;
+                    });
+                });
+            default:
+                console.log('Unknown caching strategy', strategyEntry.strategy, 'for url:', request.url);
+
+                return fetch(request);
+        }
+    });
+}
+
 self.addEventListener('fetch', event => {
+    if (isBackgroundSyncRequest(event.request)) {
+        event.respondWith(fetchOrQueueForSync(event.request));
+        return;
+    }
+
+    var strategyEntry = getCachingStrategyEntry(event.request.url);
+
+    function respondWithOfflineFallback(fetchError) {
+        return getOfflineFallback(event.request, fetchError);
+    }
+
+    if (strategyEntry) {
+        event.respondWith(
+            respondWithCachingStrategy(event.request, strategyEntry).catch(respondWithOfflineFallback),
+        );
+        return;
+    }
+
+    // Default strategies for URLs not in `cachingStrategies`
     event.respondWith(
         caches.open(CACHE_NAME).then(function(cache) {
             return cache.match(event.request).then(function(response) {
                 var url = event.request.url;
                 var fileRequested = url.split('/').pop();
-                var isIndexHtml = url[url.length-1] === '/' || fileRequested === 'index.html';
                 var isResourceFile = Boolean(fileRequested.match(/\.\w{2,6}$/)) && event.request.method === 'GET';
                 var shouldNotCache = urlsNotToCache.some(function (regexOrString) {
-                    return (
-                        regexOrString === url
-                        || (
-                            regexOrString
-                            && regexOrString.test
-                            && regexOrString.test(url)
-                        )
-                    );
+                    return regexOrString && urlMatchesPattern(url, regexOrString);
                 });
 
                 if (response) {
-                    // Cache hit - return response served from ServiceWorker
-                    if (isIndexHtml) {
-                        /**
-                         * If a root level file (like index.html) is requested, then function in a cache-then-network
-                         * fashion. This way, any updates to them will be shown on next page refresh while still
-                         * allowing the old versions of the files to be viewed when offline.
-                         *
-                         * Note: Since all source files have a hash appended to their names, any update in index.html
-                         * will reflect once the page is reloaded. Any change in this service worker will best be
-                         * handled by unregistering old ones.
-                         */
-                        var newIndexHtmlResponse = fetchAndCache(event, cache);
-                        var newIndexHtmlBody = newIndexHtmlResponse.then(function(res) {
-                            return res.text();
-                        });
-                        var oldIndexHtmlBody = response.clone().text();
-
-                        Promise.all([ newIndexHtmlBody, oldIndexHtmlBody ])
-                            .then(function(htmlStrings) {
-                                var newIndexHtmlText = htmlStrings[0];
-                                var oldIndexHtmlText = htmlStrings[1];
-
-                                if (newIndexHtmlText !== oldIndexHtmlText) {
-                                    /* Service worker will determine if index.html changed
-                                     * before the page actually loads, so wait until promises resolve
-                                     * before broadcasting to allow the website to continue loading
-                                     * before receiving the message.
-                                     *
-                                     * Also, clear cache first, then add the new index.html content to the
-                                     * new cache so that it's already cached for the next page reload.
-                                     */
-                                    clearCache(cache, url)
-                                        .then(function() {
-                                            return cache
-                                                .put(event.request, newIndexHtmlResponse.clone())
-                                                .catch(function(cacheError) {
-                                                    console.log('Could not cache url:', event.request.url, 'Failed with error:', cacheError);
-                                                });
-                                        })
-                                        .then(function() {
-                                            setTimeout(function() {
-                                                postMessageToClient(UPDATE_BROADCAST);
-                                            }, 5000);
-
-                                            console.log('New website version is available, deleting old cache content');
-                                        });
-                                }
-                            });
-                    }
-
+                    /*
+                     * Cache hit - return response served from ServiceWorker.
+                     *
+                     * Precached files (including index.html) are only updated by a new ServiceWorker's installation
+                     * (see `updatePrecache()`) so that the page never mixes files from different builds.
+                     * Registration notifies the page when that new ServiceWorker is waiting to be activated.
+                     */
                     return response;
                 }
 
-                if (!shouldNotCache && (isResourceFile || isIndexHtml)) {
-                    // Not cached - fetch it and then store for future network requests
+                if (!shouldNotCache && isResourceFile) {
+                    // Not in the precache manifest (e.g. fonts) - fetch it and then store for future network requests
                     return fetchAndCache(event, cache);
                 }
 
-                // Not a resource file (e.g. is an endpoint request) - do not cache it so it's fresh on every request
+                // Not a resource file (e.g. is an endpoint request or client-side route) - do not cache it so it's fresh on every request
                 return fetch(event.request);
             });
-        }),
+        }).catch(respondWithOfflineFallback),
     );
 });
@@ -0,0 +1,18 @@
+import { useAuth } from '@/utils/AuthContext';
+
+/**
+ * Signed-in user's account page; Only reachable through the `requireAuth()` route guard.
+ */
+function Account() {
+    const { user, logout } = useAuth();
+
+    return (
+        <div>
+            <h3>Account</h3>
+            <p>Signed in as {user?.name}</p>
+            <button onClick={logout}>Sign out</button>
+        </div>
+    );
+}
+
+export default Account;
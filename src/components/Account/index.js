@@ -0,0 +1,3 @@
+import Account from './Account';
+
+export default Account;
@@ -1,35 +1,63 @@
 import { useState, useEffect, useRef } from 'react';
 
+import SpinnerCircle from '@/components/ui/SpinnerCircle';
 import { fetchKitsuTitleSearch } from '@/services/KitsuAnimeSearchService';
-import { useKeyboardEvent } from '@/utils/Hooks';
+import { useTypedQuery } from '@/utils/AppRoutes';
+import { useKeyboardEvent, useQuery, QueryStatus } from '@/utils/Hooks';
 
 function AnimeSearch(props) {
-    const [ searchText, setSearchText ] = useState('');
+    // Keep the submitted search in the URL so it can be shared and restored via back/forward navigation
+    const [{ q: submittedSearchText = '' }, setQuery ] = useTypedQuery('animeSearch');
+    const [ searchText, setSearchText ] = useState(submittedSearchText);
     const [ keyDown, setKeyDown ] = useKeyboardEvent();
-    const [ searchResults, setSearchResults ] = useState([]);
     const inputRef = useRef();
 
+    // Changing the search text cancels the previous (now stale) request so it doesn't overwrite the new results
+    const { data: searchResults = [], status, refetch } = useQuery(
+        [ 'kitsuTitleSearch', submittedSearchText ],
+        async ({ signal }) => {
+            const response = await fetchKitsuTitleSearch(submittedSearchText, { signal });
+
+            return response.data.map(result => result.attributes.canonicalTitle);
+        },
+        {
+            enabled: !!submittedSearchText,
+        },
+    );
+
     const handleTyping = ({ target: { value }}) => {
         setSearchText(value);
     };
 
-    const handleSubmit = async () => {
-        const response = await fetchKitsuTitleSearch(searchText.toLowerCase());
-        const titles = response.data.map(result => result.attributes.canonicalTitle);
+    const handleSubmit = () => {
+        const newSearchText = searchText.toLowerCase();
 
-        setSearchResults(titles);
+        if (newSearchText === submittedSearchText) {
+            refetch();
+        } else {
+            setQuery({ q: newSearchText });
+        }
     };
 
-    if (keyDown === 'Enter') {
-        setKeyDown(null);
-        handleSubmit();
-    }
+    useEffect(() => {
+        // Navigating (i.e. updating the query) isn't allowed while rendering
+        if (keyDown === 'Enter') {
+            setKeyDown(null);
+            handleSubmit();
+        }
+    }, [ keyDown ]); // eslint-disable-line react-hooks/exhaustive-deps
 
     useEffect(() => {
         inputRef?.current?.focus();
     }, []);
 
     const renderSearchResults = () => {
+        if (status === QueryStatus.ERROR) {
+            return (
+                <h5>Could not search for &quot;{submittedSearchText}&quot;. Please try again.</h5>
+            );
+        }
+
         if (!searchResults.length) {
             return;
         }
@@ -60,6 +88,8 @@ function AnimeSearch(props) {
                 Search
             </button>
 
+            <SpinnerCircle show={status === QueryStatus.LOADING} />
+
             {renderSearchResults()}
         </div>
     );
@@ -1,7 +1,9 @@
 import { useContext } from 'react';
 
 import Router, { appRoutes } from '@/components/Router';
+import BackgroundSyncStatus from '@/components/BackgroundSyncStatus';
 import IncompatibleBrowserFallback from '@/components/IncompatibleBrowserFallback';
+import UpdateAvailableBanner from '@/components/UpdateAvailableBanner';
 import AppContext from '@/utils/AppContext';
 import { isMicrosoftBrowser } from '@/utils/BrowserIdentification';
 
@@ -27,7 +29,14 @@ function App() {
             wrapperProps={{
                 className: 'app text-center',
             }}
-        />
+            transitionProps={{
+                name: 'route-fade',
+                className: 'duration-02',
+            }}
+        >
+            <UpdateAvailableBanner />
+            <BackgroundSyncStatus />
+        </Router>
     );
 }
 
@@ -0,0 +1,31 @@
+import PropTypes from 'prop-types';
+
+import { useBackgroundSyncQueue } from '@/utils/Hooks';
+
+/**
+ * Status shown while requests sent offline (with `backgroundSync`) are waiting for the ServiceWorker
+ * to send them once back online.
+ */
+function BackgroundSyncStatus({
+    getMessage = numQueued => `You're offline. ${numQueued} ${numQueued === 1 ? 'change' : 'changes'} will be sent once you're back online.`,
+    onReplay,
+}) {
+    const queuedRequests = useBackgroundSyncQueue({ onReplay });
+
+    if (!queuedRequests.length) {
+        return '';
+    }
+
+    return (
+        <div className={'background-sync-status flex-center bg-secondary box-shadow-sm'} role={'status'}>
+            <span className={'mx-5px'}>{getMessage(queuedRequests.length)}</span>
+        </div>
+    );
+}
+
+BackgroundSyncStatus.propTypes = {
+    getMessage: PropTypes.func,
+    onReplay: PropTypes.func,
+};
+
+export default BackgroundSyncStatus;
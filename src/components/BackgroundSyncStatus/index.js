@@ -0,0 +1,3 @@
+import BackgroundSyncStatus from './BackgroundSyncStatus';
+
+export default BackgroundSyncStatus;
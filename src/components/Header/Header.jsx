@@ -1,6 +1,11 @@
+import ThemeToggle from '@/components/ThemeToggle';
+
 function Header(props) {
     return (
-        <div>Header</div>
+        <div>
+            Header
+            <ThemeToggle className="ml-1e" />
+        </div>
     );
 }
 
@@ -0,0 +1,19 @@
+import { useNavigate } from 'react-router';
+
+import InstallAppButton from '@/components/InstallAppButton';
+import { href } from '@/utils/AppRoutes';
+
+function Home() {
+    const navigate = useNavigate();
+
+    return (
+        <>
+            <div className={'font-brush-script font-size-2em'}>Home</div>
+            <button onClick={() => navigate(href('about'))}>Go to About</button>
+            <button onClick={() => navigate(href('animeSearch'))}>Go to anime search</button>
+            <InstallAppButton />
+        </>
+    );
+}
+
+export default Home;
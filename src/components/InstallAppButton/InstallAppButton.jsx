@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+import { isMobileBrowser, isSafariBrowser } from '@/utils/BrowserIdentification';
+import { useInstallPrompt } from '@/utils/Hooks';
+
+/**
+ * Button to install the app as a PWA.
+ *
+ * Browsers supporting `beforeinstallprompt` show their native install prompt when clicked.
+ * Safari on iOS doesn't, so it shows instructions for adding the app via "Add to Home Screen" instead.
+ * Nothing is rendered if the app is already installed, can't be installed, or was recently dismissed.
+ */
+function InstallAppButton({
+    className = '',
+    children = 'Install app',
+    dismissalDurationMs,
+}) {
+    const {
+        canInstall,
+        isInstalled,
+        isDismissed,
+        promptInstall,
+        dismiss,
+    } = useInstallPrompt({ dismissalDurationMs });
+    const [ showIosInstructions, setShowIosInstructions ] = useState(false);
+    const needsIosInstructions = !canInstall && isSafariBrowser() && isMobileBrowser({ includeTablets: true });
+
+    if (isInstalled || isDismissed || !(canInstall || needsIosInstructions)) {
+        return null;
+    }
+
+    const handleClick = () => {
+        if (canInstall) {
+            promptInstall().catch(e => console.error('Could not show the install prompt. Error =', e));
+        } else {
+            setShowIosInstructions(true);
+        }
+    };
+
+    return (
+        <>
+            <button className={className} onClick={handleClick}>
+                {children}
+            </button>
+
+            {showIosInstructions && (
+                <div className={'install-app-instructions bg-primary box-shadow-sm'} role={'dialog'} aria-label={'Install app'}>
+                    <p>
+                        To install this app, tap the Share button in the browser&apos;s toolbar,
+                        then choose &quot;Add to Home Screen&quot;.
+                    </p>
+                    <button className={'mx-5px'} onClick={() => setShowIosInstructions(false)}>
+                        Got it
+                    </button>
+                    <button className={'mx-5px'} onClick={dismiss}>
+                        Don&apos;t show again
+                    </button>
+                </div>
+            )}
+        </>
+    );
+}
+
+InstallAppButton.propTypes = {
+    className: PropTypes.string,
+    children: PropTypes.node,
+    dismissalDurationMs: PropTypes.number,
+};
+
+export default InstallAppButton;
@@ -0,0 +1,3 @@
+import InstallAppButton from './InstallAppButton';
+
+export default InstallAppButton;
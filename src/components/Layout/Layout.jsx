@@ -0,0 +1,20 @@
+import Header from '@/components/Header';
+import Footer from '@/components/Footer';
+import RouteTransition from '@/components/RouteTransition';
+
+/**
+ * Layout shared by all pages, rendering the current nested route (with transitions) between the `Header` and `Footer`.
+ */
+function Layout() {
+    return (
+        <>
+            <Header />
+            <main>
+                <RouteTransition />
+            </main>
+            <Footer />
+        </>
+    );
+}
+
+export default Layout;
@@ -0,0 +1,3 @@
+import Layout from './Layout';
+
+export default Layout;
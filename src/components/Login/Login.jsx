@@ -0,0 +1,40 @@
+import { useState } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+
+import { href } from '@/utils/AppRoutes';
+import { useAuth } from '@/utils/AuthContext';
+
+/**
+ * Sign-in page, returning the user to the page they were redirected from by a route guard, if any.
+ */
+function Login() {
+    const location = useLocation();
+    const { isAuthenticated, login } = useAuth();
+    const [ name, setName ] = useState('');
+
+    if (isAuthenticated) {
+        // The whole location, so the page's query and hash are kept too
+        return <Navigate to={location.state?.from ?? href('account')} replace />;
+    }
+
+    const handleSubmit = event => {
+        event.preventDefault();
+
+        if (name.trim()) {
+            login({ name: name.trim() });
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit}>
+            <h3>Sign in</h3>
+            <label>
+                Name
+                <input value={name} onChange={event => setName(event.target.value)} />
+            </label>
+            <button type={'submit'}>Sign in</button>
+        </form>
+    );
+}
+
+export default Login;
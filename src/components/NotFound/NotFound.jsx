@@ -0,0 +1,17 @@
+import { Link } from 'react-router-dom';
+
+import { href } from '@/utils/AppRoutes';
+
+/**
+ * Default page for URLs that don't match any route.
+ */
+function NotFound() {
+    return (
+        <div>
+            <h3>Page not found</h3>
+            <Link to={href('home')}>Go to the home page</Link>
+        </div>
+    );
+}
+
+export default NotFound;
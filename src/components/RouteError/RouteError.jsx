@@ -0,0 +1,23 @@
+import { useRouteError } from '@/components/RouteErrorBoundary';
+
+/**
+ * Default `errorElement` for routes, shown when the route throws an error.
+ */
+function RouteError() {
+    const { isChunkLoadError, retry } = useRouteError() ?? {};
+
+    return (
+        <div role={'alert'}>
+            <h3>
+                {isChunkLoadError
+                    ? 'This page could not be loaded. Please check your internet connection.'
+                    : 'Something went wrong.'}
+            </h3>
+            {retry && (
+                <button onClick={retry}>Try again</button>
+            )}
+        </div>
+    );
+}
+
+export default RouteError;
@@ -0,0 +1,3 @@
+import RouteError from './RouteError';
+
+export default RouteError;
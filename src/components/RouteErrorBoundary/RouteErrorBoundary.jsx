@@ -0,0 +1,108 @@
+import React, { useContext } from 'react';
+import PropTypes from 'prop-types';
+import { useLocation } from 'react-router-dom';
+
+import { isChunkLoadError, LazyRouteRetryContext } from '@/utils/LazyRoute';
+
+/**
+ * @typedef {Object} RouteErrorState
+ * @property {Error} error - Error thrown while rendering (or loading the code of) the route.
+ * @property {boolean} isChunkLoadError - If the error was from downloading the route's code rather than rendering it.
+ * @property {function(): void} retry - Renders the route again, re-downloading its code if that's what failed.
+ */
+
+const RouteErrorContext = React.createContext(null);
+
+/**
+ * Gets the error caught by the closest {@link RouteErrorBoundary}, for use in a route's `errorElement`.
+ *
+ * @returns {(RouteErrorState|null)}
+ */
+export function useRouteError() {
+    return useContext(RouteErrorContext);
+}
+
+
+class ErrorBoundary extends React.Component {
+    static propTypes = {
+        errorElement: PropTypes.node.isRequired,
+        resetKey: PropTypes.string,
+        children: PropTypes.node,
+    };
+
+    static getDerivedStateFromError(error) {
+        return { error };
+    }
+
+    state = {
+        error: null,
+        retryCount: 0,
+    };
+
+    componentDidCatch(error, errorInfo) {
+        console.error('Route could not be rendered. Error =', error, errorInfo?.componentStack);
+    }
+
+    componentDidUpdate(prevProps) {
+        // Navigating to a different page clears the error
+        if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+            this.retry();
+        }
+    }
+
+    retry = () => {
+        this.setState(({ retryCount }) => ({
+            error: null,
+            retryCount: retryCount + 1,
+        }));
+    };
+
+    render() {
+        const { error, retryCount } = this.state;
+
+        if (!error) {
+            return (
+                <LazyRouteRetryContext.Provider value={retryCount}>
+                    {this.props.children}
+                </LazyRouteRetryContext.Provider>
+            );
+        }
+
+        return (
+            <RouteErrorContext.Provider
+                value={{
+                    error,
+                    isChunkLoadError: isChunkLoadError(error),
+                    retry: this.retry,
+                }}
+            >
+                {this.props.errorElement}
+            </RouteErrorContext.Provider>
+        );
+    }
+}
+
+
+/**
+ * Renders `errorElement` instead of the route's `children` if they throw an error (including failing to
+ * download a lazy-loaded route's code) so the rest of the app, e.g. parent layouts, is still usable.
+ *
+ * `errorElement` can read the error and retry rendering via {@link useRouteError}.
+ * The error is also cleared when navigating to another URL.
+ */
+function RouteErrorBoundary({ errorElement, children }) {
+    const location = useLocation();
+
+    return (
+        <ErrorBoundary errorElement={errorElement} resetKey={location.key}>
+            {children}
+        </ErrorBoundary>
+    );
+}
+
+RouteErrorBoundary.propTypes = {
+    errorElement: PropTypes.node.isRequired,
+    children: PropTypes.node,
+};
+
+export default RouteErrorBoundary;
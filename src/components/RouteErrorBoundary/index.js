@@ -0,0 +1,4 @@
+import RouteErrorBoundary from './RouteErrorBoundary';
+
+export * from './RouteErrorBoundary';
+export default RouteErrorBoundary;
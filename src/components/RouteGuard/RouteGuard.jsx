@@ -0,0 +1,125 @@
+import { useContext, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Navigate, useLocation, useParams } from 'react-router-dom';
+
+import NotFound from '@/components/NotFound';
+import AppContext from '@/utils/AppContext';
+import { useAuth } from '@/utils/AuthContext';
+
+/**
+ * Result of a route's `guard`:
+ *
+ * - `true`: Allow rendering the route.
+ * - `{ redirect, replace? }`: Navigate to `redirect` instead; The blocked location is sent as `location.state.from`.
+ * - `{ fallback }`: Render `fallback` instead of the route, e.g. a sign-in prompt.
+ * - `false`: Block the route, rendering the 404 page.
+ *
+ * @typedef {(boolean|{ redirect: string, replace?: boolean }|{ fallback: React.ReactNode })} RouteGuardResult
+ */
+
+/**
+ * Condition required to render a route, (re-)evaluated whenever the URL or context state changes.
+ *
+ * @callback RouteGuardFunction
+ * @param {Object} guardArgs
+ * @param {import('react-router-dom').Location} guardArgs.location - Location being navigated to.
+ * @param {Object<string, string>} guardArgs.params - URL params of the route.
+ * @param {Object} guardArgs.appState - `AppContext` state.
+ * @param {ReturnType<useAuth>} guardArgs.auth - Current user; See `useAuth()`.
+ * @returns {(RouteGuardResult|Promise<RouteGuardResult>)}
+ */
+
+const PENDING = Symbol('pending');
+
+function isPromise(obj) {
+    return typeof obj?.then === typeof isPromise;
+}
+
+
+/**
+ * Renders `children` only if the route's `guard` allows it.
+ *
+ * Since `children` aren't rendered until then, lazy-loaded routes' code isn't downloaded for users
+ * who can't see them. Async guards show `pendingFallback` while resolving, and rejections are thrown
+ * to the closest error boundary.
+ */
+function RouteGuard({
+    guard,
+    pendingFallback = null,
+    children,
+}) {
+    const location = useLocation();
+    const params = useParams();
+    const { contextState: appState } = useContext(AppContext);
+    const auth = useAuth();
+    const [ resolvedGuard, setResolvedGuard ] = useState({ promise: null });
+
+    const guardResult = useMemo(
+        () => guard({ location, params, appState, auth }),
+        // `auth` and `params` are new objects each render, so only depend on their values
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+        [ guard, location, appState, auth.user, JSON.stringify(params) ],
+    );
+
+    useEffect(() => {
+        if (!isPromise(guardResult)) {
+            return;
+        }
+
+        let isCurrentGuard = true;
+
+        guardResult
+            .then(result => ({ result }), error => ({ error }))
+            .then(({ result, error }) => {
+                if (isCurrentGuard) {
+                    setResolvedGuard({ promise: guardResult, result, error });
+                }
+            });
+
+        return () => {
+            isCurrentGuard = false;
+        };
+    }, [ guardResult ]);
+
+    let result = guardResult;
+
+    if (isPromise(guardResult)) {
+        result = resolvedGuard.promise === guardResult ? resolvedGuard.result : PENDING;
+
+        if (resolvedGuard.promise === guardResult && resolvedGuard.error) {
+            throw resolvedGuard.error;
+        }
+    }
+
+    if (result === PENDING) {
+        return pendingFallback;
+    }
+
+    if (result === true) {
+        return children;
+    }
+
+    if (result?.redirect) {
+        return (
+            <Navigate
+                to={result.redirect}
+                replace={result.replace ?? true}
+                state={{ from: location }}
+            />
+        );
+    }
+
+    if (result && 'fallback' in result) {
+        return result.fallback;
+    }
+
+    return <NotFound />;
+}
+
+RouteGuard.propTypes = {
+    guard: PropTypes.func.isRequired,
+    pendingFallback: PropTypes.node,
+    children: PropTypes.node,
+};
+
+export default RouteGuard;
@@ -0,0 +1,3 @@
+import RouteGuard from './RouteGuard';
+
+export default RouteGuard;
@@ -0,0 +1,122 @@
+import React, { useContext, useEffect, useLayoutEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useOutlet, UNSAFE_LocationContext as LocationContext } from 'react-router-dom';
+
+import { getDurationTimeMsFromClassName } from '@/utils/Scss';
+
+/**
+ * @typedef {Object} RouteTransitionProps
+ * @property {string} name - Prefix of the CSS class hooks, i.e. `${name}-enter` and `${name}-exit`.
+ * @property {string} [className] - Classes added to each page, including a `duration-X` class for how long
+ *           exiting pages stay mounted; See `getDurationTimeMsFromClassName()`.
+ */
+
+/**
+ * Default transition for all `<RouteTransition />` outlets, set via `<Router transitionProps />`.
+ *
+ * @type {React.Context<RouteTransitionProps|null>}
+ */
+export const RouteTransitionContext = React.createContext(null);
+
+
+/**
+ * Drop-in replacement for `<Outlet />` that animates between child routes using CSS class hooks:
+ *
+ * - The entering page gets the `${name}-enter` class (except for the page rendered on first load).
+ * - The exiting page gets the `${name}-exit` class and stays mounted until its animation finishes, i.e. for
+ *   the duration in its `className`. It still renders the location it was shown for, so its content doesn't
+ *   change (e.g. to a 404) while animating out.
+ *
+ * Both pages are rendered in the same `.route-transition` grid cell so they overlap rather than stack.
+ * Without a `name` (from props or `RouteTransitionContext`), this renders the `<Outlet />` as-is.
+ *
+ * @param {Partial<RouteTransitionProps>} props - Overrides of the `RouteTransitionContext` props.
+ * @returns {JSX.Element}
+ */
+function RouteTransition(props) {
+    const { name, className = '' } = {
+        ...useContext(RouteTransitionContext),
+        ...props,
+    };
+    const outlet = useOutlet();
+    const locationContext = useContext(LocationContext);
+    const { pathname } = locationContext.location;
+    const exitDurationMs = getDurationTimeMsFromClassName(className) ?? 0;
+    const [ pages, setPages ] = useState(() => [{ id: 0, pathname, isExiting: false }]);
+    const renderedPageRef = useRef(null);
+    const exitingPagesRef = useRef(new Map()); // Entries of `id: { content, timer }`
+    const currentPage = pages[pages.length - 1];
+
+    // Render both the current page and the location it was rendered for so it can be frozen when exiting
+    const currentPageContent = (
+        <LocationContext.Provider value={locationContext}>
+            {outlet}
+        </LocationContext.Provider>
+    );
+
+    if (name && currentPage.pathname !== pathname) {
+        // Keep the last content rendered for the current page so it can animate out
+        exitingPagesRef.current.set(currentPage.id, { content: renderedPageRef.current ?? currentPageContent });
+        setPages([
+            ...pages.slice(0, -1),
+            { ...currentPage, isExiting: true },
+            { id: currentPage.id + 1, pathname, isExiting: false },
+        ]);
+    }
+
+    useLayoutEffect(() => {
+        renderedPageRef.current = currentPageContent;
+    });
+
+    useEffect(() => {
+        pages
+            .filter(page => page.isExiting && !exitingPagesRef.current.get(page.id)?.timer)
+            .forEach(page => {
+                exitingPagesRef.current.get(page.id).timer = setTimeout(() => {
+                    exitingPagesRef.current.delete(page.id);
+                    setPages(prevPages => prevPages.filter(prevPage => prevPage.id !== page.id));
+                }, exitDurationMs);
+            });
+    }, [ pages, exitDurationMs ]);
+
+    useEffect(() => {
+        const exitingPages = exitingPagesRef.current;
+
+        return () => {
+            exitingPages.forEach(({ timer }) => clearTimeout(timer));
+        };
+    }, []);
+
+    if (!name) {
+        return outlet;
+    }
+
+    return (
+        <div className={'route-transition'}>
+            {pages.map(page => {
+                const transitionClassName = page.isExiting
+                    ? `${name}-exit`
+                    : (page.id > 0 ? `${name}-enter` : '');
+
+                return (
+                    <div
+                        key={page.id}
+                        className={`${className} ${transitionClassName}`.trim()}
+                        aria-hidden={page.isExiting || undefined}
+                    >
+                        {page.isExiting
+                            ? exitingPagesRef.current.get(page.id)?.content
+                            : currentPageContent}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+RouteTransition.propTypes = {
+    name: PropTypes.string,
+    className: PropTypes.string,
+};
+
+export default RouteTransition;
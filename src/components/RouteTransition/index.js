@@ -0,0 +1,4 @@
+import RouteTransition from './RouteTransition';
+
+export * from './RouteTransition';
+export default RouteTransition;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import PropTypes from 'prop-types';
 import {
     BrowserRouter,
@@ -6,36 +6,66 @@ import {
     Routes,
     Route,
     Navigate,
+    Link as ReactRouterLink,
 } from 'react-router-dom';
 
+import Layout from '@/components/Layout';
+import NotFound from '@/components/NotFound';
+import RouteError from '@/components/RouteError';
+import RouteErrorBoundary from '@/components/RouteErrorBoundary';
+import RouteGuard from '@/components/RouteGuard';
+import { RouteTransitionContext } from '@/components/RouteTransition';
+import ScrollRestoration from '@/components/ScrollRestoration';
 import SpinnerCircle from '@/components/ui/SpinnerCircle';
+import { appRouteDefinitions, href } from '@/utils/AppRoutes';
+import { requireAuth } from '@/utils/AuthContext';
+import { useRoutePreload } from '@/utils/Hooks';
+import {
+    lazyRoute,
+    PreloadStrategies,
+    PreloadableRoutesContext,
+    preloadRoutesOnLoad,
+} from '@/utils/LazyRoute';
 
 /*
  * Lazy-load components so the page spinner is prioritized, loaded quickly, and unblocked from animating.
  * This speeds up the initial page load for the user.
  *
- * Split import() and lazy() calls from each other so that component-loading is initiated immediately
- * instead of waiting to load until they are in view. This has the net effect of allowing the Spinner
- * to load first, but then loading the rest of the components as soon as the Spinner is rendered.
- * If the promise were nested inside the lazy() call instead, then the component's .js file wouldn't be
- * requested until after the user traversed to its `path`.
+ * Each route in `appRoutes` declares when its code is downloaded (see `PreloadStrategies`) so that only the chunks
+ * the user is likely to need are downloaded on first paint, while the rest are downloaded before the
+ * user navigates to them, e.g. when hovering over an `<Anchor>` or `<Link>` pointing to them.
  */
 
-const homeImportPromise = import(/* webpackChunkName: 'Home' */ '@/components/Home');
-const Home = React.lazy(() => homeImportPromise);
+const Home = lazyRoute(() => import(/* webpackChunkName: 'Home' */ '@/components/Home'));
+
+const About = lazyRoute(() => import(/* webpackChunkName: 'About' */ '@/components/About'));
+
+const AnimeSearch = lazyRoute(() => import(/* webpackChunkName: 'AnimeSearch' */ '@/components/AnimeSearch'));
 
-const aboutImportPromise = import(/* webpackChunkName: 'About' */ '@/components/About');
-const About = React.lazy(() => aboutImportPromise);
+const Account = lazyRoute(() => import(/* webpackChunkName: 'Account' */ '@/components/Account'));
 
-const animeSearchImportPromise = import(/* webpackChunkName: 'AnimeSearch' */ '@/components/AnimeSearch');
-const AnimeSearch = React.lazy(() => animeSearchImportPromise);
+const Login = lazyRoute(() => import(/* webpackChunkName: 'Login' */ '@/components/Login'));
 
 
-/** @typedef {import('react-router-dom').RouteProps[]} Routes */
+/**
+ * @typedef {Object} AppRoute
+ * @property {string} [path] - URL path; Can be relative to (or an absolute path starting with) the parent's path.
+ * @property {boolean} [index] - If this is the parent's default child route, rendered at the parent's path.
+ * @property {React.ReactNode} element - Element to render; Layout routes render their matching child via `<Outlet />`.
+ * @property {React.ReactNode} [errorElement] - Element rendered instead of `element` if it throws an error; Can use `useRouteError()`.
+ * @property {string} [preload=PreloadStrategies.HOVER] - When to download the code of `element` if it's a `lazyRoute()`
+ *           (see `PreloadStrategies`).
+ * @property {import('@/components/RouteGuard').RouteGuardFunction} [guard] - Condition to render the route (and its children),
+ *           evaluated before its code is downloaded; Can allow, redirect, or render a fallback (see `RouteGuard`).
+ * @property {AppRoute[]} [children] - Nested routes.
+ */
+/** @typedef {AppRoute[]} Routes */
 
 /**
  * @type {Routes}
  *
+ * Paths come from `appRouteDefinitions` so that links built via `href()` always match them.
+ *
  * @see [Docs on Route with(out) nested Route children]{@link https://reactrouter.com/docs/en/v6/api#routes-and-route}
  * @see [react-router v5 docs]{@link https://github.com/remix-run/react-router/tree/v5.3.1/packages/react-router/docs/api}
  * @see [Upgrading from v5 to v6]{@link https://gist.github.com/mjackson/b5748add2795ce7448a366ae8f8ae3bb}
@@ -43,33 +73,128 @@ const AnimeSearch = React.lazy(() => animeSearchImportPromise);
 export const appRoutes = [
     {
         path: '/',
-        element: <Navigate to="/home" />,
-    },
-    {
-        path: '/home',
-        element: <Home />,
-    },
-    {
-        path: '/about',
-        element: <About />,
-    },
-    {
-        path: '/animeSearch',
-        element: <AnimeSearch />,
+        element: <Layout />,
+        errorElement: <RouteError />,
+        children: [
+            {
+                index: true,
+                element: <Navigate to={href('home')} replace />,
+            },
+            {
+                path: appRouteDefinitions.home.path,
+                element: <Home />,
+                preload: PreloadStrategies.EAGER, // Landing page
+                errorElement: <RouteError />,
+            },
+            {
+                path: appRouteDefinitions.about.path,
+                element: <About />,
+                preload: PreloadStrategies.HOVER,
+                errorElement: <RouteError />,
+            },
+            {
+                path: appRouteDefinitions.animeSearch.path,
+                element: <AnimeSearch />,
+                preload: PreloadStrategies.IDLE,
+                errorElement: <RouteError />,
+            },
+            {
+                path: appRouteDefinitions.account.path,
+                element: <Account />,
+                preload: PreloadStrategies.HOVER,
+                errorElement: <RouteError />,
+                guard: requireAuth({ redirect: href('login') }),
+            },
+            {
+                path: appRouteDefinitions.login.path,
+                element: <Login />,
+                preload: PreloadStrategies.HOVER,
+                errorElement: <RouteError />,
+            },
+            {
+                path: '*',
+                element: <NotFound />,
+            },
+        ],
     },
 ];
 
 
+/**
+ * Renders a route and its children as `<Route>` elements.
+ *
+ * Each route's element is wrapped in its own `<React.Suspense>` (and error boundary, if it has an `errorElement`)
+ * so that parent layouts stay visible while a child route is loading or if it fails.
+ * Routes with a `guard` only render their element, and thus only download its code, once the guard allows it.
+ *
+ * @param {AppRoute} route
+ * @param {React.ReactNode} fallback - Shown while the route's code is downloading.
+ * @returns {JSX.Element}
+ */
+function renderRoute(route, fallback) {
+    const {
+        path,
+        index,
+        element,
+        errorElement,
+        guard,
+        children,
+        caseSensitive,
+    } = route;
+    let routeElement = (
+        <React.Suspense fallback={fallback}>
+            {element}
+        </React.Suspense>
+    );
+
+    if (guard) {
+        routeElement = (
+            <RouteGuard guard={guard} pendingFallback={fallback}>
+                {routeElement}
+            </RouteGuard>
+        );
+    }
+
+    if (errorElement) {
+        routeElement = (
+            <RouteErrorBoundary errorElement={errorElement}>
+                {routeElement}
+            </RouteErrorBoundary>
+        );
+    }
+
+    return (
+        <Route
+            key={index ? 'index' : path}
+            path={path}
+            index={index}
+            caseSensitive={caseSensitive}
+            element={routeElement}
+        >
+            {children?.map(childRoute => renderRoute(childRoute, fallback))}
+        </Route>
+    );
+}
+
+
 /**
  * Router for automatically rendering `<Route>` entries in a react-router nested in `<React.Suspense>`.
+ * Routes can be nested via `children`, and can render an `errorElement` if they fail (see {@link AppRoute}).
+ *
+ * Lazy routes' code is downloaded based on each route's `preload` strategy, and links inside the router can preload
+ * the routes they point to (see `useRoutePreload()`).
+ *
+ * Scroll positions are restored on back/forward navigations (see `ScrollRestoration`), and layouts that render
+ * `<RouteTransition />` instead of `<Outlet />` animate between their child routes using `transitionProps`.
  *
  * @param {Object} props
- * @param {Routes} props.routes - Props used to create `<Route>` entries; Allows child components to specify nested routes themselves (e.g. REST URLs).
+ * @param {Routes} props.routes - Props used to create (nested) `<Route>` entries; Allows child components to specify nested routes themselves (e.g. REST URLs).
  * @param {React.ComponentType} [props.ReactRouter=Router.Types.SLASH] - Type of router to use.
  * @param {Object} [props.routerProps] - Props for the selected `ReactRouter`.
  * @param {React.ComponentType} [props.RouterWrapper=div] - Container to wrap the first child of {@code <React.Suspense />} in before rendering {@code <Router />}.
  * @param {Object} [props.wrapperProps] - Props to pass to the `<div>` inside `<React.Suspense>` that wraps the router.
  * @param {Object} [props.suspenseProps={fallback: Spinner}] - Fallback used in `<React.Suspense>`.
+ * @param {import('@/components/RouteTransition').RouteTransitionProps} [props.transitionProps] - CSS class hooks for route transitions; Disabled if unset.
  * @returns {JSX.Element} - React.Suspense > div > Router > Route[].
  */
 function Router({
@@ -81,24 +206,59 @@ function Router({
     suspenseProps = {
         fallback: (<SpinnerCircle show />),
     },
+    transitionProps = null,
     children,
 }) {
+    useEffect(() => {
+        preloadRoutesOnLoad(routes);
+    }, [ routes ]);
+
     return (
         <React.Suspense {...suspenseProps}>
             <RouterWrapper {...wrapperProps}>
                 <ReactRouter {...routerProps}>
-                    <Routes>
-                        {routes.map(routeProps => (
-                            <Route key={routeProps.path} {...routeProps}  />
-                        ))}
-                    </Routes>
-                    {children}
+                    <PreloadableRoutesContext.Provider value={routes}>
+                        <ScrollRestoration />
+                        <RouteTransitionContext.Provider value={transitionProps}>
+                            <Routes>
+                                {routes.map(route => renderRoute(route, suspenseProps.fallback))}
+                            </Routes>
+                        </RouteTransitionContext.Provider>
+                        {children}
+                    </PreloadableRoutesContext.Provider>
                 </ReactRouter>
             </RouterWrapper>
         </React.Suspense>
     );
 }
 
+/**
+ * react-router's `<Link>` that preloads the code of the route it points to (see `useRoutePreload()`).
+ *
+ * @param {import('react-router-dom').LinkProps} props
+ */
+export const Link = React.forwardRef(function Link({ to, ...props }, ref) {
+    const href = typeof to === typeof '' ? to : `${to.pathname ?? ''}${to.search ?? ''}${to.hash ?? ''}`;
+    const { ref: preloadRef, ...preloadProps } = useRoutePreload(href);
+
+    const handleRef = element => {
+        preloadRef(element);
+
+        if (typeof ref === typeof handleRef) {
+            ref(element);
+        } else if (ref) {
+            ref.current = element;
+        }
+    };
+
+    return <ReactRouterLink to={to} ref={handleRef} {...preloadProps} {...props} />;
+});
+
+Link.propTypes = {
+    to: PropTypes.oneOfType([ PropTypes.string, PropTypes.object ]).isRequired,
+};
+
+
 Router.Types = {
     SLASH: BrowserRouter,
     HASH: HashRouter,
@@ -111,6 +271,10 @@ Router.propTypes = {
     RouterWrapper: PropTypes.elementType,
     wrapperProps: PropTypes.object,
     suspenseProps: PropTypes.shape({ fallback: PropTypes.node }),
+    transitionProps: PropTypes.shape({
+        name: PropTypes.string.isRequired,
+        className: PropTypes.string,
+    }),
     children: PropTypes.node,
 };
 
@@ -0,0 +1,157 @@
+import { useEffect, useLayoutEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { useLocation, useNavigationType, NavigationType } from 'react-router-dom';
+
+import { scrollWindowToTop } from '@/utils/Events';
+
+/**
+ * Max time to wait for the page's content (e.g. lazy-loaded routes) to render before scrolling anyway.
+ */
+const MAX_SCROLL_WAIT_MS = 1000;
+
+/**
+ * Max number of history entries whose scroll positions are saved; The least recently visited are forgotten first.
+ */
+const MAX_SAVED_POSITIONS = 100;
+
+
+function readScrollPositions(storageKey) {
+    try {
+        return new Map(JSON.parse(self.sessionStorage.getItem(storageKey)) || []);
+    } catch (invalidStoredPositions) {
+        return new Map();
+    }
+}
+
+
+/**
+ * Calls `attemptScroll()` every animation frame until it returns true, or until `MAX_SCROLL_WAIT_MS` passes.
+ *
+ * @param {function(boolean): boolean} attemptScroll - Scrolls if possible; Receives `true` on the final attempt.
+ * @returns {function(): void} - Cancels future attempts.
+ */
+function scrollWhenReady(attemptScroll) {
+    const startTime = Date.now();
+    let animationFrame;
+
+    const tryScroll = () => {
+        const isFinalAttempt = Date.now() - startTime >= MAX_SCROLL_WAIT_MS;
+
+        if (!attemptScroll(isFinalAttempt) && !isFinalAttempt) {
+            animationFrame = requestAnimationFrame(tryScroll);
+        }
+    };
+
+    tryScroll();
+
+    return () => cancelAnimationFrame(animationFrame);
+}
+
+
+/**
+ * Scrolls the window when navigating between routes like browsers do for full page loads:
+ *
+ * - Back/forward navigations (and page reloads) restore the scroll position of that history entry.
+ * - New navigations scroll to the element matching the URL's `#hash`, or to the top of the page.
+ *
+ * Positions are saved per history entry (i.e. `location.key`) in sessionStorage so they survive reloads,
+ * keeping only the most recently visited entries.
+ * Must be rendered inside a react-router.
+ *
+ * @param {Object} props
+ * @param {string} [props.storageKey='scrollPositions'] - sessionStorage key of the saved positions.
+ */
+function ScrollRestoration({ storageKey = 'scrollPositions' }) {
+    const location = useLocation();
+    const navigationType = useNavigationType();
+    const locationKeyRef = useRef(location.key);
+    const scrollPositionsRef = useRef(null);
+
+    if (!scrollPositionsRef.current) {
+        scrollPositionsRef.current = readScrollPositions(storageKey);
+    }
+
+    useEffect(() => {
+        const { scrollRestoration } = self.history;
+        const scrollPositions = scrollPositionsRef.current;
+
+        // Prevent the browser from restoring the position before the previous page's content is rendered
+        self.history.scrollRestoration = 'manual';
+
+        const savePosition = () => {
+            // Re-insert the entry so the Map stays ordered from least to most recently visited
+            scrollPositions.delete(locationKeyRef.current);
+            scrollPositions.set(locationKeyRef.current, [ self.scrollX, self.scrollY ]);
+
+            while (scrollPositions.size > MAX_SAVED_POSITIONS) {
+                scrollPositions.delete(scrollPositions.keys().next().value);
+            }
+        };
+        const persistPositions = () => {
+            try {
+                self.sessionStorage.setItem(storageKey, JSON.stringify([ ...scrollPositions ]));
+            } catch (storageQuotaExceeded) {
+                // e.g. the storage quota is full, in which case positions are still restored until the page is reloaded
+            }
+        };
+
+        self.addEventListener('scroll', savePosition, { passive: true });
+        self.addEventListener('pagehide', persistPositions);
+
+        return () => {
+            self.history.scrollRestoration = scrollRestoration;
+            self.removeEventListener('scroll', savePosition);
+            self.removeEventListener('pagehide', persistPositions);
+            persistPositions();
+        };
+    }, [ storageKey ]);
+
+    useLayoutEffect(() => {
+        // Scroll events from here on belong to the new history entry
+        locationKeyRef.current = location.key;
+
+        const savedPosition = scrollPositionsRef.current.get(location.key);
+
+        if (navigationType === NavigationType.Pop && savedPosition) {
+            const [ x, y ] = savedPosition;
+
+            return scrollWhenReady(isFinalAttempt => {
+                const maxScrollY = document.documentElement.scrollHeight - self.innerHeight;
+
+                if (maxScrollY < y && !isFinalAttempt) {
+                    return false;
+                }
+
+                self.scrollTo(x, y);
+
+                return true;
+            });
+        }
+
+        if (location.hash) {
+            return scrollWhenReady(isFinalAttempt => {
+                const hashTarget = document.getElementById(decodeURIComponent(location.hash.slice(1)));
+
+                if (hashTarget) {
+                    hashTarget.scrollIntoView();
+                } else if (isFinalAttempt) {
+                    scrollWindowToTop();
+                }
+
+                return !!hashTarget;
+            });
+        }
+
+        scrollWindowToTop();
+        // Only scroll once per history entry, not when e.g. the navigation type changes without navigating
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [ location.key ]);
+
+    return null;
+}
+
+ScrollRestoration.propTypes = {
+    storageKey: PropTypes.string,
+};
+
+export default ScrollRestoration;
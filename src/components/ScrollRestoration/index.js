@@ -0,0 +1,3 @@
+import ScrollRestoration from './ScrollRestoration';
+
+export default ScrollRestoration;
@@ -0,0 +1,38 @@
+import PropTypes from 'prop-types';
+
+import { ThemePreferences, useTheme } from '@/utils/ThemeContext';
+
+const preferenceLabels = {
+    [ThemePreferences.SYSTEM]: 'System',
+    [ThemePreferences.LIGHT]: 'Light',
+    [ThemePreferences.DARK]: 'Dark',
+};
+
+/**
+ * Dropdown to choose between the light, dark, or OS theme.
+ */
+function ThemeToggle({ className = '' }) {
+    const { preference, setThemePreference } = useTheme();
+
+    return (
+        <label className={className}>
+            Theme{' '}
+            <select
+                value={preference}
+                onChange={e => setThemePreference(e.target.value)}
+            >
+                {Object.entries(preferenceLabels).map(([ value, label ]) => (
+                    <option key={value} value={value}>
+                        {label}
+                    </option>
+                ))}
+            </select>
+        </label>
+    );
+}
+
+ThemeToggle.propTypes = {
+    className: PropTypes.string,
+};
+
+export default ThemeToggle;
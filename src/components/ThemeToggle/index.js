@@ -0,0 +1,3 @@
+import ThemeToggle from './ThemeToggle';
+
+export default ThemeToggle;
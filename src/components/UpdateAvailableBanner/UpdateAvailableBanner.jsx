@@ -0,0 +1,95 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+
+import { activateWaitingServiceWorker, getWaitingServiceWorker } from '@/registerServiceWorker';
+import { UPDATE_BROADCAST } from '@/utils/Constants';
+import { useServiceWorkerBroadcastChannel, useStorage } from '@/utils/Hooks';
+
+/**
+ * Banner shown when a new version of the app has been installed by the ServiceWorker.
+ *
+ * Accepting the update activates the new ServiceWorker and reloads the page once it has taken control.
+ * Snoozing hides the banner for `snoozeDurationMs`, including across page reloads in the same tab.
+ */
+function UpdateAvailableBanner({
+    message = 'A new version of this app is available.',
+    snoozeDurationMs = 60 * 60 * 1000,
+}) {
+    const [ isUpdateAvailable, setIsUpdateAvailable ] = useState(false);
+    const [ isUpdating, setIsUpdating ] = useState(false);
+    const [ snoozedUntil, setSnoozedUntil ] = useStorage('updateAvailableBannerSnoozedUntil', {
+        initialValue: 0,
+        type: 'session',
+    });
+    const [ isSnoozed, setIsSnoozed ] = useState(() => snoozedUntil > Date.now());
+
+    const handleServiceWorkerMessage = useCallback(({ data }) => {
+        if (data === UPDATE_BROADCAST) {
+            setIsUpdateAvailable(true);
+        }
+    }, []);
+
+    useServiceWorkerBroadcastChannel(handleServiceWorkerMessage);
+
+    useEffect(() => {
+        // The update might have been installed before this component started listening for broadcasts
+        getWaitingServiceWorker()
+            .then(waitingServiceWorker => {
+                if (waitingServiceWorker) {
+                    setIsUpdateAvailable(true);
+                }
+            })
+            .catch(() => {});
+    }, []);
+
+    useEffect(() => {
+        if (!isSnoozed) {
+            return;
+        }
+
+        const snoozeTimeout = setTimeout(() => setIsSnoozed(false), snoozedUntil - Date.now());
+
+        return () => {
+            clearTimeout(snoozeTimeout);
+        };
+    }, [ isSnoozed, snoozedUntil ]);
+
+    const handleUpdate = async () => {
+        setIsUpdating(true);
+
+        try {
+            await activateWaitingServiceWorker();
+        } catch (e) {
+            console.error('Could not activate the new ServiceWorker. Error =', e);
+            setIsUpdating(false);
+        }
+    };
+
+    const handleSnooze = () => {
+        setSnoozedUntil(Date.now() + snoozeDurationMs);
+        setIsSnoozed(true);
+    };
+
+    if (!isUpdateAvailable || isSnoozed) {
+        return '';
+    }
+
+    return (
+        <div className={'update-available-banner flex-center bg-primary box-shadow-sm'} role={'status'}>
+            <span className={'mx-5px'}>{message}</span>
+            <button className={'mx-5px'} onClick={handleUpdate} disabled={isUpdating}>
+                {isUpdating ? 'Updating...' : 'Update'}
+            </button>
+            <button className={'mx-5px'} onClick={handleSnooze} disabled={isUpdating}>
+                Later
+            </button>
+        </div>
+    );
+}
+
+UpdateAvailableBanner.propTypes = {
+    message: PropTypes.node,
+    snoozeDurationMs: PropTypes.number,
+};
+
+export default UpdateAvailableBanner;
@@ -0,0 +1,3 @@
+import UpdateAvailableBanner from './UpdateAvailableBanner';
+
+export default UpdateAvailableBanner;
@@ -1,8 +1,54 @@
+import { useContext } from 'react';
+import { Link, useInRouterContext, UNSAFE_NavigationContext as NavigationContext } from 'react-router-dom';
 import PropTypes from 'prop-types';
 
+import { extractFinalPathnameSegmentFromUrl, getSameOriginPath, isHttpUrl } from '@/utils/BrowserNavigation';
+import { REFERRER_ALLOWED_DOMAINS } from '@/utils/Constants';
+import { useRoutePreload } from '@/utils/Hooks';
+
+function isDomainAllowed(href, allowedDomains) {
+    let hostname;
+
+    try {
+        ({ hostname } = new URL(href, self.location.href));
+    } catch (invalidUrl) {
+        return false;
+    }
+
+    return allowedDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+function ExternalLinkIcon() {
+    return (
+        <svg className="external-link-icon" viewBox="0 0 12 12" aria-hidden="true" focusable="false">
+            <path d="M5 2H2v8h8V7M7 1h4v4M11 1 5 7" fill="none" stroke="currentColor" strokeWidth="1.5" />
+        </svg>
+    );
+}
+
+/**
+ * Link that navigates client-side for the app's own pages and opens external pages in a new tab.
+ *
+ * - Same-origin URLs under the router's `basename` render react-router's `<Link>` (when inside a router), so the
+ *   SPA isn't reloaded. Links to files (e.g. `/resume.pdf`) and to same-origin pages outside of `basename` still
+ *   render `<a>` since they aren't routes.
+ * - External URLs default to `target="_blank"` with `rel="noopener noreferrer"`, omitting `noreferrer` for
+ *   domains in `referrerAllowList`.
+ * - Non-HTTP URLs (e.g. `mailto:` or `tel:`) render a plain `<a>` since they open another app rather than a page.
+ */
 function Anchor(props) {
     const cls = [ props.className ];
     const rel = [];
+    const isInRouter = useInRouterContext();
+    const { basename = '/' } = useContext(NavigationContext) ?? {};
+    const isSameOrigin = !!props.href && getSameOriginPath(props.href) != null;
+    const isExternal = !!props.href && !isSameOrigin && isHttpUrl(props.href);
+    // Path relative to the router's `basename`, i.e. the route to render; `null` if the URL isn't the app's
+    const appPath = props.href ? getSameOriginPath(props.href, basename) : null;
+    const isFile = appPath != null && extractFinalPathnameSegmentFromUrl(appPath).includes('.');
+    // Links to the app's own lazy-loaded routes download the route's code before being clicked
+    const preloadProps = useRoutePreload(isFile ? null : appPath);
+    const target = props.target ?? (isExternal ? Anchor.Targets.NEW_TAB : undefined);
 
     if (props.underlineText) {
         cls.push('underline');
@@ -12,11 +58,42 @@ function Anchor(props) {
         rel.push(props.rel);
     } else if (typeof props.rel === typeof []) {
         rel.push(...props.rel);
+    } else if (isExternal) {
+        rel.push('noopener');
+
+        if (!isDomainAllowed(props.href, props.referrerAllowList)) {
+            rel.push('noreferrer');
+        }
     }
 
-    return (
-        <a className={cls.join(' ')} href={props.href} target={props.target} rel={rel.join(' ')} {...props.aria}>
+    const linkProps = {
+        className: cls.join(' '),
+        target,
+        rel: rel.join(' ') || undefined,
+        ...preloadProps,
+        ...props.aria,
+    };
+    const children = (
+        <>
             {props.children}
+            {isExternal && props.showExternalIcon && <ExternalLinkIcon />}
+            {isExternal && props.externalDescription && (
+                <span className="sr-only">{` ${props.externalDescription}`}</span>
+            )}
+        </>
+    );
+
+    if (isInRouter && appPath != null && !isFile) {
+        return (
+            <Link to={appPath} {...linkProps}>
+                {children}
+            </Link>
+        );
+    }
+
+    return (
+        <a href={props.href} {...linkProps}>
+            {children}
         </a>
     );
 }
@@ -39,6 +116,9 @@ Anchor.propTypes = {
     ]),
     target: PropTypes.string,
     aria: PropTypes.object,
+    referrerAllowList: PropTypes.arrayOf(PropTypes.string),
+    showExternalIcon: PropTypes.bool,
+    externalDescription: PropTypes.string,
 };
 
 Anchor.defaultProps = {
@@ -46,9 +126,10 @@ Anchor.defaultProps = {
     href: '',
     children: '',
     underlineText: true,
-    rel: [ 'noopener', 'noreferrer' ],
-    target: Anchor.Targets.NEW_TAB,
     aria: {},
+    referrerAllowList: REFERRER_ALLOWED_DOMAINS,
+    showExternalIcon: false,
+    externalDescription: '',
 };
 
 export default Anchor;
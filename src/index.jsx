@@ -2,13 +2,19 @@ import { createRoot } from 'react-dom/client';
 
 import App from '@/components/App';
 import AppContext from '@/utils/AppContext';
+import AuthContext from '@/utils/AuthContext';
+import { ThemeProvider } from '@/utils/ThemeContext';
 import registerServiceWorker from '@/registerServiceWorker';
 import '@/styles/index.scss';
 
 
 const renderedApp = (
     <AppContext.Provider>
-        <App />
+        <AuthContext.Provider>
+            <ThemeProvider>
+                <App />
+            </ThemeProvider>
+        </AuthContext.Provider>
     </AppContext.Provider>
 );
 
@@ -1,4 +1,4 @@
-import { UPDATE_BROADCAST } from '@/utils/Constants';
+import { UPDATE_BROADCAST, SKIP_WAITING, REPLAY_SYNC_QUEUE } from '@/utils/Constants';
 
 /**
  * This lets the app load faster on subsequent visits in production, and gives
@@ -57,8 +57,11 @@ function broadcastMessage(message) {
         const broadcastChannel = new BroadcastChannel(process.env.BROADCAST_CHANNEL);
 
         broadcastChannel.postMessage(message);
+        broadcastChannel.close();
     } catch (e) {
-        // BroadcastChannel not defined, likely because client is using Safari or IE
+        // BroadcastChannel not defined, likely because client is using Safari or IE.
+        // Post to this window instead, which `useServiceWorkerBroadcastChannel()` also listens to.
+        self.postMessage(message, self.location.origin);
     }
 }
 
@@ -66,15 +69,29 @@ function registerValidSW(swUrl) {
     navigator.serviceWorker
         .register(swUrl)
         .then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                // An update was installed during a previous visit but is still waiting to be activated
+                broadcastMessage(UPDATE_BROADCAST);
+            }
+
+            if (!('sync' in registration)) {
+                // Background Sync API isn't supported, so tell the ServiceWorker to replay failed requests once back online
+                const replaySyncQueue = () => navigator.serviceWorker.controller?.postMessage(REPLAY_SYNC_QUEUE);
+
+                self.addEventListener('online', replaySyncQueue);
+
+                if (navigator.onLine) {
+                    replaySyncQueue();
+                }
+            }
+
             registration.onupdatefound = () => {
                 const installingWorker = registration.installing;
                 installingWorker.onstatechange = () => {
                     if (installingWorker.state === 'installed') {
                         if (navigator.serviceWorker.controller) {
-                            // At this point, the old content will have been purged and
-                            // the fresh content will have been added to the cache.
-                            // It's the perfect time to display a "New content is
-                            // available; please refresh." message in your web app.
+                            // At this point, the fresh content will have been added to the cache
+                            // and the new ServiceWorker is waiting to be activated via `activateWaitingServiceWorker()`.
                             console.log('New content is available; please refresh.');
                             broadcastMessage(UPDATE_BROADCAST);
                         } else {
@@ -116,6 +133,107 @@ function checkValidServiceWorker(swUrl) {
         });
 }
 
+/**
+ * Gets the newly-installed ServiceWorker waiting to take control of the page, if any.
+ *
+ * @returns {Promise<(ServiceWorker|null)>} - The waiting ServiceWorker.
+ */
+export async function getWaitingServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return null;
+    }
+
+    const registration = await navigator.serviceWorker.getRegistration();
+
+    return registration?.waiting ?? null;
+}
+
+/**
+ * Tells the waiting ServiceWorker to activate, waits for it to take control of the page,
+ * and then reloads the page so the new content is used.
+ *
+ * If there's no waiting ServiceWorker (e.g. it was already activated from another tab), then the
+ * page is reloaded immediately.
+ *
+ * @returns {Promise<void>}
+ */
+export async function activateWaitingServiceWorker() {
+    const waitingServiceWorker = await getWaitingServiceWorker();
+
+    if (waitingServiceWorker) {
+        const controllerChanged = new Promise(resolve => {
+            navigator.serviceWorker.addEventListener('controllerchange', resolve, { once: true });
+        });
+
+        waitingServiceWorker.postMessage(SKIP_WAITING);
+
+        await controllerChanged;
+    }
+
+    self.location.reload();
+}
+
+/**
+ * Converts a base64url-encoded VAPID key to the format required by `PushManager.subscribe()`.
+ *
+ * @param {string} base64UrlString - Base64url-encoded key.
+ * @returns {Uint8Array} - Decoded key bytes.
+ */
+function base64UrlToUint8Array(base64UrlString) {
+    const base64String = base64UrlString
+        .replace(/-/g, '+')
+        .replace(/_/g, '/')
+        .padEnd(Math.ceil(base64UrlString.length / 4) * 4, '=');
+
+    return Uint8Array.from(atob(base64String), char => char.charCodeAt(0));
+}
+
+/**
+ * Subscribes to push notifications sent from a server with the given VAPID key, reusing the
+ * existing subscription if there is one.
+ *
+ * The returned subscription should be sent to the server (e.g. via `JSON.stringify(subscription)`) so it
+ * can send pushes to this browser. Requires notification permission (see `useNotificationPermission()`).
+ *
+ * @param {string} vapidPublicKey - Server's base64url-encoded public VAPID key.
+ * @returns {Promise<PushSubscription>} - The push subscription.
+ */
+export async function subscribeToPush(vapidPublicKey) {
+    if (!('serviceWorker' in navigator) || !('PushManager' in self)) {
+        throw new Error('Push notifications are not supported in this browser.');
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    const existingSubscription = await registration.pushManager.getSubscription();
+
+    if (existingSubscription) {
+        return existingSubscription;
+    }
+
+    return await registration.pushManager.subscribe({
+        userVisibleOnly: true, // Required by Chrome; Every push must show a notification
+        applicationServerKey: base64UrlToUint8Array(vapidPublicKey),
+    });
+}
+
+/**
+ * Unsubscribes from push notifications, if subscribed.
+ *
+ * @returns {Promise<(PushSubscription|null)>} - The removed subscription so the server can be told to forget it.
+ */
+export async function unsubscribeFromPush() {
+    if (!('serviceWorker' in navigator)) {
+        return null;
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager?.getSubscription();
+
+    await subscription?.unsubscribe();
+
+    return subscription ?? null;
+}
+
 export function unregister() {
     if ('serviceWorker' in navigator) {
         navigator.serviceWorker.ready.then(registration => {
@@ -1,13 +1,24 @@
 import { getSearchUrl, kitsuTitleSearchUrl } from '@/services/Urls';
+import { HttpClient } from '@/utils/Network';
+import RequestCache from '@/utils/RequestCache';
 
-export async function fetchKitsuTitleSearch(searchText) {
-    try {
-        const response = await fetch(getSearchUrl(kitsuTitleSearchUrl, searchText));
+export const kitsuClient = new HttpClient({
+    retries: 2,
+    requestCache: new RequestCache({
+        ttl: 5 * 60 * 1000,
+        staleWhileRevalidate: 30 * 60 * 1000,
+    }),
+});
 
-        return await response.json();
-    } catch (e) {
-        console.error('Error in fetching Kitsu results: ' + e);
+/**
+ * Searches Kitsu for anime by title.
+ *
+ * @param {string} searchText - Title to search for.
+ * @param {Object} [options] - Options for `HttpClient.get()`, e.g. `{ signal }` to abort the request.
+ * @returns {Promise<Object>} - Kitsu's JSON response.
+ */
+export async function fetchKitsuTitleSearch(searchText, options) {
+    const { data } = await kitsuClient.get(getSearchUrl(kitsuTitleSearchUrl, searchText), options);
 
-        throw e;
-    }
+    return data;
 }
@@ -0,0 +1,59 @@
+// Generated from designTokens.json by DesignTokensPlugin; Edit that file instead of this one.
+
+export const themes = {
+    light: {
+        colors: {
+            primary: '#3800ff',
+            secondary: '#2800b0',
+            tertiary: '#190061',
+            light: '#e1e0e0',
+            lighter: '#edecec',
+            lightest: '#f1f0f0',
+            dark: '#282828',
+            grey: '#e8e8e8',
+            danger: '#dc3545',
+            info: '#17a2b8',
+        },
+        body: {
+            bg: '#f1f0f0',
+            color: '#282828',
+        },
+    },
+    dark: {
+        colors: {
+            primary: '#866eff',
+            secondary: '#6e54f0',
+            tertiary: '#beb4ff',
+            light: '#46464a',
+            lighter: '#303034',
+            lightest: '#1e1e21',
+            dark: '#e6e6e6',
+            grey: '#3c3c40',
+            danger: '#f05e6c',
+            info: '#40c4d8',
+        },
+        body: {
+            bg: '#1e1e21',
+            color: '#e6e6e6',
+        },
+    },
+} as const;
+
+export const defaultThemeName = 'light' as const;
+
+export const gridBreakpoints = {
+    xs: 0,
+    sm: 576,
+    md: 768,
+    lg: 992,
+    xl: 1200,
+    xxl: 1550,
+} as const;
+
+export const containerMaxWidths = {
+    sm: 540,
+    md: 720,
+    lg: 960,
+    xl: 1140,
+    xxl: 1440,
+} as const;
@@ -0,0 +1,49 @@
+import { createTypedRoutes } from '@/utils/TypedRoutes';
+
+
+/**
+ * URLs of all the app's pages, from which `appRoutes` (see `Router`) get their paths.
+ *
+ * Link to pages via `href(routeName, params, query)` rather than hard-coding paths so that links
+ * are type-checked.
+ *
+ * Routes with a static `shortcut: { name, shortName?, description? }` field are added to manifest.json's
+ * `shortcuts` at build time (see `WebAppManifestPlugin`), i.e. the long-press menu of the installed app's icon.
+ */
+export const appRouteDefinitions = {
+    home: {
+        path: '/home',
+    },
+    about: {
+        path: '/about',
+        shortcut: {
+            name: 'About',
+            description: 'About this app',
+        },
+    },
+    animeSearch: {
+        path: '/animeSearch',
+        query: {
+            q: 'string',
+        },
+        shortcut: {
+            name: 'Anime search',
+            shortName: 'Search',
+            description: 'Search for anime titles',
+        },
+    },
+    account: {
+        path: '/account',
+    },
+    login: {
+        path: '/login',
+    },
+} as const;
+
+export type AppRouteName = keyof typeof appRouteDefinitions;
+
+export const {
+    href,
+    useRouteParams,
+    useTypedQuery,
+} = createTypedRoutes(appRouteDefinitions);
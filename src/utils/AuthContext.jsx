@@ -0,0 +1,69 @@
+import { useContext, useCallback } from 'react';
+
+import ContextFactory from '@/utils/ContextFactory';
+
+
+/**
+ * @typedef {Object} AuthUser
+ * @property {string} name
+ */
+
+
+const initialState = {
+    user: null,
+};
+
+const AuthContext = ContextFactory({
+    initialState,
+    displayName: 'AuthContext',
+});
+
+
+/**
+ * Gets the current user from `AuthContext` along with functions to sign in/out.
+ *
+ * @returns {{
+ *     user: (AuthUser|null),
+ *     isAuthenticated: boolean,
+ *     login: function(AuthUser): void,
+ *     logout: function(): void,
+ * }}
+ */
+export function useAuth() {
+    const { contextState, setContextState } = useContext(AuthContext);
+
+    const login = useCallback(user => {
+        setContextState({ user });
+    }, [ setContextState ]);
+
+    const logout = useCallback(() => {
+        setContextState({ user: null });
+    }, [ setContextState ]);
+
+    return {
+        user: contextState.user,
+        isAuthenticated: !!contextState.user,
+        login,
+        logout,
+    };
+}
+
+
+/**
+ * Creates a route `guard` that only allows signed-in users, redirecting everyone else.
+ *
+ * @example
+ * { path: '/account', element: <Account />, guard: requireAuth() }
+ *
+ * @param {Object} [options]
+ * @param {string} [options.redirect='/login'] - Where to send users who aren't signed in.
+ * @returns {import('@/components/RouteGuard').RouteGuardFunction}
+ */
+export function requireAuth({
+    redirect = '/login',
+} = {}) {
+    return ({ auth }) => auth.isAuthenticated || { redirect };
+}
+
+
+export default AuthContext;
@@ -398,6 +398,60 @@ export function isUrl(url: string, {
 }
 
 
+/**
+ * Determines if a URL uses HTTP(S), as opposed to e.g. `mailto:`, `tel:`, or `javascript:`.
+ *
+ * @param url - Absolute URL or URL relative to the current page.
+ * @returns - If the URL is a valid HTTP(S) URL.
+ */
+export function isHttpUrl(url: string): boolean {
+    try {
+        return /^https?:$/.test(new URL(url, self.location.href).protocol);
+    } catch (invalidUrl) {
+        return false;
+    }
+}
+
+
+/**
+ * Gets the path (including query params and hash) of a URL if it points to the current origin,
+ * e.g. to navigate to it client-side rather than reloading the page.
+ *
+ * If the app is served from a subpath (e.g. react-router's `basename`), only URLs under it are considered
+ * the app's, and the returned path is relative to it so it can be passed to `<Link to>`/`navigate()`.
+ *
+ * @param url - Absolute URL or URL relative to the current page.
+ * @param basename - Path the app is served from.
+ * @returns - The path, or `null` if the URL is another origin's, outside of `basename`, or isn't an HTTP(S) URL (e.g. `mailto:`).
+ */
+export function getSameOriginPath(url: string, basename = '/'): string | null {
+    let parsedUrl: URL;
+
+    try {
+        parsedUrl = new URL(url, self.location.href);
+    } catch (invalidUrl) {
+        return null;
+    }
+
+    if (parsedUrl.origin !== self.location.origin) {
+        return null;
+    }
+
+    const { pathname, search, hash } = parsedUrl;
+    const normalizedBasename = `/${basename.replace(/^\/+|\/+$/g, '')}`;
+
+    if (normalizedBasename === '/') {
+        return pathname + search + hash;
+    }
+
+    if (pathname !== normalizedBasename && !pathname.startsWith(`${normalizedBasename}/`)) {
+        return null;
+    }
+
+    return (pathname.slice(normalizedBasename.length) || '/') + search + hash;
+}
+
+
 /**
  * Extracts the final pathname segment from a URL, indicated by everything between
  * the last slash and query params/hash entry.
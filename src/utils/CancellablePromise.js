@@ -1,14 +1,95 @@
-// TODO try AbortSignal: https://developer.mozilla.org/en-US/docs/Web/API/AbortSignal
+/**
+ * Error with which a {@link CancellablePromise} chain rejects once it has been cancelled.
+ */
+export class CancelledError extends Error {
+    name = 'CancelledError';
+
+    /**
+     * @param {*} [reason] - Why the promise was cancelled; Strings are used as the error message.
+     */
+    constructor(reason) {
+        super(typeof reason === typeof '' ? reason : 'Promise was cancelled');
+
+        this.reason = reason;
+    }
+}
+
+
+/**
+ * Promise that can be cancelled via `cancel()`.
+ *
+ * Each CancellablePromise chain shares an [`AbortController`]{@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController}
+ * whose `signal` is passed as the third argument to the executor and exposed as `promise.signal`, so any
+ * network request using it (e.g. `fetch(url, { signal })` or `doXhr(url, { signal })`) is aborted upon cancellation.
+ *
+ * Once cancelled, success handlers are skipped and the chain rejects with a {@link CancelledError}, which
+ * is passed to the next error handler so callers can distinguish cancellation from other errors.
+ * If that handler doesn't re-throw, the chain continues normally from its return value.
+ *
+ * @example
+ * const searchPromise = new CancellablePromise((res, rej, signal) => {
+ *     fetch(url, { signal }).then(res, rej);
+ * });
+ *
+ * searchPromise
+ *     .then(response => response.json())
+ *     .catch(e => {
+ *         if (e instanceof CancelledError) {
+ *             return;
+ *         }
+ *
+ *         throw e;
+ *     });
+ *
+ * searchPromise.cancel('New search submitted');
+ */
 class CancellablePromise extends Promise {
     cancelled = false; // If the promise has been cancelled
+    cancelledError = null; // Error the chain rejects with once this promise has been cancelled
+    cancellationHandled = false; // If an error handler already received the CancelledError, in which case this promise settles normally
     children = []; // Hierarchy tracker so child promises are aware of parent promises' `cancelled` statuses
 
-    constructor(...args) {
-        super(...args);
+    /**
+     * @param {function(resolve: function, reject: function, signal: AbortSignal): void} executor - Standard Promise executor which also receives the chain's `AbortSignal`.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - External signal which cancels this promise when aborted.
+     */
+    constructor(executor, { signal } = {}) {
+        const abortController = new AbortController();
+        let rejectPromise;
+
+        super((res, rej) => {
+            rejectPromise = rej;
+            executor(res, rej, abortController.signal);
+        });
+
+        this.abortController = abortController;
+        this.rejectPromise = rejectPromise;
         this.children.push(this);
+
+        if (signal?.aborted) {
+            this.cancel(signal.reason);
+        } else if (signal) {
+            const handleAbort = () => this.cancel(signal.reason);
+            const removeAbortListener = () => signal.removeEventListener('abort', handleAbort);
+
+            signal.addEventListener('abort', handleAbort, { once: true });
+            // Long-lived signals (e.g. shared by a whole page) would otherwise keep settled promises and their chains alive
+            Promise.prototype.then.call(this, removeAbortListener, removeAbortListener);
+        }
+
         return this;
     }
 
+    /**
+     * `AbortSignal` shared by all promises in this chain; Aborted when any of them are cancelled.
+     *
+     * @returns {AbortSignal}
+     */
+    get signal() {
+        return this.abortController.signal;
+    }
+
     /**
      * Checks this and all parent promises for if one of them was cancelled.
      * If one was cancelled, then all should be cancelled.
@@ -19,9 +100,72 @@ class CancellablePromise extends Promise {
      */
     getIsCancelled = () => this.children.some(cancellablePromise => cancellablePromise.cancelled);
 
+    /**
+     * Gets the error from the first promise in the chain that was cancelled.
+     *
+     * @returns {(CancelledError|null)}
+     */
+    getCancelledError = () => this.children.find(cancellablePromise => cancellablePromise.cancelled)?.cancelledError ?? null;
+
+    /**
+     * Makes the newly-generated promise from `.then()`/`.catch()` part of this promise's chain
+     * so that cancelling one cancels all of them.
+     *
+     * @param {CancellablePromise} resultingPromise - Promise returned from `.then()`/`.catch()`.
+     * @returns {CancellablePromise} - The same `resultingPromise`.
+     */
+    addToChain(resultingPromise) {
+        // Add the newly-generated promise to the `children` array so that if it's cancelled, it's children can know about it
+        this.children.push(resultingPromise);
+        resultingPromise.children = this.children; // We don't want a new array here b/c if a parent's `cancelled` status is changed, all children should be able to see it
+        resultingPromise.abortController = this.abortController; // Likewise, aborting any promise in the chain should abort the original request
+
+        if (this.getIsCancelled()) {
+            CancellablePromise.markRejectionHandled(resultingPromise);
+        }
+
+        return resultingPromise;
+    }
+
+    /**
+     * Prevents an `unhandledrejection` event if the promise rejects, without changing what callers
+     * awaiting the promise (or attaching their own handlers) receive.
+     *
+     * @param {Promise} promise - Promise that might reject with a CancelledError.
+     */
+    static markRejectionHandled(promise) {
+        Promise.prototype.then.call(promise, undefined, () => {});
+    }
+
+    /**
+     * Determines if the handlers attached to this promise should receive the CancelledError
+     * rather than this promise's actual result.
+     *
+     * @returns {boolean}
+     */
+    shouldForwardCancellation() {
+        return this.getIsCancelled() && !this.cancellationHandled;
+    }
+
+    /**
+     * Passes the CancelledError to an error handler and, if it doesn't throw, marks the
+     * handler's resulting promise as having handled the cancellation.
+     *
+     * @param {function} onError - Error handler from `.then()`/`.catch()`.
+     * @param {function(): CancellablePromise} getResultingPromise - Getter for the promise that `onError` will settle.
+     * @returns {*} - Result of `onError`.
+     */
+    forwardCancellation(onError, getResultingPromise) {
+        const onErrorResults = onError(this.getCancelledError());
+
+        getResultingPromise().cancellationHandled = true;
+
+        return onErrorResults;
+    }
+
     then(...args) {
         // .then() could have a single function for successes or multiple for success/failure cases
-        const onSuccess = typeof args[0] === typeof this.then ? args[0] : () => {};
+        const onSuccess = typeof args[0] === typeof this.then ? args[0] : x => x;
         const onError = typeof args[1] === typeof this.then
             ? args[1]
             : e => {
@@ -31,26 +175,22 @@ class CancellablePromise extends Promise {
         const resultingPromise = super.then.call(
             this,
             thenResults => {
-                if (this.getIsCancelled()) {
-                    return thenResults;
+                if (this.shouldForwardCancellation()) {
+                    return this.forwardCancellation(onError, () => resultingPromise);
                 }
 
                 return onSuccess(thenResults);
             },
             catchResults => {
-                if (this.getIsCancelled()) {
-                    return catchResults;
+                if (this.shouldForwardCancellation()) {
+                    return this.forwardCancellation(onError, () => resultingPromise);
                 }
 
                 return onError(catchResults);
             },
         );
 
-        // Add the newly-generated promise to the `children` array so that if it's cancelled, it's children can know about it
-        this.children.push(resultingPromise);
-        resultingPromise.children = this.children; // We don't want a new array here b/c if a parent's `cancelled` status is changed, all children should be able to see it
-
-        return resultingPromise; // Must return the new, resulting promise, not `this`, b/c each promise has a different return result
+        return this.addToChain(resultingPromise); // Must return the new, resulting promise, not `this`, b/c each promise has a different return result
     }
 
     catch(...args) {
@@ -60,40 +200,79 @@ class CancellablePromise extends Promise {
                 throw e;
             };
 
-        const resultingPromise = super.catch.call(
+        const resultingPromise = super.then.call(
             this,
+            thenResults => {
+                if (this.shouldForwardCancellation()) {
+                    return this.forwardCancellation(onError, () => resultingPromise);
+                }
+
+                return thenResults;
+            },
             catchResults => {
-                if (this.getIsCancelled()) {
-                    return catchResults;
+                if (this.shouldForwardCancellation()) {
+                    return this.forwardCancellation(onError, () => resultingPromise);
                 }
 
                 return onError(catchResults);
             },
         );
 
-        this.children.push(resultingPromise);
-        resultingPromise.children = this.children;
-
-        return resultingPromise;
+        return this.addToChain(resultingPromise);
     }
 
     finally(...args) {
         const onFinally = typeof args[0] === typeof this.finally ? args[0] : () => {};
-        const handleFinally = finallyResults => { // Want to duplicate `.finally()` function b/c it doesn't matter whether or not an error occurred
-            return onFinally(finallyResults);
+        // Like `Promise.finally()`, the handler runs whether or not an error occurred (or the chain was cancelled)
+        // and the resulting promise settles the same way as this one unless the handler throws
+        const handleFinally = (finallyResults, isRejected) => {
+            const cancelledError = this.shouldForwardCancellation() ? this.getCancelledError() : null;
+
+            return Promise.resolve(onFinally(finallyResults)).then(() => {
+                if (cancelledError) {
+                    throw cancelledError;
+                }
+
+                if (isRejected) {
+                    throw finallyResults;
+                }
+
+                return finallyResults;
+            });
         };
 
         const resultingPromise = super.then.call( // Call `.then()` since it has both success and fail handler functions
             this,
-            handleFinally,
-            handleFinally,
+            thenResults => handleFinally(thenResults, false),
+            catchResults => handleFinally(catchResults, true),
         );
 
-        return resultingPromise;
+        return this.addToChain(resultingPromise);
     }
 
-    cancel() {
+    /**
+     * Cancels this promise and all others in its chain.
+     *
+     * Aborts the chain's `signal`, skips all remaining success handlers, and rejects this
+     * promise with a {@link CancelledError} if it's still pending.
+     * Cancelling is intentional, so the chain's promises are marked as handled, i.e. they don't cause
+     * `unhandledrejection` events, while callers awaiting them still receive the CancelledError.
+     *
+     * @param {*} [reason] - Why the promise was cancelled; Available as `cancelledError.reason`.
+     * @returns {CancellablePromise} - This promise.
+     */
+    cancel(reason) {
+        if (this.getIsCancelled()) {
+            return this;
+        }
+
         this.cancelled = true;
+        this.cancelledError = new CancelledError(reason);
+
+        this.abortController.abort(this.cancelledError);
+        // No-op if already settled; Otherwise, handlers further down the chain receive the CancelledError
+        this.rejectPromise(this.cancelledError);
+        this.children.forEach(CancellablePromise.markRejectionHandled);
 
         return this;
     }
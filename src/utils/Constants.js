@@ -67,7 +67,33 @@ export const LINKS = {
 };
 
 
+/**
+ * External domains that links (see `<Anchor>`) may send the `Referer` header to, i.e. that don't get `rel="noreferrer"`.
+ * Subdomains are included, e.g. `github.com` includes `gist.github.com`.
+ */
+export const REFERRER_ALLOWED_DOMAINS = [];
+
+
 export const UPDATE_BROADCAST = 'UPDATE';
+export const SKIP_WAITING = 'SKIP_WAITING';
+export const REPLAY_SYNC_QUEUE = 'REPLAY_SYNC_QUEUE';
+/**
+ * `type` of messages broadcast by the ServiceWorker after queueing a request that failed while offline
+ * (`{ type, url, method, queued: true, queuedAt }`) and after replaying it (`{ type, url, method, queued: false, status, ok, queuedAt }`).
+ */
+export const BACKGROUND_SYNC_BROADCAST = 'BACKGROUND_SYNC';
+/**
+ * Request header opting a mutation (POST, PUT, PATCH, or DELETE) into being queued by the ServiceWorker
+ * if it fails due to a network error.
+ *
+ * Requests set it to `QUEUE`; Responses to queued requests are `202 Accepted` with it set to `QUEUED`.
+ * Credential headers (e.g. `Authorization`) aren't stored, so replayed requests are only authenticated by cookies.
+ */
+export const BACKGROUND_SYNC_HEADER = 'sw-background-sync';
+export const BackgroundSyncHeaderValues = {
+    QUEUE: 'queue',
+    QUEUED: 'queued',
+};
 
 
 export const SHOW_ELEMENT_SCROLL_THRESHOLD = 3/4;
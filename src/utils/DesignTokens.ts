@@ -0,0 +1,82 @@
+/**
+ * Typed design tokens for JS/TS, generated from `designTokens.json` along with the SCSS variables (see `DesignTokensPlugin`).
+ *
+ * @file
+ */
+
+import * as designTokens from '@/styles/designTokens.generated';
+
+
+/**
+ * Names of the themes in `designTokens.json`.
+ */
+export type ThemeName = keyof typeof designTokens.themes;
+
+/**
+ * Names of the colors every theme defines, i.e. the keys of SCSS's `$theme-colors`.
+ */
+export type ThemeColorName = keyof typeof designTokens.themes[typeof designTokens.defaultThemeName]['colors'];
+
+/**
+ * Color values (hex) by name.
+ */
+export type ThemeColors = Record<ThemeColorName, string>;
+
+/**
+ * A theme's colors plus the page's background/text colors, i.e. the CSS custom properties set for the theme.
+ */
+export type ThemePalette = ThemeColors & {
+    'body-bg': string;
+    'body-color': string;
+};
+
+export interface Theme {
+    colors: ThemeColors;
+    body: {
+        bg: string;
+        color: string;
+    };
+}
+
+export type GridBreakpointName = keyof typeof designTokens.gridBreakpoints;
+
+export type ContainerMaxWidthName = keyof typeof designTokens.containerMaxWidths;
+
+
+/**
+ * Themes from which the CSS custom properties (e.g. `var(--primary)`) are generated.
+ *
+ * Typed as `Record<ThemeName, Theme>` so type-checking fails if a theme is missing any of the colors.
+ */
+export const themes: Readonly<Record<ThemeName, Theme>> = designTokens.themes;
+
+/**
+ * Theme used by `:root` in SCSS, i.e. when neither the user nor the OS chose a theme.
+ */
+export const defaultThemeName: ThemeName = designTokens.defaultThemeName;
+
+/**
+ * Min screen width (px) of each breakpoint.
+ *
+ * Copies Bootstrap's grid breakpoints to add an extra `xxl` breakpoint for very large monitors.
+ */
+export const gridBreakpoints: Readonly<Record<GridBreakpointName, number>> = designTokens.gridBreakpoints;
+
+/**
+ * Max width (px) of `.container` at each breakpoint.
+ */
+export const containerMaxWidths: Readonly<Record<ContainerMaxWidthName, number>> = designTokens.containerMaxWidths;
+
+
+/**
+ * Flattens a theme into the CSS custom properties set for it.
+ */
+export function getThemePalette(themeName: ThemeName): ThemePalette {
+    const { colors, body } = themes[themeName];
+
+    return {
+        ...colors,
+        'body-bg': body.bg,
+        'body-color': body.color,
+    };
+}
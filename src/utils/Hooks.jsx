@@ -2,13 +2,26 @@ import {
     useState,
     useEffect,
     useCallback,
+    useContext,
     useReducer,
     useRef,
 } from 'react';
 
+import AppContext from '@/utils/AppContext';
+import CancellablePromise, { CancelledError } from '@/utils/CancellablePromise';
+import WebWorker from '@/utils/WebWorker';
 import { elementIsInClickPath, getClickPath, setDocumentScrolling } from '@/utils/Events';
 import { getQueryParams, modifyQueryParams } from '@/utils/BrowserNavigation';
+import { isInStandaloneMode } from '@/utils/BrowserIdentification';
+import {
+    PreloadStrategies,
+    PreloadableRoutesContext,
+    getLazyRoutes,
+    getPreloadStrategy,
+    preloadRoute,
+} from '@/utils/LazyRoute';
 import { objEquals } from '@/utils/Objects';
+import { BACKGROUND_SYNC_BROADCAST } from '@/utils/Constants';
 
 
 /**
@@ -243,6 +256,555 @@ export function useStorage(key, { initialValue = null, type = 'local' } = {}) {
 }
 
 
+/**
+ * Lifecycle statuses of a remote resource fetched via {@link useQuery}.
+ *
+ * @type {Object<string, string>}
+ */
+export const QueryStatus = {
+    IDLE: 'idle',
+    LOADING: 'loading',
+    SUCCESS: 'success',
+    ERROR: 'error',
+};
+
+/**
+ * Results of queries using `suspense: true`.
+ * Must be stored outside the component since suspended components lose their state.
+ *
+ * @type {Map<string, { status: string, promise: Promise, data: *, error: * }>}
+ */
+const suspenseQueries = new Map();
+
+/**
+ * Milliseconds a settled suspense query's result is kept for the suspended component to read it.
+ * Results are only read once, so any still stored after this were never used, e.g. because the
+ * component unmounted (like when navigating away) before its data loaded.
+ */
+const SUSPENSE_QUERY_UNUSED_TIMEOUT = 30 * 1000;
+
+/**
+ * Reads the result of a suspense query, starting its request if not already started.
+ *
+ * Throws the request's Promise while loading so `<React.Suspense>` shows its fallback, and
+ * throws the request's error (to be caught by an error boundary) if it failed.
+ *
+ * @param {string} keyHash - Stringified query key.
+ * @param {function(): Promise<*>} fetchData - Function to fetch the query's data.
+ * @returns {{ status: string, data: * }} - The query's result once it succeeds.
+ */
+function readSuspenseQuery(keyHash, fetchData) {
+    if (!suspenseQueries.has(keyHash)) {
+        const suspenseQuery = {
+            status: QueryStatus.LOADING,
+        };
+
+        suspenseQuery.promise = Promise.resolve()
+            .then(fetchData)
+            .then(
+                data => Object.assign(suspenseQuery, { status: QueryStatus.SUCCESS, data }),
+                error => Object.assign(suspenseQuery, { status: QueryStatus.ERROR, error }),
+            )
+            .finally(() => {
+                setTimeout(() => {
+                    // Don't remove a newer query for the same key
+                    if (suspenseQueries.get(keyHash) === suspenseQuery) {
+                        suspenseQueries.delete(keyHash);
+                    }
+                }, SUSPENSE_QUERY_UNUSED_TIMEOUT);
+            });
+
+        suspenseQueries.set(keyHash, suspenseQuery);
+    }
+
+    const suspenseQuery = suspenseQueries.get(keyHash);
+
+    if (suspenseQuery.status === QueryStatus.LOADING) {
+        throw suspenseQuery.promise;
+    }
+
+    if (suspenseQuery.status === QueryStatus.ERROR) {
+        // Allow the query to be retried, e.g. after the error boundary resets
+        suspenseQueries.delete(keyHash);
+
+        throw suspenseQuery.error;
+    }
+
+    return suspenseQuery;
+}
+
+/**
+ * @callback QueryFetcher
+ * @param {Object} queryContext
+ * @param {*} queryContext.key - The query's key.
+ * @param {AbortSignal} [queryContext.signal] - Signal aborted when the request becomes stale; Pass it to `fetch()`, `HttpClient`, `doXhr()`, etc.
+ * @returns {Promise<*>} - The query's data.
+ */
+/**
+ * Fetches a remote resource and tracks its lifecycle.
+ *
+ * The `fetcher` is called whenever the `key` changes; The previous request is cancelled, aborting its `signal`,
+ * so stale responses never overwrite newer ones. Data from the previous key is kept while the new one loads.
+ *
+ * If `suspense` is true, then the component suspends until the initial data is loaded, which means it must be
+ * rendered inside a `<React.Suspense>` (e.g. any route in `<Router>`) and errors are thrown to the nearest error boundary.
+ *
+ * @example
+ * const { data, error, status, refetch } = useQuery(
+ *     [ 'user', userId ],
+ *     ({ signal }) => client.get(`/users/${userId}`, { signal }).then(({ data }) => data),
+ *     { enabled: userId != null, refetchOnWindowFocus: true },
+ * );
+ *
+ * @param {(string|Array<*>)} key - Unique key identifying the resource; Must be JSON-serializable.
+ * @param {QueryFetcher} fetcher - Function to fetch the resource.
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - If the query should run; Useful for dependent queries or those triggered by user input.
+ * @param {number} [options.refetchInterval=0] - Milliseconds between polling requests; 0 means no polling.
+ * @param {boolean} [options.refetchOnWindowFocus=false] - If the query should be re-fetched when the window regains focus.
+ * @param {boolean} [options.suspense=false] - If the component should suspend while the initial data is loading.
+ * @param {*} [options.initialData] - Data to use before the first request completes.
+ * @returns {{
+ *      data: *;
+ *      error: *;
+ *      status: ('idle'|'loading'|'success'|'error');
+ *      refetch: function(): Promise<*>;
+ * }} - The query's state and a function to fetch it again.
+ */
+export function useQuery(key, fetcher, {
+    enabled = true,
+    refetchInterval = 0,
+    refetchOnWindowFocus = false,
+    suspense = false,
+    initialData,
+} = {}) {
+    const keyHash = JSON.stringify(key);
+    const keyRef = useRef(key);
+    const fetcherRef = useRef(fetcher);
+    const requestRef = useRef();
+    const suspenseKeyHashLoadedRef = useRef(); // Key whose suspense data has already been moved into state
+
+    keyRef.current = key;
+    fetcherRef.current = fetcher;
+
+    const suspenseQuery = (suspense && enabled && suspenseKeyHashLoadedRef.current !== keyHash)
+        ? readSuspenseQuery(keyHash, () => fetcher({ key }))
+        : null;
+
+    const [ queryState, setQueryState ] = useState(() => ({
+        keyHash,
+        data: suspenseQuery ? suspenseQuery.data : initialData,
+        error: null,
+        status: suspenseQuery
+            ? QueryStatus.SUCCESS
+            : enabled
+                ? QueryStatus.LOADING
+                : QueryStatus.IDLE,
+    }));
+
+    const refetch = useCallback(() => {
+        requestRef.current?.cancel('Query was re-fetched');
+
+        setQueryState(prevState => ({
+            ...prevState,
+            keyHash,
+            error: null,
+            status: QueryStatus.LOADING,
+        }));
+
+        const request = new CancellablePromise((res, rej, signal) => {
+            Promise.resolve()
+                .then(() => fetcherRef.current({ key: keyRef.current, signal }))
+                .then(res, rej);
+        });
+
+        requestRef.current = request;
+
+        return request.then(
+            data => {
+                setQueryState({ keyHash, data, error: null, status: QueryStatus.SUCCESS });
+
+                return data;
+            },
+            error => {
+                if (error instanceof CancelledError) {
+                    return;
+                }
+
+                setQueryState(prevState => ({ ...prevState, keyHash, error, status: QueryStatus.ERROR }));
+            },
+        );
+    }, [ keyHash ]);
+
+    useEffect(() => {
+        if (!enabled) {
+            setQueryState(prevState => ({ ...prevState, status: prevState.status === QueryStatus.LOADING ? QueryStatus.IDLE : prevState.status }));
+            return;
+        }
+
+        const usedSuspenseQuery = suspenseQueries.get(keyHash);
+
+        if (suspense && usedSuspenseQuery?.status === QueryStatus.SUCCESS) {
+            // Data was already fetched while suspended, so don't fetch it again.
+            // Remove it so future mounts get fresh data.
+            suspenseQueries.delete(keyHash);
+            suspenseKeyHashLoadedRef.current = keyHash;
+            setQueryState({ keyHash, data: usedSuspenseQuery.data, error: null, status: QueryStatus.SUCCESS });
+        } else {
+            refetch();
+        }
+
+        return () => {
+            requestRef.current?.cancel('Query key changed or component unmounted');
+        };
+    }, [ keyHash, enabled, suspense, refetch ]);
+
+    useEffect(() => {
+        if (!enabled || !refetchInterval) {
+            return;
+        }
+
+        const intervalId = setInterval(refetch, refetchInterval);
+
+        return () => clearInterval(intervalId);
+    }, [ enabled, refetchInterval, refetch ]);
+
+    useEffect(() => {
+        if (!enabled || !refetchOnWindowFocus) {
+            return;
+        }
+
+        self.addEventListener('focus', refetch);
+
+        return () => self.removeEventListener('focus', refetch);
+    }, [ enabled, refetchOnWindowFocus, refetch ]);
+
+    // State isn't updated until after the first render with a new key, so reflect the new key's status immediately
+    if (queryState.keyHash !== keyHash && enabled) {
+        return {
+            data: suspenseQuery ? suspenseQuery.data : queryState.data,
+            error: null,
+            status: suspenseQuery ? QueryStatus.SUCCESS : QueryStatus.LOADING,
+            refetch,
+        };
+    }
+
+    return {
+        data: queryState.data,
+        error: queryState.error,
+        status: queryState.status,
+        refetch,
+    };
+}
+
+
+/**
+ * Lifecycle statuses of a remote change made via {@link useMutation}.
+ *
+ * @type {Object<string, string>}
+ */
+export const MutationStatus = {
+    IDLE: 'idle',
+    PENDING: 'pending',
+    SUCCESS: 'success',
+    ERROR: 'error',
+};
+
+/**
+ * Sends a request that changes a remote resource (e.g. form submissions) and tracks its lifecycle.
+ *
+ * Optionally updates a `ContextFactory` context's state (`AppContext` by default) optimistically before
+ * the request resolves. If the request fails, the context's state is automatically rolled back to the
+ * snapshot taken before the optimistic update.
+ *
+ * Callbacks are called in the order `onMutate -> (onSuccess|onError) -> onSettled`, and `onMutate`'s return
+ * value is passed to the others for any custom logic.
+ *
+ * `mutate()` handles errors itself (they're available in the returned `error`), whereas
+ * `mutateAsync()` re-throws them for callers that want to `await` the result.
+ *
+ * @example
+ * const { mutate, status } = useMutation(
+ *     todo => client.post('/todos', todo),
+ *     {
+ *         optimisticUpdate: (contextState, todo) => ({ todos: [ ...contextState.todos, todo ]}),
+ *         onError: error => showToast(error.message),
+ *     },
+ * );
+ *
+ * @param {function(variables: *): Promise<*>} mutator - Function that sends the request.
+ * @param {Object} [options]
+ * @param {function(contextState: *, variables: *): *} [options.optimisticUpdate] - Returns the context state to set before the request resolves; Passed to `setContextState()`.
+ * @param {React.Context} [options.context=AppContext] - Context created by `ContextFactory()` to update optimistically.
+ * @param {function(variables: *, contextState: *): *} [options.onMutate] - Called before the request is sent.
+ * @param {function(data: *, variables: *, onMutateResult: *): *} [options.onSuccess] - Called if the request succeeds.
+ * @param {function(error: *, variables: *, onMutateResult: *): *} [options.onError] - Called if the request fails, after the rollback.
+ * @param {function(data: *, error: *, variables: *, onMutateResult: *): *} [options.onSettled] - Called after the request either succeeds or fails.
+ * @returns {{
+ *      mutate: function(variables: *): Promise<*>;
+ *      mutateAsync: function(variables: *): Promise<*>;
+ *      reset: function(): void;
+ *      data: *;
+ *      error: *;
+ *      variables: *;
+ *      status: ('idle'|'pending'|'success'|'error');
+ * }} - Functions to send/reset the request and its current state.
+ */
+export function useMutation(mutator, {
+    optimisticUpdate,
+    context = AppContext,
+    onMutate,
+    onSuccess,
+    onError,
+    onSettled,
+} = {}) {
+    const { contextState, setContextState } = useContext(context) || {};
+    const [ mutationState, setMutationState ] = useState({
+        data: undefined,
+        error: null,
+        variables: undefined,
+        status: MutationStatus.IDLE,
+    });
+    // Refs so `mutate()` is stable while still using the latest state/callbacks
+    const contextStateRef = useRef(contextState);
+    const optionsRef = useRef();
+    const isMountedRef = useRef(true);
+
+    contextStateRef.current = contextState;
+    optionsRef.current = { mutator, optimisticUpdate, onMutate, onSuccess, onError, onSettled };
+
+    useEffect(() => {
+        isMountedRef.current = true;
+
+        return () => {
+            isMountedRef.current = false;
+        };
+    }, []);
+
+    const setMutationStateIfMounted = useCallback(newState => {
+        if (isMountedRef.current) {
+            setMutationState(newState);
+        }
+    }, []);
+
+    const mutateAsync = useCallback(async variables => {
+        const options = optionsRef.current;
+        const contextStateSnapshot = contextStateRef.current;
+        let onMutateResult;
+        let isOptimisticallyUpdated = false;
+        let data;
+
+        setMutationStateIfMounted({
+            data: undefined,
+            error: null,
+            variables,
+            status: MutationStatus.PENDING,
+        });
+
+        try {
+            if (options.optimisticUpdate) {
+                setContextState(options.optimisticUpdate(contextStateSnapshot, variables));
+                isOptimisticallyUpdated = true;
+            }
+
+            onMutateResult = await options.onMutate?.(variables, contextStateSnapshot);
+            data = await options.mutator(variables);
+        } catch (error) {
+            // Only roll back updates that were applied, e.g. not if `context` isn't provided, so the original error isn't masked
+            if (isOptimisticallyUpdated) {
+                // Use a function so the snapshot replaces the state entirely instead of being merged into it
+                setContextState(() => contextStateSnapshot);
+            }
+
+            setMutationStateIfMounted({
+                data: undefined,
+                error,
+                variables,
+                status: MutationStatus.ERROR,
+            });
+
+            await options.onError?.(error, variables, onMutateResult);
+            await options.onSettled?.(undefined, error, variables, onMutateResult);
+
+            throw error;
+        }
+
+        setMutationStateIfMounted({
+            data,
+            error: null,
+            variables,
+            status: MutationStatus.SUCCESS,
+        });
+
+        // Outside of the `try` so errors thrown by them don't roll back the successful request
+        await options.onSuccess?.(data, variables, onMutateResult);
+        await options.onSettled?.(data, null, variables, onMutateResult);
+
+        return data;
+    }, [ setContextState, setMutationStateIfMounted ]);
+
+    const mutate = useCallback(async variables => {
+        try {
+            return await mutateAsync(variables);
+        } catch (errorAlreadyInState) {}
+    }, [ mutateAsync ]);
+
+    const reset = useCallback(() => {
+        setMutationStateIfMounted({
+            data: undefined,
+            error: null,
+            variables: undefined,
+            status: MutationStatus.IDLE,
+        });
+    }, [ setMutationStateIfMounted ]);
+
+    return {
+        ...mutationState,
+        mutate,
+        mutateAsync,
+        reset,
+    };
+}
+
+
+/**
+ * Lifecycle statuses of a function run via {@link useWorker}.
+ *
+ * @type {Object<string, string>}
+ */
+export const WorkerStatus = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    SUCCESS: 'success',
+    ERROR: 'error',
+};
+
+/**
+ * Runs a function in a [WebWorker]{@link https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API}
+ * so CPU-heavy computations don't block rendering/animations.
+ *
+ * The worker is created upon the first `run()` call and terminated when the component unmounts or `deps` change.
+ * Since synchronous functions can't be interrupted, calling `run()` while a previous run is still in progress
+ * terminates the stale run's worker and starts the new run in a fresh one.
+ *
+ * If the worker fires an `error` event (e.g. its script couldn't be parsed), the run fails and the next run
+ * uses a new worker.
+ *
+ * Note: The function is stringified (see {@link WebWorker.createFunctionWorker}), so it can only use its
+ * arguments, not variables or imports from the component's scope.
+ * It's stringified after being transpiled, so it also mustn't use syntax that Babel compiles into calls to
+ * helper functions (e.g. spread, array destructuring, async/await, or classes), which don't exist in the worker.
+ *
+ * @example
+ * const [ calculateProjections, { result: projections, status }] = useWorker((principal, rate, years) => {
+ *     const projections = [];
+ *
+ *     for (let year = 0; year < years; year++) {
+ *         projections.push(principal * Math.pow(1 + rate, year));
+ *     }
+ *
+ *     return projections;
+ * });
+ *
+ * useEffect(() => {
+ *     calculateProjections(principal, rate, years);
+ * }, [ principal, rate, years ]);
+ *
+ * @param {function(...*): *} func - Self-contained function to run in the worker.
+ * @param {Array<*>} [deps=[]] - Values which, when changed, cancel any run in progress and recreate the worker.
+ * @returns {[
+ *      function(...*): Promise<*>,
+ *      { result: *, error: *, status: ('idle'|'running'|'success'|'error') }
+ * ]} - Function to run `func` with the given args (resolves with the result or `undefined` on error/cancellation),
+ *      and the state of the latest run.
+ */
+export function useWorker(func, deps = []) {
+    const [ workerState, setWorkerState ] = useState({
+        result: undefined,
+        error: null,
+        status: WorkerStatus.IDLE,
+    });
+    const workerRef = useRef(null); // `{ worker, api }` for the current worker
+    const runningCallRef = useRef(null);
+    const funcRef = useRef(func);
+
+    funcRef.current = func;
+
+    const terminateWorker = useCallback(reason => {
+        runningCallRef.current?.cancel(reason);
+        runningCallRef.current = null;
+        workerRef.current?.worker.terminate();
+        workerRef.current = null;
+    }, []);
+
+    useEffect(() => {
+        return () => {
+            terminateWorker('Worker inputs changed');
+        };
+    }, deps); // eslint-disable-line react-hooks/exhaustive-deps
+
+    const run = useCallback(async (...args) => {
+        if (runningCallRef.current) {
+            terminateWorker('Worker was run again');
+        }
+
+        if (!workerRef.current) {
+            const worker = WebWorker.createFunctionWorker(funcRef.current);
+
+            workerRef.current = {
+                worker,
+                api: WebWorker.wrap(worker), // Rejects the running call upon `error` events
+            };
+
+            worker.addEventListener('error', () => {
+                // The worker might be unusable, so replace it in the next run
+                if (workerRef.current?.worker === worker) {
+                    workerRef.current = null;
+                }
+
+                worker.terminate();
+            });
+        }
+
+        const call = workerRef.current.api.run(...args);
+
+        runningCallRef.current = call;
+
+        setWorkerState(prevState => ({
+            ...prevState,
+            error: null,
+            status: WorkerStatus.RUNNING,
+        }));
+
+        try {
+            const result = await call;
+
+            setWorkerState({
+                result,
+                error: null,
+                status: WorkerStatus.SUCCESS,
+            });
+
+            return result;
+        } catch (error) {
+            if (!(error instanceof CancelledError)) {
+                setWorkerState({
+                    result: undefined,
+                    error,
+                    status: WorkerStatus.ERROR,
+                });
+            }
+        } finally {
+            if (runningCallRef.current === call) {
+                runningCallRef.current = null;
+            }
+        }
+    }, [ terminateWorker ]);
+
+    return [ run, workerState ];
+}
+
+
 /**
  * Hook to read URL query parameters and update a specific key-value pair.
  *
@@ -352,6 +914,60 @@ export function useWindowEvent(
 }
 
 
+/**
+ * Preloads the code of lazy-loaded routes (see {@link lazyRoute}) that a link points to, based on each route's
+ * preload strategy. Routes are read from the closest `<Router>` (see {@link PreloadableRoutesContext}):
+ *
+ * - Hovering, focusing, or touching the link preloads all of the link's routes, since it's likely to be clicked next.
+ * - Routes using `PreloadStrategies.VISIBLE` are also preloaded once the link scrolls into view.
+ *
+ * @example
+ * const preloadProps = useRoutePreload('/about');
+ * return <a href={'/about'} {...preloadProps}>About</a>;
+ *
+ * @param {?string} href - URL the link points to; Nothing is preloaded if unset.
+ * @returns {{ ref: function(Element), onMouseEnter: function, onFocus: function, onTouchStart: function }} - Props to spread on the link.
+ */
+export function useRoutePreload(href) {
+    const routes = useContext(PreloadableRoutesContext);
+    const [ element, setElement ] = useState(null);
+
+    useEffect(() => {
+        const hasVisibleStrategyRoute = getLazyRoutes(routes, href)
+            .some(route => getPreloadStrategy(route) === PreloadStrategies.VISIBLE);
+
+        if (!element || !hasVisibleStrategyRoute || !self.IntersectionObserver) {
+            return;
+        }
+
+        const observer = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                observer.disconnect();
+                preloadRoute(routes, href, { strategies: [ PreloadStrategies.VISIBLE ]}).catch(() => {});
+            }
+        });
+
+        observer.observe(element);
+
+        return () => {
+            observer.disconnect();
+        };
+    }, [ element, routes, href ]);
+
+    const handleInteraction = useCallback(() => {
+        // Errors will be shown when the route is rendered, so they can be ignored here
+        preloadRoute(routes, href).catch(() => {});
+    }, [ routes, href ]);
+
+    return {
+        ref: setElement,
+        onMouseEnter: handleInteraction,
+        onFocus: handleInteraction,
+        onTouchStart: handleInteraction,
+    };
+}
+
+
 /**
  * Gets the `key` string value from a keyboard event.
  *
@@ -640,37 +1256,272 @@ export function useTimedArrayToggle(arrayLength, intervalTimeMs, allowBackwardsT
 }
 
 
+/**
+ * Tracks the user's [notification permission]{@link https://developer.mozilla.org/en-US/docs/Web/API/Notification/permission}
+ * and allows requesting it, e.g. before calling `subscribeToPush()`.
+ *
+ * Note: Browsers only allow requesting permission in response to a user action, e.g. a click.
+ *
+ * @returns {[
+ *      ('default'|'granted'|'denied'|'unsupported'),
+ *      function(): Promise<('default'|'granted'|'denied'|'unsupported')>
+ * ]} - The current permission and a function to request it.
+ */
+export function useNotificationPermission() {
+    const isSupported = 'Notification' in self;
+    const [ permission, setPermission ] = useState(() => isSupported ? Notification.permission : 'unsupported');
+
+    useEffect(() => {
+        if (!isSupported || !navigator.permissions?.query) {
+            return;
+        }
+
+        // Permission can also be changed from the browser's settings
+        const handleChange = () => setPermission(Notification.permission);
+        const permissionStatusPromise = navigator.permissions.query({ name: 'notifications' })
+            .then(permissionStatus => {
+                permissionStatus.addEventListener('change', handleChange);
+
+                return permissionStatus;
+            })
+            .catch(() => null);
+
+        return () => {
+            permissionStatusPromise.then(permissionStatus => {
+                permissionStatus?.removeEventListener('change', handleChange);
+            });
+        };
+    }, [ isSupported ]);
+
+    const requestPermission = useCallback(async () => {
+        if (!isSupported) {
+            return 'unsupported';
+        }
+
+        const newPermission = await new Promise(resolve => {
+            // Older Safari versions only support the callback instead of returning a Promise
+            Notification.requestPermission(resolve)?.then(resolve);
+        });
+
+        setPermission(newPermission);
+
+        return newPermission;
+    }, [ isSupported ]);
+
+    return [ permission, requestPermission ];
+}
+
+
+/**
+ * The deferred `beforeinstallprompt` event.
+ *
+ * Browsers fire it once, usually during page load, i.e. possibly before any component using
+ * {@link useInstallPrompt} has mounted, so it's captured as soon as this module loads.
+ *
+ * @type {(Event|null)}
+ */
+let deferredInstallPromptEvent = null;
+
+self.addEventListener?.('beforeinstallprompt', event => {
+    // Prevent the browser's mini-infobar so the app can decide when to show its own install UI
+    event.preventDefault();
+    deferredInstallPromptEvent = event;
+});
+self.addEventListener?.('appinstalled', () => {
+    deferredInstallPromptEvent = null;
+});
+
+
+/**
+ * Allows showing the browser's PWA installation prompt from the app's own UI, e.g. an "Install" button.
+ *
+ * Captures the [`beforeinstallprompt`]{@link https://developer.mozilla.org/en-US/docs/Web/API/BeforeInstallPromptEvent}
+ * event so it can be triggered later via `promptInstall()`.
+ * Dismissals (from either the prompt itself or `dismiss()`) are remembered in localStorage so the
+ * user isn't asked again until `dismissalDurationMs` has passed.
+ *
+ * Note: Only Chromium-based browsers support `beforeinstallprompt`; For others (e.g. Safari on iOS),
+ * `canInstall` is always false and the user has to install the app manually.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.dismissalDurationMs=7 days] - How long to hide the install UI after the user dismisses it.
+ * @returns {{
+ *      canInstall: boolean,
+ *      isInstalled: boolean,
+ *      isDismissed: boolean,
+ *      outcome: ('accepted'|'dismissed'|null),
+ *      promptInstall: function(): Promise<('accepted'|'dismissed'|null)>,
+ *      dismiss: function(): void,
+ * }} - If the prompt can be shown, the user's choice from the last prompt, and functions to show or dismiss the prompt.
+ */
+export function useInstallPrompt({
+    dismissalDurationMs = 7 * 24 * 60 * 60 * 1000,
+} = {}) {
+    const [ installPromptEvent, setInstallPromptEvent ] = useState(() => deferredInstallPromptEvent);
+    const [ isInstalled, setIsInstalled ] = useState(() => isInStandaloneMode());
+    const [ outcome, setOutcome ] = useState(null);
+    const [ dismissedAt, setDismissedAt ] = useStorage('installPromptDismissedAt', { initialValue: 0 });
+    const isDismissed = dismissedAt + dismissalDurationMs > Date.now();
+
+    useEffect(() => {
+        function handleBeforeInstallPrompt(event) {
+            event.preventDefault();
+            setInstallPromptEvent(event);
+        }
+
+        function handleAppInstalled() {
+            setInstallPromptEvent(null);
+            setIsInstalled(true);
+        }
+
+        self.addEventListener('beforeinstallprompt', handleBeforeInstallPrompt);
+        self.addEventListener('appinstalled', handleAppInstalled);
+
+        return () => {
+            self.removeEventListener('beforeinstallprompt', handleBeforeInstallPrompt);
+            self.removeEventListener('appinstalled', handleAppInstalled);
+        };
+    }, []);
+
+    const promptInstall = async () => {
+        if (!installPromptEvent) {
+            return null;
+        }
+
+        // The event can only be prompted once
+        deferredInstallPromptEvent = null;
+        setInstallPromptEvent(null);
+
+        installPromptEvent.prompt();
+
+        const { outcome: userOutcome } = await installPromptEvent.userChoice;
+
+        setOutcome(userOutcome);
+
+        if (userOutcome === 'dismissed') {
+            setDismissedAt(Date.now());
+        }
+
+        return userOutcome;
+    };
+
+    const dismiss = () => {
+        setDismissedAt(Date.now());
+    };
+
+    return {
+        canInstall: Boolean(installPromptEvent) && !isInstalled && !isDismissed,
+        isInstalled,
+        isDismissed,
+        outcome,
+        promptInstall,
+        dismiss,
+    };
+}
+
+
 /**
  * Creates a new {@code BroadcastChannel} with the given name and attaches the
  * passed event listener to the channel's 'message' event.
  *
+ * Browsers without `BroadcastChannel` (e.g. older Safari versions) instead receive the messages via
+ * `postMessage()` from the ServiceWorker (to `navigator.serviceWorker`) or from the page itself (to `window`),
+ * so the listener is attached to those as a fallback.
+ *
  * @param {function} messageEventListener - 'message' event listener added to BroadcastChannel.
  * @param {string} [channelName=process.env.BROADCAST_CHANNEL] - Name of BroadcastChannel.
- * @returns {BroadcastChannel} - A new BroadcastChannel with the respective event listener and channel name.
+ * @returns {(BroadcastChannel|null)} - A new BroadcastChannel with the respective event listener and channel name, or null if unsupported.
  */
 export function useServiceWorkerBroadcastChannel(messageEventListener, channelName = process.env.BROADCAST_CHANNEL) {
     const eventName = 'message';
-    let broadcastChannel;
+    const [ broadcastChannel, setBroadcastChannel ] = useState(null);
 
-    try {
-        broadcastChannel = new BroadcastChannel(channelName);
-    } catch (e) {
-        // BroadcastChannel not defined, likely because client is using Safari or IE
-    }
+    useEffect(() => {
+        let newBroadcastChannel = null;
+
+        try {
+            newBroadcastChannel = new BroadcastChannel(channelName);
+        } catch (e) {
+            // BroadcastChannel not defined, likely because client is using Safari or IE
+        }
+
+        setBroadcastChannel(newBroadcastChannel);
+
+        return () => {
+            newBroadcastChannel?.close();
+        };
+    }, [ channelName ]);
 
     useEffect(() => {
-        if (broadcastChannel == null) {
+        if (messageEventListener == null) {
             return;
         }
 
-        if (messageEventListener != null) {
+        if (broadcastChannel != null) {
             broadcastChannel.addEventListener(eventName, messageEventListener);
+
+            return () => {
+                broadcastChannel.removeEventListener(eventName, messageEventListener);
+            };
         }
 
+        const handleFallbackMessage = event => {
+            // Ignore messages from other origins, e.g. embedded iframes
+            if (event.origin && event.origin !== self.location.origin) {
+                return;
+            }
+
+            messageEventListener(event);
+        };
+        const fallbackTargets = [ self, navigator.serviceWorker ].filter(Boolean);
+
+        fallbackTargets.forEach(target => target.addEventListener(eventName, handleFallbackMessage));
+
         return () => {
-            broadcastChannel.removeEventListener(eventName, messageEventListener);
+            fallbackTargets.forEach(target => target.removeEventListener(eventName, handleFallbackMessage));
         };
-    }, [ channelName, broadcastChannel, messageEventListener ]);
+    }, [ broadcastChannel, messageEventListener ]);
 
     return broadcastChannel;
 }
+
+
+/**
+ * Tracks the requests the ServiceWorker queued while offline (i.e. those sent with `backgroundSync`)
+ * until they're replayed.
+ *
+ * @param {Object} [options]
+ * @param {function({ url: string, method: string, status: number, ok: boolean, queuedAt: number }): void} [options.onReplay] - Called with each replayed request's result.
+ * @returns {{ url: string, method: string, queuedAt: number }[]} - Requests waiting to be replayed, oldest first.
+ */
+export function useBackgroundSyncQueue({ onReplay } = {}) {
+    const [ queuedRequests, setQueuedRequests ] = useState([]);
+    const onReplayRef = useRef(onReplay);
+
+    onReplayRef.current = onReplay;
+
+    const handleServiceWorkerMessage = useCallback(({ data }) => {
+        if (data?.type !== BACKGROUND_SYNC_BROADCAST) {
+            return;
+        }
+
+        const { url, method, queuedAt } = data;
+
+        if (data.queued) {
+            setQueuedRequests(prevQueuedRequests => [ ...prevQueuedRequests, { url, method, queuedAt }]);
+
+            return;
+        }
+
+        setQueuedRequests(prevQueuedRequests => prevQueuedRequests.filter(queuedRequest => (
+            queuedRequest.url !== url
+            || queuedRequest.method !== method
+            || queuedRequest.queuedAt !== queuedAt
+        )));
+        onReplayRef.current?.(data);
+    }, []);
+
+    useServiceWorkerBroadcastChannel(handleServiceWorkerMessage);
+
+    return queuedRequests;
+}
@@ -0,0 +1,224 @@
+import React, { useContext } from 'react';
+import { matchRoutes } from 'react-router-dom';
+
+
+/**
+ * When a lazy-loaded route's code should be downloaded.
+ *
+ * - EAGER: Immediately, e.g. for the landing page.
+ * - IDLE: Once the browser is idle, so it doesn't compete with the current page's resources.
+ * - HOVER: When a link to the route is hovered, focused, or touched, i.e. right before it's likely clicked.
+ * - VISIBLE: When a link to the route scrolls into view.
+ *
+ * Regardless of strategy, the code is downloaded when the route is rendered if it wasn't already.
+ *
+ * @type {Object<string, string>}
+ */
+export const PreloadStrategies = {
+    EAGER: 'eager',
+    IDLE: 'idle',
+    HOVER: 'hover',
+    VISIBLE: 'visible',
+};
+
+/**
+ * Number of times the closest error boundary was retried, allowing lazy routes whose code failed to download
+ * to try again.
+ *
+ * @type {React.Context<number>}
+ */
+export const LazyRouteRetryContext = React.createContext(0);
+
+/**
+ * Routes whose lazy components links can preload, provided by `<Router>` so that links (e.g. `<Anchor>`)
+ * rendered anywhere inside it can find the routes they point to.
+ *
+ * @type {React.Context<import('react-router-dom').RouteObject[]>}
+ */
+export const PreloadableRoutesContext = React.createContext([]);
+
+
+function onIdle(callback) {
+    if (self.requestIdleCallback) {
+        self.requestIdleCallback(callback);
+    } else {
+        // Safari doesn't support `requestIdleCallback()`, so wait until the current page has loaded instead
+        setTimeout(callback, 1);
+    }
+}
+
+
+/**
+ * Creates a lazy-loaded component for a route, i.e. `React.lazy()` with control over when the
+ * route's code is downloaded.
+ *
+ * Splitting the `import()` call from rendering allows downloading the code before the user navigates
+ * to the route, so the page spinner is (ideally) never shown.
+ * When it's downloaded is set by the route using the component via its `preload` property (see {@link PreloadStrategies}).
+ *
+ * @example
+ * const About = lazyRoute(() => import('@/components/About'));
+ * const appRoutes = [{ path: '/about', element: <About />, preload: PreloadStrategies.HOVER }];
+ *
+ * @param {function(): Promise<{ default: React.ComponentType }>} importer - Function calling `import()` for the route's component.
+ * @returns {React.FunctionComponent & { preload: function(): Promise }} - The lazy component, with a `preload()`
+ *          function to download its code manually.
+ */
+export function lazyRoute(importer) {
+    let importPromise = null;
+    let hasFailed = false;
+    let retryCount = 0;
+    let LazyComponent = React.lazy(preloadComponent);
+
+    function preloadComponent() {
+        if (!importPromise) {
+            importPromise = importer().catch(error => {
+                // Allow retrying, e.g. if the network was down
+                importPromise = null;
+                hasFailed = true;
+
+                throw error;
+            });
+        }
+
+        return importPromise;
+    }
+
+    function LazyRoute(props) {
+        const errorBoundaryRetryCount = useContext(LazyRouteRetryContext);
+
+        /*
+         * `React.lazy()` caches rejections forever, so a new lazy component is needed to retry downloading the code.
+         * Only do so when the error boundary showing the error is retried; Otherwise, React re-rendering
+         * the failed component would download it again immediately, failing in an endless loop while offline.
+         */
+        if (hasFailed && errorBoundaryRetryCount !== retryCount) {
+            hasFailed = false;
+            retryCount = errorBoundaryRetryCount;
+            LazyComponent = React.lazy(preloadComponent);
+        }
+
+        return React.createElement(LazyComponent, props);
+    }
+
+    LazyRoute.preload = preloadComponent;
+
+    return LazyRoute;
+}
+
+
+/**
+ * Determines if an error was caused by failing to download a lazy-loaded chunk, e.g. because the
+ * user is offline or the chunk was deleted by a newer deployment.
+ *
+ * @param {*} error
+ * @returns {boolean}
+ */
+export function isChunkLoadError(error) {
+    return error?.name === 'ChunkLoadError'
+        || /(loading (css )?chunk [\w-]+ failed)|(dynamically imported module)/i.test(error?.message);
+}
+
+
+/**
+ * Gets when a route's code should be downloaded.
+ *
+ * @param {import('react-router-dom').RouteObject & { preload?: string }} route
+ * @returns {string} - One of {@link PreloadStrategies}; Defaults to `HOVER`.
+ */
+export function getPreloadStrategy(route) {
+    return route.preload ?? PreloadStrategies.HOVER;
+}
+
+
+function isLazyRoute(route) {
+    return typeof route.element?.type?.preload === typeof isLazyRoute;
+}
+
+
+/**
+ * Downloads the code of the routes (and their children) using the `EAGER` strategy immediately,
+ * and of those using the `IDLE` strategy once the browser is idle.
+ *
+ * Routes with a `guard` (and their children) are skipped since their code shouldn't be downloaded
+ * until the guard allows rendering them.
+ *
+ * @param {import('react-router-dom').RouteObject[]} routes
+ */
+export function preloadRoutesOnLoad(routes) {
+    routes?.forEach(route => {
+        if (route.guard) {
+            return;
+        }
+
+        if (isLazyRoute(route)) {
+            const preloadStrategy = getPreloadStrategy(route);
+            const preloadComponent = () => route.element.type.preload().catch(() => {});
+
+            if (preloadStrategy === PreloadStrategies.EAGER) {
+                preloadComponent();
+            } else if (preloadStrategy === PreloadStrategies.IDLE) {
+                onIdle(preloadComponent);
+            }
+        }
+
+        preloadRoutesOnLoad(route.children);
+    });
+}
+
+
+/**
+ * Gets the routes with lazy components (created via {@link lazyRoute}) that would be rendered for the URL,
+ * including parent routes.
+ *
+ * Routes with a `guard` (and their children) are excluded since their code shouldn't be downloaded
+ * until the guard allows rendering them, e.g. not before the user logs in.
+ *
+ * @param {import('react-router-dom').RouteObject[]} routes - Routes to search, e.g. from {@link PreloadableRoutesContext}.
+ * @param {?string} href - Absolute URL or URL relative to the current page.
+ * @returns {import('react-router-dom').RouteObject[]} - Lazy routes matching the URL; Empty if the URL is unset, another origin's, or isn't a route.
+ */
+export function getLazyRoutes(routes, href) {
+    let url;
+
+    if (!href) {
+        return [];
+    }
+
+    try {
+        url = new URL(href, self.location.href);
+    } catch (invalidUrl) {
+        return [];
+    }
+
+    if (url.origin !== self.location.origin) {
+        return [];
+    }
+
+    const matches = matchRoutes(routes, url.pathname) ?? [];
+    const firstGuardedMatchIndex = matches.findIndex(({ route }) => route.guard);
+    const unguardedMatches = firstGuardedMatchIndex < 0
+        ? matches
+        : matches.slice(0, firstGuardedMatchIndex);
+
+    return unguardedMatches
+        .map(({ route }) => route)
+        .filter(isLazyRoute);
+}
+
+
+/**
+ * Downloads the code of the routes rendered for the URL if their preload strategy matches.
+ *
+ * @param {import('react-router-dom').RouteObject[]} routes - Routes to search, e.g. from {@link PreloadableRoutesContext}.
+ * @param {string} href - Absolute URL or URL relative to the current page.
+ * @param {Object} [options]
+ * @param {string[]} [options.strategies] - Only preload routes with these strategies; Defaults to all strategies.
+ * @returns {Promise<void>} - Resolves once all matching routes' code has been downloaded.
+ */
+export async function preloadRoute(routes, href, { strategies } = {}) {
+    const routesToPreload = getLazyRoutes(routes, href)
+        .filter(route => !strategies || strategies.includes(getPreloadStrategy(route)));
+
+    await Promise.all(routesToPreload.map(route => route.element.type.preload()));
+}
@@ -1,4 +1,6 @@
+import { MimeTypes, BACKGROUND_SYNC_HEADER, BackgroundSyncHeaderValues } from '@/utils/Constants';
 import { blobToBase64 } from '@/utils/Text';
+import RequestCache from '@/utils/RequestCache';
 
 export const HttpMethods = {
     GET: 'GET',
@@ -13,6 +15,632 @@ export const HttpMethods = {
 };
 
 
+/**
+ * HTTP methods that can safely be re-sent without altering server state any more than
+ * the first request did, i.e. those that can be retried automatically.
+ *
+ * @type {Set<string>}
+ * @see [MDN docs]{@link https://developer.mozilla.org/en-US/docs/Glossary/Idempotent}
+ */
+export const IdempotentHttpMethods = new Set([
+    HttpMethods.GET,
+    HttpMethods.HEAD,
+    HttpMethods.OPTIONS,
+    HttpMethods.PUT,
+    HttpMethods.DELETE,
+    HttpMethods.TRACE,
+]);
+
+
+/**
+ * Error thrown when a network response has a non-2xx status.
+ *
+ * Carries all the info from the response so that callers can handle errors based on
+ * their content rather than having to re-parse the response themselves.
+ */
+export class HttpError extends Error {
+    name = 'HttpError';
+
+    /**
+     * @param {Object} options
+     * @param {string} [options.message] - Error message; Defaults to one generated from the status.
+     * @param {string} options.url - URL of the failed request.
+     * @param {string} [options.method] - HttpMethod of the failed request.
+     * @param {number} options.status - Response status code.
+     * @param {string} [options.statusText] - Response status text.
+     * @param {Object<string, string>} [options.headers] - Response headers.
+     * @param {*} [options.body] - Parsed response body.
+     * @param {(Response|XMLHttpRequest)} [options.response] - Original `fetch` response or `XMLHttpRequest` instance.
+     */
+    constructor({
+        message,
+        url,
+        method = HttpMethods.GET,
+        status,
+        statusText = '',
+        headers = {},
+        body,
+        response,
+    } = {}) {
+        super(message || `${method} ${url} failed with status ${status}${statusText ? ` (${statusText})` : ''}`);
+
+        this.url = url;
+        this.method = method;
+        this.status = status;
+        this.statusText = statusText;
+        this.headers = headers;
+        this.body = body;
+        this.response = response;
+    }
+}
+
+
+/**
+ * Error thrown when a network request fails to complete, i.e. no response was received at all
+ * (e.g. no internet connection, CORS blocked, DNS failure, etc.).
+ */
+export class NetworkError extends Error {
+    name = 'NetworkError';
+
+    /**
+     * @param {Object} options
+     * @param {string} [options.message] - Error message.
+     * @param {string} options.url - URL of the failed request.
+     * @param {string} [options.method] - HttpMethod of the failed request.
+     * @param {XMLHttpRequest} [options.xhr] - XHR instance that made the request, if any.
+     * @param {Event} [options.event] - Event that triggered the failure, if any.
+     * @param {*} [options.cause] - Error that caused the failure, if any, e.g. the `TypeError` from `fetch()`.
+     */
+    constructor({
+        message,
+        url,
+        method = HttpMethods.GET,
+        xhr,
+        event,
+        cause,
+    } = {}) {
+        super(message || `${method} ${url} failed to complete`);
+
+        this.url = url;
+        this.method = method;
+        this.xhr = xhr;
+        this.event = event;
+        this.cause = cause;
+    }
+}
+
+
+/**
+ * Error thrown when a network request takes longer than its allotted timeout.
+ */
+export class TimeoutError extends NetworkError {
+    name = 'TimeoutError';
+
+    constructor({ timeout, ...options } = {}) {
+        super({
+            message: `${options.method || HttpMethods.GET} ${options.url} timed out after ${timeout} ms`,
+            ...options,
+        });
+
+        this.timeout = timeout;
+    }
+}
+
+
+/**
+ * Error thrown when a network request is aborted, e.g. via `xhr.abort()` or an `AbortSignal`.
+ *
+ * Shares its `name` with the `DOMException` thrown by an aborted `fetch()` so both can be
+ * handled the same way.
+ */
+export class AbortError extends NetworkError {
+    name = 'AbortError';
+
+    constructor({ reason, ...options } = {}) {
+        super({
+            message: `${options.method || HttpMethods.GET} ${options.url} was aborted`,
+            ...options,
+        });
+
+        this.reason = reason;
+    }
+}
+
+
+/**
+ * Converts `fetch` response headers to a plain object.
+ *
+ * @param {Headers} [headers] - Headers from a `fetch` response.
+ * @returns {Object<string, string>} - Header key-value map with lower-cased keys.
+ */
+export function headersToObj(headers) {
+    if (!headers || typeof headers.forEach !== typeof headersToObj) {
+        return {};
+    }
+
+    const headersObj = {};
+
+    headers.forEach((value, key) => {
+        headersObj[key.toLowerCase()] = value;
+    });
+
+    return headersObj;
+}
+
+
+/**
+ * Parses a `fetch` response's body based on the desired type.
+ *
+ * If `responseType` is `auto`, then the type is chosen from the response's `Content-Type` header.
+ * Responses without a `Content-Type` are read as text and parsed as JSON if possible.
+ *
+ * @param {Response} response - Response from `fetch`.
+ * @param {('auto'|'json'|'text'|'blob'|'raw')} [responseType='auto'] - How to parse the body; `raw` returns the response as-is.
+ * @returns {Promise<*>} - The parsed body.
+ */
+export async function parseResponseBody(response, responseType = 'auto') {
+    if (responseType === 'raw') {
+        return response;
+    }
+
+    if (responseType === 'json') {
+        return await response.json();
+    }
+
+    if (responseType === 'text') {
+        return await response.text();
+    }
+
+    if (responseType === 'blob') {
+        return await response.blob();
+    }
+
+    const contentType = response.headers?.get?.('Content-Type') || '';
+
+    if (response.status === 204) {
+        return null;
+    }
+
+    if (/json/i.test(contentType)) {
+        return await response.json();
+    }
+
+    if (/^text\/|xml/i.test(contentType)) {
+        return await response.text();
+    }
+
+    if (contentType && typeof response.blob === typeof parseResponseBody) {
+        return await response.blob();
+    }
+
+    const text = await response.text();
+
+    try {
+        return JSON.parse(text);
+    } catch (notJsonError) {
+        return text;
+    }
+}
+
+
+/**
+ * Waits before retrying a request, rejecting early with an {@link AbortError} if the request's `signal` is aborted.
+ *
+ * @param {Object} config - Config of the request to retry.
+ * @param {number} delayMs - Milliseconds to wait.
+ * @returns {Promise<void>}
+ */
+function waitBeforeRetry({ url, method, signal }, delayMs) {
+    return new Promise((res, rej) => {
+        const rejectAsAborted = () => {
+            clearTimeout(retryTimeout);
+            rej(new AbortError({ url, method, reason: signal.reason }));
+        };
+        const retryTimeout = setTimeout(() => {
+            signal?.removeEventListener('abort', rejectAsAborted);
+            res();
+        }, delayMs);
+
+        signal?.addEventListener('abort', rejectAsAborted, { once: true });
+    });
+}
+
+
+/**
+ * Client wrapping `fetch` with a base URL, request/response interceptors, body parsing,
+ * retries, and typed errors so that services don't each need their own error handling.
+ *
+ * Request interceptors receive the `RequestInit`-like config (including `url`) and return
+ * the (modified) config. Response interceptors receive the parsed result object
+ * (`{ data, status, headers, response, config }`) and return the (modified) result.
+ * Both may be async.
+ *
+ * Non-2xx responses reject with an {@link HttpError}. Idempotent requests are retried
+ * with exponential backoff on network failures and on `retryStatuses`.
+ *
+ * @example
+ * const client = new HttpClient({ baseUrl: 'https://example.com/api' });
+ *
+ * client.interceptors.request.use(config => ({
+ *     ...config,
+ *     headers: { ...config.headers, Authorization: `Bearer ${token}` },
+ * }));
+ *
+ * try {
+ *     const { data } = await client.get('/users', { query: { page: 2 }});
+ * } catch (e) {
+ *     if (e instanceof HttpError && e.status === 401) {
+ *         logout();
+ *     }
+ * }
+ */
+export class HttpClient {
+    static Methods = HttpMethods;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl=''] - URL prepended to all relative request URLs.
+     * @param {Object<string, string>} [options.headers] - Headers sent with every request.
+     * @param {('auto'|'json'|'text'|'blob'|'raw')} [options.responseType='auto'] - Default response body type.
+     * @param {number} [options.retries=0] - Number of times to retry idempotent requests.
+     * @param {number} [options.retryDelayMs=300] - Delay before the first retry; Doubles every retry after.
+     * @param {number[]} [options.retryStatuses] - Response statuses that trigger a retry.
+     * @param {(RequestCache|boolean)} [options.requestCache] - Cache used to dedupe and store GET responses; `true` creates a new one with default options.
+     * @param {RequestInit} [options.fetchOptions] - Other options passed to every `fetch()` call, e.g. `{ credentials: 'include' }`.
+     */
+    constructor({
+        baseUrl = '',
+        headers = {},
+        responseType = 'auto',
+        retries = 0,
+        retryDelayMs = 300,
+        retryStatuses = [ 408, 429, 500, 502, 503, 504 ],
+        requestCache,
+        fetchOptions = {},
+    } = {}) {
+        this.baseUrl = baseUrl;
+        this.requestCache = requestCache === true ? new RequestCache() : requestCache;
+        this.defaults = {
+            headers,
+            responseType,
+            retries,
+            retryDelayMs,
+            retryStatuses,
+            ...fetchOptions,
+        };
+        this.interceptors = {
+            request: HttpClient.createInterceptorChain(),
+            response: HttpClient.createInterceptorChain(),
+        };
+    }
+
+    /**
+     * Creates a list of interceptor functions that are run in the order they were added.
+     *
+     * @returns {{ use: function(function): function(): void, run: function(*): Promise<*>, handlers: function[] }} -
+     *          Chain with `use(handler)` returning a function to remove said handler.
+     */
+    static createInterceptorChain() {
+        const handlers = [];
+
+        return {
+            handlers,
+            use(handler) {
+                handlers.push(handler);
+
+                return () => {
+                    const index = handlers.indexOf(handler);
+
+                    if (index >= 0) {
+                        handlers.splice(index, 1);
+                    }
+                };
+            },
+            async run(value) {
+                for (const handler of [ ...handlers ]) {
+                    value = await handler(value);
+                }
+
+                return value;
+            },
+        };
+    }
+
+    /**
+     * Resolves the full URL of a request, including any query parameters.
+     *
+     * @param {string} url - Absolute URL or one relative to `baseUrl`.
+     * @param {Object<string, *>} [query] - Query parameters to append.
+     * @returns {string} - Full URL.
+     */
+    getUrl(url, query) {
+        let fullUrl = url;
+
+        if (this.baseUrl && !/^[a-z][a-z\d+.-]*:/i.test(url)) {
+            fullUrl = `${this.baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+        }
+
+        const queryString = new URLSearchParams(
+            Object.entries(query || {}).filter(([ , value ]) => value != null),
+        ).toString();
+
+        if (queryString) {
+            fullUrl += (fullUrl.includes('?') ? '&' : '?') + queryString;
+        }
+
+        return fullUrl;
+    }
+
+    /**
+     * Gets the key of a GET request in the `requestCache`.
+     *
+     * Requests with different headers (e.g. the `Authorization` header added by an interceptor) get different keys
+     * so that e.g. one user's response isn't returned to another. Keys start with the URL so they can be
+     * invalidated by URL prefix.
+     *
+     * @param {Object} config - Config from the request interceptors.
+     * @returns {string} - Cache key.
+     */
+    getCacheKey(config) {
+        const headerEntries = Object.entries(config.headers || {})
+            .filter(([ , value ]) => value != null)
+            .map(([ key, value ]) => [ key.toLowerCase(), String(value) ])
+            .sort(([ keyA ], [ keyB ]) => keyA.localeCompare(keyB));
+
+        if (!headerEntries.length) {
+            return config.url;
+        }
+
+        return `${config.url} ${JSON.stringify(headerEntries)}`;
+    }
+
+    /**
+     * Sends a network request.
+     *
+     * Plain-object and array bodies are automatically JSON-stringified.
+     *
+     * If the client has a `requestCache`, then identical in-flight GET requests share the same
+     * response and responses are cached per the `requestCacheOptions`. Requests are identical if they have
+     * the same URL and headers (see {@link HttpClient#getCacheKey}), or the same `requestCacheOptions.key`.
+     * Only the response's data, status, and headers are cached, so `response` is `undefined` in their results.
+     *
+     * @param {string} url - Absolute URL or one relative to `baseUrl`.
+     * @param {Object} [options] - Any `RequestInit` options as well as the ones below; Overrides the client's defaults.
+     * @param {string} [options.method='GET'] - HttpMethod to use.
+     * @param {Object<string, *>} [options.query] - Query parameters to append to the URL.
+     * @param {*} [options.body] - Request body.
+     * @param {('auto'|'json'|'text'|'blob'|'raw')} [options.responseType] - How to parse the response body.
+     * @param {number} [options.retries] - Number of times to retry if the method is idempotent.
+     * @param {(import('@/utils/RequestCache').RequestCacheOptions|false)} [options.requestCacheOptions] - Cache options for GET requests; `false` bypasses the cache.
+     * @param {string} [options.requestCacheOptions.key] - Cache key to use instead of one generated from the URL and headers.
+     * @param {boolean} [options.backgroundSync=false] - Let the ServiceWorker queue the request (if it's a mutation) when offline and
+     *                                                   send it once back online; The result's `queued` is `true` if it was queued.
+     * @returns {Promise<{ data: *, status: number, statusText: string, headers: Object<string, string>, response: Response, config: Object, queued: boolean }>}
+     * @throws {HttpError} - If the response status isn't 2xx.
+     * @throws {NetworkError} - If no response was received, e.g. when offline; {@link AbortError} if aborted via `signal`.
+     */
+    async request(url, options = {}) {
+        const config = await this.interceptors.request.run({
+            ...this.defaults,
+            ...options,
+            method: (options.method || HttpMethods.GET).toUpperCase(),
+            headers: {
+                ...this.defaults.headers,
+                ...options.headers,
+            },
+            url: this.getUrl(url, options.query),
+        });
+        const { requestCacheOptions = {}, signal } = config;
+
+        if (!this.requestCache || requestCacheOptions === false || config.method !== HttpMethods.GET) {
+            return await this.sendWithRetries(config);
+        }
+
+        // The request is shared between callers, so one caller's signal shouldn't abort it for the others
+        const cachedResponsePromise = this.requestCache.fetch(
+            requestCacheOptions.key ?? this.getCacheKey(config),
+            async () => {
+                // The `Response` can't be reused since its body was already read, and each caller has its own config
+                const { response, config: sentConfig, ...cacheableResult } = await this.sendWithRetries({ ...config, signal: undefined });
+
+                return cacheableResult;
+            },
+            requestCacheOptions,
+        ).then(cachedResult => ({
+            ...cachedResult,
+            response: undefined,
+            config,
+        }));
+
+        if (!signal) {
+            return await cachedResponsePromise;
+        }
+
+        return await new Promise((res, rej) => {
+            const rejectAsAborted = () => rej(new AbortError({
+                url: config.url,
+                method: config.method,
+                reason: signal.reason,
+            }));
+
+            if (signal.aborted) {
+                rejectAsAborted();
+                return;
+            }
+
+            signal.addEventListener('abort', rejectAsAborted, { once: true });
+            cachedResponsePromise
+                .then(res, rej)
+                .finally(() => signal.removeEventListener('abort', rejectAsAborted));
+        });
+    }
+
+    /**
+     * Sends the request, retrying idempotent requests with exponential backoff on network
+     * failures (i.e. `NetworkError`s, not e.g. errors parsing the body or thrown by interceptors)
+     * and on `retryStatuses`.
+     *
+     * @param {Object} config - Config from the request interceptors.
+     * @returns {Promise<Object>} - Result from the response interceptors.
+     * @throws {HttpError} - If the response status isn't 2xx.
+     */
+    async sendWithRetries(config) {
+        const maxRetries = IdempotentHttpMethods.has(config.method) ? config.retries : 0;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.interceptors.response.run(await this.send(config));
+            } catch (e) {
+                const isAborted = e?.name === 'AbortError' || config.signal?.aborted;
+                const isRetryableStatus = e instanceof HttpError && config.retryStatuses.includes(e.status);
+                const isNetworkError = e instanceof NetworkError;
+
+                if (isAborted || attempt >= maxRetries || !(isRetryableStatus || isNetworkError)) {
+                    throw e;
+                }
+
+                await waitBeforeRetry(config, config.retryDelayMs * (2 ** attempt));
+            }
+        }
+    }
+
+    /**
+     * Removes cached responses whose URLs start with the given prefix.
+     *
+     * @param {(string|RegExp)} [urlPrefix=''] - Absolute URL, or one relative to `baseUrl`, to invalidate; Defaults to all URLs.
+     * @returns {string[]} - The URLs that were invalidated.
+     */
+    invalidateCache(urlPrefix = '') {
+        if (!this.requestCache) {
+            return [];
+        }
+
+        return this.requestCache.invalidate(urlPrefix instanceof RegExp ? urlPrefix : this.getUrl(urlPrefix));
+    }
+
+    /**
+     * Makes a single `fetch()` call from a resolved request config.
+     *
+     * @param {Object} config - Config from the request interceptors.
+     * @returns {Promise<Object>} - Result passed to the response interceptors.
+     * @throws {HttpError} - If the response status isn't 2xx.
+     */
+    async send(config) {
+        const {
+            url,
+            query,
+            body,
+            responseType,
+            retries,
+            retryDelayMs,
+            retryStatuses,
+            requestCacheOptions,
+            backgroundSync,
+            ...fetchOptions
+        } = config;
+        const headers = { ...fetchOptions.headers };
+        let requestBody = body;
+
+        if (backgroundSync) {
+            headers[BACKGROUND_SYNC_HEADER] = BackgroundSyncHeaderValues.QUEUE;
+        }
+
+        if (body != null && (Array.isArray(body) || Object.getPrototypeOf(body) === Object.prototype)) {
+            requestBody = JSON.stringify(body);
+
+            if (!Object.keys(headers).some(key => key.toLowerCase() === 'content-type')) {
+                headers['Content-Type'] = MimeTypes.JSON;
+            }
+        }
+
+        let response;
+
+        try {
+            response = await fetch(url, {
+                ...fetchOptions,
+                headers,
+                ...(requestBody != null ? { body: requestBody } : {}),
+            });
+        } catch (fetchError) {
+            if (fetchError?.name === 'AbortError') {
+                throw fetchError;
+            }
+
+            // `fetch()` only rejects (with a `TypeError`) if no response was received
+            throw new NetworkError({
+                message: `${config.method} ${url} failed to complete: ${fetchError?.message}`,
+                url,
+                method: config.method,
+                cause: fetchError,
+            });
+        }
+        const isOk = response.ok ?? (response.status >= 200 && response.status < 300);
+        let data;
+
+        try {
+            data = await parseResponseBody(response, isOk ? responseType : 'auto');
+        } catch (parseError) {
+            if (isOk) {
+                throw parseError;
+            }
+        }
+
+        const result = {
+            data,
+            status: response.status,
+            statusText: response.statusText,
+            headers: headersToObj(response.headers),
+            response,
+            config,
+        };
+
+        result.queued = result.headers[BACKGROUND_SYNC_HEADER] === BackgroundSyncHeaderValues.QUEUED;
+
+        if (!isOk) {
+            throw new HttpError({
+                url,
+                method: config.method,
+                status: result.status,
+                statusText: result.statusText,
+                headers: result.headers,
+                body: data,
+                response,
+            });
+        }
+
+        return result;
+    }
+
+    get(url, options) {
+        return this.request(url, { ...options, method: HttpMethods.GET });
+    }
+
+    head(url, options) {
+        return this.request(url, { ...options, method: HttpMethods.HEAD });
+    }
+
+    options(url, options) {
+        return this.request(url, { ...options, method: HttpMethods.OPTIONS });
+    }
+
+    delete(url, options) {
+        return this.request(url, { ...options, method: HttpMethods.DELETE });
+    }
+
+    post(url, body, options) {
+        return this.request(url, { ...options, body, method: HttpMethods.POST });
+    }
+
+    put(url, body, options) {
+        return this.request(url, { ...options, body, method: HttpMethods.PUT });
+    }
+
+    patch(url, body, options) {
+        return this.request(url, { ...options, body, method: HttpMethods.PATCH });
+    }
+}
+
+
 /**
  * Fetches a resource and returns the Base64-encoded result.
  *
@@ -28,26 +656,75 @@ export async function fetchAsBase64(url, fetchOptions = {}) {
 }
 
 
+/**
+ * Normalized progress info from an XHR [`ProgressEvent`]{@link https://developer.mozilla.org/en-US/docs/Web/API/ProgressEvent}.
+ *
+ * @typedef {Object} XhrProgress
+ * @property {number} loaded - Number of bytes transferred so far.
+ * @property {number} total - Total number of bytes to transfer; 0 if unknown.
+ * @property {(number|null)} percent - Percentage (0-100) transferred; `null` if the total is unknown.
+ */
+/**
+ * @callback XhrProgressHandler
+ * @param {XhrProgress} progress - Normalized progress info.
+ * @param {ProgressEvent} progressEvent - Original progress event.
+ */
+
+/**
+ * Creates an {@link XhrProgress} object from a `ProgressEvent`.
+ *
+ * @param {ProgressEvent} progressEvent - Event from an XHR `progress` listener.
+ * @returns {XhrProgress}
+ */
+export function getXhrProgress({ loaded = 0, total = 0, lengthComputable = false } = {}) {
+    return {
+        loaded,
+        total: lengthComputable ? total : 0,
+        percent: (lengthComputable && total) ? Math.min(100, (loaded / total) * 100) : null,
+    };
+}
+
+
 /**
  * Creates an `XMLHttpRequest` instance and fires off the network request with the specified parameters.
  *
- * Promise will resolve/reject with a value of the resulting `XMLHttpRequest` instance.
+ * Promise will resolve with the resulting `XMLHttpRequest` instance or reject with an error containing it (`error.xhr` or,
+ * for {@link HttpError}s, `error.response`).
  * To access internal event objects, pass in the handler function you wish to use.
  *
  * The Promise will resolve within the [`onload` handler]{@link https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest/load_event}
- * which fires when a successful network response has been received, whereas the Promise will reject within the [`onerror` handler]{@link https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest/error_event}
- * which fires when a failure occurs (e.g. `xhr.abort()` is called).
+ * which fires when a network response has been received if said response has a 2xx status.
+ * Otherwise, it will reject with:
+ * - {@link HttpError} if the response has a non-2xx status.
+ * - {@link TimeoutError} if the request took longer than `timeout`.
+ * - {@link AbortError} if `xhr.abort()` was called or `signal` was aborted.
+ * - {@link NetworkError} if the request failed to complete for any other reason.
  *
  * Note: The [`readystatechange` event]{@link https://developer.mozilla.org/en-US/docs/Web/API/Document/readystatechange_event} as well
  * as other handlers/properties can be passed to the `XMLHttpRequest` instance through the `options` object as-is and they will automatically be
  * set on the `XMLHttpRequest` instance.
  *
+ * @example Show upload progress and allow the user to cancel it
+ * const abortController = new AbortController();
+ *
+ * doXhr('/upload', {
+ *     method: HttpMethods.POST,
+ *     payload: formData,
+ *     timeout: 60000,
+ *     signal: abortController.signal,
+ *     onUploadProgress: ({ percent }) => setUploadPercent(percent),
+ * });
+ *
  * @param {(string|URL)} url - URL to which the network request will be made.
  * @param {XMLHttpRequest} [options] - Additional functions/properties to assign to the `XMLHttpRequest` instance; Accepts properties not specified in this function's signature as well.
  * @param {string} [options.method='GET'] - HttpMethod to use.
  * @param {any} [options.payload] - Body of the network request.
- * @param {function} [options.onload] - Function to call after the request has fully resolved successfully.
- * @param {function} [options.onerror] - Function to call if any error occurs, including `abort()`.
+ * @param {number} [options.timeout=0] - Milliseconds before the request is terminated; 0 means no timeout.
+ * @param {AbortSignal} [options.signal] - Signal that aborts the request when aborted.
+ * @param {XhrProgressHandler} [options.onUploadProgress] - Function to call as the request body is uploaded.
+ * @param {XhrProgressHandler} [options.onDownloadProgress] - Function to call as the response body is downloaded.
+ * @param {function} [options.onload] - Function to call after the request has fully resolved, regardless of status.
+ * @param {function} [options.onerror] - Function to call if any error occurs, including timeouts and `abort()`; Not called if `signal` is already aborted since the request is never sent.
  * @param {boolean} [options.addHeaderAsObj=true] - If the resulting HTTP headers should be mapped into an object assigned on the returned `XMLHttpRequest` instance.
  * @param {boolean} [options.returnXhrImmediately=false] - If the `XMLHttpRequest` instance should be returned before calling `.send(payload)`; `.send()` will still be called within this function regardless.
  * @returns {Promise<XMLHttpRequest>}
@@ -56,6 +733,10 @@ export async function fetchAsBase64(url, fetchOptions = {}) {
 export async function doXhr(url, {
     method = HttpMethods.GET,
     payload,
+    timeout = 0,
+    signal,
+    onUploadProgress,
+    onDownloadProgress,
     onload = () => {},
     onerror = () => {},
     addHeaderAsObj = true,
@@ -108,22 +789,68 @@ export async function doXhr(url, {
             xhr[key] = value;
         });
 
+    xhr.timeout = timeout;
+
+    // Progress listeners must be added before `send()`, otherwise upload progress events won't fire
+    if (onUploadProgress && xhr.upload) {
+        xhr.upload.addEventListener('progress', progressEvent => onUploadProgress(getXhrProgress(progressEvent), progressEvent));
+    }
+
+    if (onDownloadProgress) {
+        xhr.addEventListener('progress', progressEvent => onDownloadProgress(getXhrProgress(progressEvent), progressEvent));
+    }
+
+    const abortXhr = () => xhr.abort();
+
     const responsePromise = new Promise((res, rej) => {
-        xhr.onload = loadendEvent => {
-            onload(loadendEvent);
+        const errorInfo = { url: String(url), method, xhr };
+
+        const settle = (settleFunc, value) => {
             resolved = true;
-            res(xhr);
+            signal?.removeEventListener('abort', abortXhr);
+            settleFunc(value);
         };
-        xhr.onerror = progressEvent => {
-            onerror(progressEvent);
-            resolved = true;
-            rej(xhr);
+        const fail = (event, error) => {
+            onerror(event);
+            settle(rej, error);
         };
 
+        xhr.onload = loadendEvent => {
+            onload(loadendEvent);
+
+            if (xhr.status >= 200 && xhr.status < 300) {
+                settle(res, xhr);
+                return;
+            }
+
+            fail(loadendEvent, new HttpError({
+                url: errorInfo.url,
+                method,
+                status: xhr.status,
+                statusText: xhr.statusText,
+                headers: addHeaderAsObj ? xhr.headers : {},
+                body: xhr.response,
+                response: xhr,
+            }));
+        };
+        xhr.onerror = progressEvent => fail(progressEvent, new NetworkError({ ...errorInfo, event: progressEvent }));
+        xhr.ontimeout = progressEvent => fail(progressEvent, new TimeoutError({ ...errorInfo, event: progressEvent, timeout }));
+        xhr.onabort = progressEvent => fail(progressEvent, new AbortError({ ...errorInfo, event: progressEvent, reason: signal?.reason }));
+
+        if (signal?.aborted) {
+            // The request is never sent, so there's no XHR event to pass to `onerror`
+            settle(rej, new AbortError({ ...errorInfo, reason: signal.reason }));
+            return;
+        }
+
+        signal?.addEventListener('abort', abortXhr, { once: true });
         xhr.send(payload);
     });
 
     if (returnXhrImmediately) {
+        // Errors are still reported through `onerror`, so don't leave the Promise's rejection unhandled
+        responsePromise.catch(() => {});
+
         return xhr;
     }
 
@@ -0,0 +1,204 @@
+/**
+ * @typedef {Object} RequestCacheOptions
+ * @property {number} [ttl] - Milliseconds a response is considered fresh, i.e. returned without making a new request.
+ * @property {number} [staleWhileRevalidate] - Milliseconds after `ttl` expires during which the stale response is still
+ *                                            returned immediately while a new one is fetched in the background.
+ * @property {boolean} [forceRefresh=false] - Ignore any cached response and always make a new request.
+ */
+
+/**
+ * In-memory cache for network responses.
+ *
+ * - Identical in-flight requests share a single Promise so that e.g. multiple components
+ *   mounting at the same time only send one request.
+ * - Responses are stored in an LRU cache (least-recently-used entries are evicted first
+ *   once `maxEntries` is reached) with per-request `ttl` and `staleWhileRevalidate` times.
+ * - Entries can be invalidated manually by key prefix, e.g. all URLs under an API path.
+ *
+ * Note: All callers of the same key receive the same (cached) value, so it shouldn't be mutated.
+ *
+ * @example
+ * const cache = new RequestCache({ ttl: 60 * 1000 });
+ * const data = await cache.fetch(url, () => fetch(url).then(res => res.json()));
+ *
+ * // Later, e.g. after a POST to the same API
+ * cache.invalidate('https://example.com/api/users');
+ */
+class RequestCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries=100] - Max number of responses to keep.
+     * @param {number} [options.ttl=0] - Default `ttl` for all entries.
+     * @param {number} [options.staleWhileRevalidate=0] - Default `staleWhileRevalidate` for all entries.
+     */
+    constructor({
+        maxEntries = 100,
+        ttl = 0,
+        staleWhileRevalidate = 0,
+    } = {}) {
+        this.maxEntries = maxEntries;
+        this.defaults = { ttl, staleWhileRevalidate };
+        this.entries = new Map(); // Map preserves insertion order, so the first key is always the least-recently used
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Gets the cached value for the key if it exists and hasn't fully expired.
+     *
+     * Marks the entry as most-recently used.
+     *
+     * @param {string} key - Cache key, usually the request URL.
+     * @returns {({ value: *, isStale: boolean }|undefined)} - The cached value and if it's past its `ttl`.
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            return;
+        }
+
+        const now = Date.now();
+
+        if (now >= entry.staleUntil) {
+            this.entries.delete(key);
+            return;
+        }
+
+        // Re-insert to move the entry to the end of the Map, i.e. most-recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        return {
+            value: entry.value,
+            isStale: now >= entry.expiresAt,
+        };
+    }
+
+    /**
+     * Stores a value in the cache, evicting the least-recently-used entries if the cache is full.
+     *
+     * Values with neither a `ttl` nor `staleWhileRevalidate` time aren't stored.
+     *
+     * @param {string} key - Cache key, usually the request URL.
+     * @param {*} value - Value to cache.
+     * @param {RequestCacheOptions} [options]
+     * @returns {RequestCache} - This cache.
+     */
+    set(key, value, {
+        ttl = this.defaults.ttl,
+        staleWhileRevalidate = this.defaults.staleWhileRevalidate,
+    } = {}) {
+        this.entries.delete(key);
+
+        if (ttl + staleWhileRevalidate <= 0) {
+            return this;
+        }
+
+        const expiresAt = Date.now() + ttl;
+
+        this.entries.set(key, {
+            value,
+            expiresAt,
+            staleUntil: expiresAt + staleWhileRevalidate,
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        return this;
+    }
+
+    /**
+     * Gets the value for the key from the cache or, if not cached, from the `fetcher`.
+     *
+     * Concurrent calls with the same key share the same in-flight `fetcher()` call.
+     * Stale values are returned immediately while being revalidated in the background.
+     *
+     * @param {string} key - Cache key, usually the request URL.
+     * @param {function(): Promise<*>} fetcher - Function to get the value if it isn't cached.
+     * @param {RequestCacheOptions} [options]
+     * @returns {Promise<*>} - The cached or newly-fetched value.
+     */
+    async fetch(key, fetcher, options = {}) {
+        const cachedEntry = options.forceRefresh ? null : this.get(key);
+
+        if (!cachedEntry) {
+            return await this.dedupe(key, fetcher, options);
+        }
+
+        if (cachedEntry.isStale) {
+            // Errors are ignored since the stale value was already returned
+            this.dedupe(key, fetcher, options).catch(() => {});
+        }
+
+        return cachedEntry.value;
+    }
+
+    /**
+     * Calls `fetcher()` unless a call for the same key is already in flight, in which case
+     * that call's Promise is returned instead.
+     *
+     * @param {string} key - Cache key, usually the request URL.
+     * @param {function(): Promise<*>} fetcher - Function to get the value.
+     * @param {RequestCacheOptions} [options]
+     * @returns {Promise<*>} - The fetched value.
+     */
+    dedupe(key, fetcher, options) {
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const fetchPromise = (async () => await fetcher())()
+            .then(value => {
+                // Don't store the value if the key was invalidated while the request was in flight
+                if (this.inFlight.get(key) === fetchPromise) {
+                    this.set(key, value, options);
+                }
+
+                return value;
+            })
+            .finally(() => {
+                if (this.inFlight.get(key) === fetchPromise) {
+                    this.inFlight.delete(key);
+                }
+            });
+
+        this.inFlight.set(key, fetchPromise);
+
+        return fetchPromise;
+    }
+
+    /**
+     * Removes all cached values (and forgets any in-flight requests) whose keys start with
+     * the given prefix.
+     *
+     * @param {(string|RegExp)} [keyPrefix=''] - Key/URL prefix, or RegExp matching the keys, to invalidate; Defaults to all keys.
+     * @returns {string[]} - The keys that were invalidated.
+     */
+    invalidate(keyPrefix = '') {
+        const isMatch = keyPrefix instanceof RegExp
+            ? key => keyPrefix.test(key)
+            : key => key.startsWith(keyPrefix);
+        const invalidatedKeys = new Set();
+
+        [ this.entries, this.inFlight ].forEach(map => {
+            [ ...map.keys() ].filter(isMatch).forEach(key => {
+                map.delete(key);
+                invalidatedKeys.add(key);
+            });
+        });
+
+        return [ ...invalidatedKeys ];
+    }
+
+    /**
+     * Removes all cached values and forgets all in-flight requests.
+     */
+    clear() {
+        this.entries.clear();
+        this.inFlight.clear();
+    }
+}
+
+export default RequestCache;
@@ -1,11 +1,12 @@
 import { COLORS } from '@/utils/Constants';
-import { asNumber, randomNumber } from '@/utils/Numbers';
+import { randomNumber } from '@/utils/Numbers';
 import { camelCaseToHyphenOrSnakeCase } from '@/utils/Text';
-
-import CommonStyles from '@/styles/Common.scss';
-
-
-const { themeColors, gridBreakpoints } = CommonStyles;
+import {
+    themes,
+    defaultThemeName,
+    gridBreakpoints,
+    getThemePalette,
+} from '@/utils/DesignTokens';
 
 
 /**
@@ -63,6 +64,9 @@ export function parseScssVar(scssStr) {
  * Defaults to the root element (`document.documentElement`, i.e. `html`) since most
  * CSS variables are set on that element.
  *
+ * Theme variables (e.g. `--primary`) resolve to the active theme's value. If the stylesheet defining
+ * them hasn't been applied (e.g. while it's loading), the value is read from the active theme's palette instead.
+ *
  * @param {string} cssVar - Variable or property to get.
  * @param {Object} [options]
  * @param {HTMLElement} [options.element] - Element from which to get the property.
@@ -75,13 +79,19 @@ export function getCssVar(cssVar, {
     // Must use `getComputedStyle()` instead of `.styles` since the latter doesn't include CSS variables
     const elementStyles = getComputedStyle(element);
 
-    const cssVal = (
+    let cssVal = (
         elementStyles.getPropertyValue(cssVar)
         || elementStyles.getPropertyValue(camelCaseToHyphenOrSnakeCase(cssVar))
         || elementStyles.getPropertyValue(`--${cssVar}`)
         || elementStyles.getPropertyValue(`--${camelCaseToHyphenOrSnakeCase(cssVar)}`)
     ).trim(); // Resulting value often has a leading space, so remove it
 
+    if (!cssVal && element === document.documentElement) {
+        const themeVarName = camelCaseToHyphenOrSnakeCase(cssVar.replace(/^--/, ''));
+
+        cssVal = String(getThemes()[getActiveThemeName()]?.[themeVarName] ?? '');
+    }
+
     if (castNumbers && cssVal) {
         return Number(cssVal.replace(/\D/g, ''));
     }
@@ -90,23 +100,60 @@ export function getCssVar(cssVar, {
 }
 
 
-export function getThemeColors() {
-    return parseScssVar(themeColors);
+/**
+ * Gets all themes' palettes, i.e. the theme colors plus semantic colors like `body-bg`, by theme name.
+ *
+ * @returns {Record<import('@/utils/DesignTokens').ThemeName, import('@/utils/DesignTokens').ThemePalette>}
+ */
+export function getThemes() {
+    return Object.keys(themes).reduce((palettes, themeName) => {
+        palettes[themeName] = getThemePalette(themeName);
+
+        return palettes;
+    }, {});
 }
 
 
-export function getGridBreakpoints(parsePxStrToNum = true) {
-    const mapWithPxInStr = parseScssVar(gridBreakpoints);
+/**
+ * Gets the name of the theme currently applied to the page, i.e. `html[data-theme]` if set
+ * (see `ThemeProvider`) or the OS's preferred color scheme otherwise.
+ *
+ * @returns {import('@/utils/DesignTokens').ThemeName}
+ */
+export function getActiveThemeName() {
+    return document.documentElement.dataset.theme
+        || (self.matchMedia?.('(prefers-color-scheme: dark)')?.matches ? 'dark' : defaultThemeName);
+}
+
+
+/**
+ * Gets the `$theme-colors` of a theme.
+ *
+ * @param {import('@/utils/DesignTokens').ThemeName} [themeName=getActiveThemeName()] - Theme from which to get the colors.
+ * @returns {import('@/utils/DesignTokens').ThemeColors} - Color hex values by name.
+ */
+export function getThemeColors(themeName = getActiveThemeName()) {
+    return { ...(themes[themeName] ?? themes[defaultThemeName]).colors };
+}
 
-    if (parsePxStrToNum) {
-        return Object.keys(mapWithPxInStr).reduce((valsAsNum, breakpointName) => {
-            valsAsNum[breakpointName] = asNumber(mapWithPxInStr[breakpointName]);
 
-            return valsAsNum;
-        }, {});
+/**
+ * Gets the min screen width of each grid breakpoint.
+ *
+ * @param {boolean} [asNumbers=true] - Return pixel numbers instead of CSS strings, e.g. `576` instead of `'576px'` (and `0` instead of `'0'`).
+ * @returns {Record<import('@/utils/DesignTokens').GridBreakpointName, (number|string)>}
+ */
+export function getGridBreakpoints(asNumbers = true) {
+    if (asNumbers) {
+        return { ...gridBreakpoints };
     }
 
-    return mapWithPxInStr;
+    return Object.entries(gridBreakpoints).reduce((breakpointsWithPx, [ breakpointName, px ]) => {
+        // Unitless zero, matching SCSS's `$grid-breakpoints`
+        breakpointsWithPx[breakpointName] = px === 0 ? '0' : `${px}px`;
+
+        return breakpointsWithPx;
+    }, {});
 }
 
 
@@ -0,0 +1,148 @@
+import { useContext, useEffect, useLayoutEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+
+import ContextFactory from '@/utils/ContextFactory';
+import { useStorage } from '@/utils/Hooks';
+import { getThemeColors } from '@/utils/Scss';
+
+
+/**
+ * Themes defined in `Common.scss`'s `$themes` map.
+ */
+export const Themes = {
+    LIGHT: 'light',
+    DARK: 'dark',
+};
+
+/**
+ * Theme the user chose, where `SYSTEM` follows the OS's `prefers-color-scheme` setting.
+ */
+export const ThemePreferences = {
+    ...Themes,
+    SYSTEM: 'system',
+};
+
+const THEME_STORAGE_KEY = 'themePreference';
+const darkColorSchemeMediaQuery = '(prefers-color-scheme: dark)';
+
+
+function getSystemTheme() {
+    return self.matchMedia?.(darkColorSchemeMediaQuery)?.matches ? Themes.DARK : Themes.LIGHT;
+}
+
+
+const initialState = () => ({
+    preference: ThemePreferences.SYSTEM,
+    systemTheme: getSystemTheme(),
+});
+
+const ThemeContext = ContextFactory({
+    initialState,
+    displayName: 'ThemeContext',
+});
+
+
+/**
+ * Loads/persists the theme preference via `useStorage()`, follows the OS's theme, and applies the
+ * active theme to `html[data-theme]` so the CSS custom properties emitted from `Common.scss` change.
+ */
+function ThemeSync() {
+    const { contextState: { preference, systemTheme }, setContextState } = useContext(ThemeContext);
+    const [ storedPreference, setStoredPreference ] = useStorage(THEME_STORAGE_KEY, {
+        initialValue: ThemePreferences.SYSTEM,
+    });
+    const hasLoadedPreferenceRef = useRef(false);
+    const theme = preference === ThemePreferences.SYSTEM ? systemTheme : preference;
+
+    // Layout effects run before the first paint, so the stored theme is shown without flashing the default one
+    useLayoutEffect(() => {
+        if (!hasLoadedPreferenceRef.current) {
+            hasLoadedPreferenceRef.current = true;
+
+            if (Object.values(ThemePreferences).includes(storedPreference)) {
+                setContextState({ preference: storedPreference });
+            }
+
+            return;
+        }
+
+        setStoredPreference(preference);
+    }, [ preference ]); // eslint-disable-line react-hooks/exhaustive-deps
+
+    useLayoutEffect(() => {
+        document.documentElement.dataset.theme = theme;
+    }, [ theme ]);
+
+    useEffect(() => {
+        const mediaQueryList = self.matchMedia?.(darkColorSchemeMediaQuery);
+        const handleSystemThemeChange = () => setContextState({ systemTheme: getSystemTheme() });
+
+        mediaQueryList?.addEventListener?.('change', handleSystemThemeChange);
+
+        return () => {
+            mediaQueryList?.removeEventListener?.('change', handleSystemThemeChange);
+        };
+    }, [ setContextState ]);
+
+    return null;
+}
+
+
+/**
+ * Provides the theme to `useTheme()` and applies it to the page.
+ *
+ * @example
+ * <ThemeProvider>
+ *     <App />
+ * </ThemeProvider>
+ */
+export function ThemeProvider({ children }) {
+    return (
+        <ThemeContext.Provider>
+            <ThemeSync />
+            {children}
+        </ThemeContext.Provider>
+    );
+}
+
+ThemeProvider.propTypes = {
+    children: PropTypes.node,
+};
+
+
+/**
+ * Gets the active theme and allows changing it at runtime.
+ *
+ * @returns {{
+ *     theme: string,
+ *     preference: string,
+ *     themeColors: Object<string, string>,
+ *     setThemePreference: function(string): void,
+ *     toggleTheme: function(): void,
+ * }} - The active theme (see {@link Themes}), the user's preference (see {@link ThemePreferences}),
+ *      the theme's `$theme-colors`, a function to change the preference, and a function to switch
+ *      between light and dark.
+ */
+export function useTheme() {
+    const { contextState: { preference, systemTheme }, setContextState } = useContext(ThemeContext);
+    const theme = preference === ThemePreferences.SYSTEM ? systemTheme : preference;
+
+    const setThemePreference = newPreference => {
+        setContextState({ preference: newPreference });
+    };
+
+    const toggleTheme = () => {
+        setThemePreference(theme === Themes.DARK ? Themes.LIGHT : Themes.DARK);
+    };
+
+    return {
+        theme,
+        preference,
+        themeColors: getThemeColors(theme),
+        setThemePreference,
+        toggleTheme,
+    };
+}
+
+
+export default ThemeContext;
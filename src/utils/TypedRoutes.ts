@@ -0,0 +1,308 @@
+import { useCallback, useMemo } from 'react';
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
+
+import { getQueryParams } from '@/utils/BrowserNavigation';
+
+import type {
+    Indexable,
+} from '@/types';
+
+
+/**
+ * Types that path and query params can be coerced to.
+ * Array types are only supported by query params, i.e. `?a=1&a=2`.
+ */
+export type ParamType = 'string' | 'number' | 'boolean' | 'string[]' | 'number[]';
+
+/**
+ * Maps a `ParamType` to its TypeScript type.
+ */
+export type ParamTypeValue<Type extends ParamType> = (
+    Type extends 'number' ? number
+    : Type extends 'boolean' ? boolean
+    : Type extends 'string[]' ? string[]
+    : Type extends 'number[]' ? number[]
+    : string
+);
+
+/**
+ * Static info about a URL of the app.
+ *
+ * Must be a static literal (i.e. not reference variables) since it's read at build time (e.g. for `manifest.json`).
+ */
+export interface RouteDefinition {
+    /**
+     * Absolute URL path, including `:param` segments and/or a trailing `*` splat.
+     */
+    path: string;
+
+    /**
+     * Types of the path's `:param` segments; Params not listed are strings.
+     */
+    params?: Readonly<Indexable<Exclude<ParamType, 'string[]' | 'number[]'>>>;
+
+    /**
+     * Types of the supported query params; Unlisted query params are ignored.
+     */
+    query?: Readonly<Indexable<ParamType>>;
+
+    /**
+     * Adds the route to `manifest.json`'s `shortcuts`, i.e. the long-press menu of the installed app's icon.
+     */
+    shortcut?: {
+        name: string;
+        shortName?: string;
+        description?: string;
+    };
+}
+
+export type RouteRegistry = Readonly<Record<string, RouteDefinition>>;
+
+/**
+ * Names of the `:param` segments (and `*` splat) in a path.
+ *
+ * @example
+ * PathParamNames<'/users/:userId/posts/:postId'> // 'userId' | 'postId'
+ */
+export type PathParamNames<Path extends string> = (
+    Path extends `${string}:${infer Param}/${infer Rest}`
+        ? Param | PathParamNames<`/${Rest}`>
+        : Path extends `${string}:${infer Param}`
+            ? Param
+            : never
+) | (Path extends `${string}*` ? '*' : never);
+
+/**
+ * Typed values of a route's path params.
+ */
+export type RouteParams<Route extends RouteDefinition> = {
+    [Name in PathParamNames<Route['path']>]: Route['params'] extends Readonly<Indexable<ParamType>>
+        ? Name extends keyof Route['params']
+            ? ParamTypeValue<Route['params'][Name]>
+            : string
+        : string;
+};
+
+/**
+ * Typed values of a route's query params, all of which are optional.
+ */
+export type RouteQuery<Route extends RouteDefinition> = Route['query'] extends Readonly<Indexable<ParamType>>
+    ? {
+        -readonly [Name in keyof Route['query']]?: ParamTypeValue<Route['query'][Name]>;
+    }
+    : Record<string, never>;
+
+/**
+ * Arguments of `href()` after the route name; `params` is only required if the route's path has params.
+ */
+export type HrefArgs<Route extends RouteDefinition> = PathParamNames<Route['path']> extends never
+    ? [ params?: Record<string, never>, query?: RouteQuery<Route> ]
+    : [ params: RouteParams<Route>, query?: RouteQuery<Route> ];
+
+
+/**
+ * Coerces a path or query param to the specified type.
+ *
+ * @param value - Raw string(s) from the URL, i.e. not parsed by `getQueryParams()` so e.g. `?q=null` is the string `'null'`.
+ * @param type - Type to coerce the value to.
+ * @returns The coerced value, or `undefined` if it can't be represented by the type.
+ */
+export function coerceParam(value: unknown, type: ParamType = 'string'): unknown {
+    if (value == null || value === '') {
+        return undefined;
+    }
+
+    if (type.endsWith('[]')) {
+        const itemType = type.replace('[]', '') as ParamType;
+        const items = (Array.isArray(value) ? value : [ value ])
+            .map(item => coerceParam(item, itemType))
+            .filter(item => item !== undefined);
+
+        return items;
+    }
+
+    if (Array.isArray(value)) {
+        // Single-value params only use the last value, like `URLSearchParams.get()` does for the first
+        return coerceParam(value[value.length - 1], type);
+    }
+
+    switch (type) {
+        case 'number': {
+            const num = Number(value);
+
+            return Number.isFinite(num) ? num : undefined;
+        }
+        case 'boolean':
+            if (value === true || value === 'true' || value === 1 || value === '1') {
+                return true;
+            }
+
+            if (value === false || value === 'false' || value === 0 || value === '0') {
+                return false;
+            }
+
+            return undefined;
+        default:
+            return typeof value === typeof {} ? JSON.stringify(value) : String(value);
+    }
+}
+
+
+/**
+ * Gets the raw values of the query params in `types` from a query string; Repeated params are arrays.
+ */
+function getRawQueryParams(search: string, types: Indexable<ParamType> = {}) {
+    const searchParams = new URLSearchParams(search);
+
+    return Object.keys(types).reduce((rawQueryParams, key) => {
+        const values = searchParams.getAll(key);
+
+        if (values.length) {
+            rawQueryParams[key] = values.length > 1 ? values : values[0];
+        }
+
+        return rawQueryParams;
+    }, {} as Indexable<string | string[]>);
+}
+
+/**
+ * Coerces all the values in `params` matching the keys of `types`, dropping those that are invalid.
+ */
+function coerceParams(params: Indexable, types: Indexable<ParamType> = {}) {
+    return Object.entries(types).reduce((coercedParams, [ key, type ]) => {
+        const value = coerceParam(params[key], type);
+
+        if (value !== undefined) {
+            coercedParams[key] = value;
+        }
+
+        return coercedParams;
+    }, {} as Indexable);
+}
+
+
+/**
+ * Creates type-safe URL builders and param hooks from a registry of the app's routes.
+ *
+ * Links are built from route names rather than hard-coded paths, so renaming/removing a route or changing
+ * its params fails type-checking instead of silently breaking links.
+ *
+ * @example
+ * const routes = {
+ *     user: { path: '/users/:userId', params: { userId: 'number' }, query: { tab: 'string' }},
+ * } as const;
+ * const { href, useRouteParams, useTypedQuery } = createTypedRoutes(routes);
+ *
+ * href('user', { userId: 5 }, { tab: 'posts' }); // '/users/5?tab=posts'
+ * const { userId } = useRouteParams('user'); // number
+ * const [ { tab }, setQuery ] = useTypedQuery('user'); // string | undefined
+ *
+ * @param routes - Route definitions, declared `as const` so their paths are string literal types.
+ * @returns Functions bound to the `routes`.
+ */
+export function createTypedRoutes<Routes extends RouteRegistry>(routes: Routes) {
+    type RouteName = keyof Routes & string;
+
+    /**
+     * Builds the URL of a route, filling in its path params and appending its query params.
+     *
+     * @param routeName - Name of the route in the registry.
+     * @param [params] - Path param values; Required if the route's path has params.
+     * @param [query] - Query param values.
+     * @returns URL path + query string.
+     */
+    function href<Name extends RouteName>(routeName: Name, ...[ params, query ]: HrefArgs<Routes[Name]>): string {
+        const { path } = routes[routeName];
+        const paramValues = (params ?? {}) as Indexable;
+        const pathWithParams = path
+            .replace(/:(\w+)/g, (match, paramName) => {
+                if (paramValues[paramName] == null) {
+                    throw new TypeError(`Missing param "${paramName}" for route "${routeName}" (${path})`);
+                }
+
+                return encodeURIComponent(String(paramValues[paramName]));
+            })
+            // Splat values can contain slashes, so only encode each segment
+            .replace(/\*$/, () => String(paramValues['*'] ?? '').split('/').map(encodeURIComponent).join('/'));
+        const definedQuery = Object.fromEntries(Object.entries((query ?? {}) as Indexable).filter(([ , value ]) => value != null));
+
+        return pathWithParams + getQueryParams(definedQuery);
+    }
+
+    /**
+     * Gets the current route's path params, coerced to their types in the registry.
+     *
+     * @param routeName - Name of the route rendering the component.
+     * @returns Path params, which are `undefined` if they're invalid for their type.
+     */
+    function useRouteParams<Name extends RouteName>(routeName: Name): Partial<RouteParams<Routes[Name]>> {
+        const params = useParams();
+        const { params: paramTypes = {}} = routes[routeName];
+
+        return useMemo(() => {
+            const paramNames = routes[routeName].path.match(/:\w+|\*$/g)?.map(param => param.replace(/^:/, '')) ?? [];
+            const types = paramNames.reduce((allTypes, paramName) => ({
+                ...allTypes,
+                [paramName]: paramTypes[paramName] ?? 'string',
+            }), {} as Indexable<ParamType>);
+
+            return coerceParams(params, types) as Partial<RouteParams<Routes[Name]>>;
+        }, [ routeName, JSON.stringify(params) ]); // eslint-disable-line react-hooks/exhaustive-deps
+    }
+
+    /**
+     * Reads and updates the current URL's query params, coerced to their types in the registry.
+     *
+     * Updating the query pushes a new history entry (without changing the path) and accepts either a
+     * partial query object to merge with the current query or a function returning the new query, like `setState()`.
+     * Query params not in the registry (e.g. `utm_source`) are kept as-is in the URL.
+     *
+     * @param routeName - Name of the route rendering the component.
+     * @returns `[ query, setQuery ]`.
+     */
+    function useTypedQuery<Name extends RouteName>(routeName: Name) {
+        type Query = RouteQuery<Routes[Name]>;
+
+        const location = useLocation();
+        const navigate = useNavigate();
+        const { query: queryTypes = {}} = routes[routeName];
+
+        const query = useMemo(
+            () => coerceParams(getRawQueryParams(location.search, queryTypes), queryTypes) as Query,
+            [ routeName, location.search ], // eslint-disable-line react-hooks/exhaustive-deps
+        );
+
+        const setQuery = useCallback((newQuery: Query | ((prevQuery: Query) => Query), {
+            replace = false,
+        } = {}) => {
+            const nextQuery = typeof newQuery === typeof setQuery
+                ? (newQuery as (prevQuery: Query) => Query)(query)
+                : { ...query, ...newQuery };
+            const searchParams = new URLSearchParams(location.search);
+
+            [ ...Object.keys(queryTypes), ...Object.keys(nextQuery) ].forEach(key => searchParams.delete(key));
+            Object.entries(nextQuery as Indexable).forEach(([ key, value ]) => {
+                (Array.isArray(value) ? value : [ value ])
+                    .filter(item => item != null && item !== '')
+                    .forEach(item => searchParams.append(key, String(item)));
+            });
+
+            const search = searchParams.toString();
+
+            navigate({
+                pathname: location.pathname,
+                search: search ? `?${search}` : '',
+                hash: location.hash,
+            }, { replace });
+        }, [ query, navigate, location.pathname, location.search, location.hash ]); // eslint-disable-line react-hooks/exhaustive-deps
+
+        return [ query, setQuery ] as const;
+    }
+
+    return {
+        routes,
+        href,
+        useRouteParams,
+        useTypedQuery,
+    };
+}
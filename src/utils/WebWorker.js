@@ -1,6 +1,155 @@
+import CancellablePromise from '@/utils/CancellablePromise';
 import { MimeTypes } from '@/utils/Constants';
 
 
+/**
+ * Marker added to all RPC messages so they can be distinguished from any other messages
+ * sent to/from the same worker.
+ */
+const RPC_MESSAGE_SOURCE = 'WebWorker.rpc';
+
+const RpcMessageTypes = {
+    CALL: 'call',
+    CANCEL: 'cancel',
+    RESOLVE: 'resolve',
+    REJECT: 'reject',
+};
+
+/**
+ * Objects marked via `WebWorker.transfer()` mapped to the transferable objects within them.
+ *
+ * @type {WeakMap<Object, Transferable[]>}
+ */
+const transferCache = new WeakMap();
+
+function getTransferables(values) {
+    return values.flatMap(value => (value != null && typeof value === typeof {} && transferCache.get(value)) || []);
+}
+
+function isRpcMessage(data) {
+    return data?.source === RPC_MESSAGE_SOURCE;
+}
+
+/**
+ * Converts an error to a plain object since `Error`s lose their `name`, `stack`, and custom fields
+ * when sent via `postMessage()`.
+ *
+ * @param {*} error - Error thrown in the worker.
+ * @returns {Object} - Cloneable representation of the error.
+ */
+function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return { value: error };
+    }
+
+    const { name, message, stack, ...customFields } = error;
+
+    return {
+        isError: true,
+        name,
+        message,
+        stack,
+        ...customFields,
+    };
+}
+
+/**
+ * Re-creates an error serialized by `serializeError()`, keeping the worker's stack trace.
+ *
+ * @param {Object} serializedError - Error from the worker.
+ * @returns {*} - Error to reject the call with.
+ */
+function deserializeError(serializedError) {
+    if (!serializedError.isError) {
+        return serializedError.value;
+    }
+
+    const { isError, name, message, stack, ...customFields } = serializedError;
+    const ErrorClass = self[name]?.prototype instanceof Error ? self[name] : Error;
+    const error = new ErrorClass(message);
+
+    error.name = name;
+    error.stack = stack;
+
+    return Object.assign(error, customFields);
+}
+
+/**
+ * Gets the error to reject calls with when a worker fires an `error` event, e.g. due to an uncaught error
+ * or its script failing to load.
+ *
+ * @param {(ErrorEvent|Event)} event - The worker's `error` event.
+ * @returns {Error} - The thrown error if available, otherwise an error with the event's message.
+ */
+export function getWorkerErrorFromEvent(event) {
+    return event?.error instanceof Error
+        ? event.error
+        : new Error(`Worker crashed: ${event?.message || 'unknown error'}`);
+}
+
+/**
+ * Calls `callback` after `worker.terminate()` is called, regardless of who terminates the worker.
+ *
+ * @param {(Worker|MessagePort)} worker - Worker to watch; Objects without `terminate()` (e.g. `MessagePort`s) are ignored.
+ * @param {function(): void} callback - Function to call once the worker is terminated.
+ */
+function addTerminateListener(worker, callback) {
+    const terminate = worker.terminate;
+
+    if (typeof terminate !== typeof callback) {
+        return;
+    }
+
+    worker.terminate = function(...args) {
+        const returnValue = terminate.apply(this, args);
+
+        callback();
+
+        return returnValue;
+    };
+}
+
+
+/**
+ * Worker-side counterpart of `WebWorker.wrap()` for workers created by `WebWorker.createFunctionWorker()`.
+ *
+ * Stringified and run inside the worker, so it mustn't reference anything outside its own scope nor
+ * use syntax that is transpiled into helper functions (e.g. async/await, spread, array destructuring).
+ *
+ * @param {function} func - Function to call with the arguments of each call.
+ * @param {Object} protocol - Values of `RPC_MESSAGE_SOURCE` and `RpcMessageTypes`.
+ */
+function functionWorkerScript(func, protocol) {
+    self.addEventListener('message', function(event) {
+        const data = event.data;
+
+        if (!data || data.source !== protocol.source || data.type !== protocol.types.CALL) {
+            return;
+        }
+
+        new Promise(function(resolve) {
+            resolve(func.apply(null, data.args));
+        })
+            .then(
+                function(value) {
+                    return { type: protocol.types.RESOLVE, value: value };
+                },
+                function(error) {
+                    return {
+                        type: protocol.types.REJECT,
+                        error: error instanceof Error
+                            ? { isError: true, name: error.name, message: error.message, stack: error.stack }
+                            : { value: error },
+                    };
+                },
+            )
+            .then(function(response) {
+                self.postMessage(Object.assign({ source: protocol.source, id: data.id }, response));
+            });
+    });
+}
+
+
 /**
  * Creates a new [WebWorker]{@link https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API}
  * using any of the methods to create one.
@@ -42,12 +191,242 @@ import { MimeTypes } from '@/utils/Constants';
  * worker.postMessage({ name: 'worker', message: 'message-from-window'});
  */
 class WebWorker {
+    /**
+     * Exposes an object's methods to the main thread so they can be called via `WebWorker.wrap(worker)`.
+     *
+     * Must be called inside the worker. Each method is called with the arguments from the main thread
+     * and `this` set to an object inheriting from `api` with an additional `signal` field, which is aborted if the
+     * main thread cancels the call. Return values (or resolved values of returned Promises) are sent back
+     * to the main thread, and thrown errors are re-thrown there with their original name, message, and stack trace.
+     *
+     * @example
+     * // my.worker.js
+     * WebWorker.expose({
+     *     getAllPermutations,
+     *     async processBuffer(buffer) {
+     *         const result = await heavyComputation(buffer, { signal: this.signal });
+     *
+     *         return WebWorker.transfer(result, [ result.buffer ]);
+     *     },
+     * });
+     *
+     * @param {Object<string, function>} api - Methods to expose.
+     * @param {(DedicatedWorkerGlobalScope|Worker|MessagePort)} [scope=self] - Object receiving the messages from the main thread.
+     * @returns {function(): void} - Function to stop listening for calls.
+     */
+    static expose(api, scope = self) {
+        const abortControllers = new Map();
+
+        const handleMessage = async ({ data }) => {
+            if (!isRpcMessage(data)) {
+                return;
+            }
+
+            const { type, id, method, args } = data;
+
+            if (type === RpcMessageTypes.CANCEL) {
+                abortControllers.get(id)?.abort();
+                abortControllers.delete(id);
+                return;
+            }
+
+            if (type !== RpcMessageTypes.CALL) {
+                return;
+            }
+
+            const abortController = new AbortController();
+            const callContext = Object.create(api, {
+                signal: { value: abortController.signal },
+            });
+
+            abortControllers.set(id, abortController);
+
+            let response;
+
+            try {
+                if (typeof api[method] !== typeof WebWorker.expose) {
+                    throw new TypeError(`Method "${method}" is not exposed by the worker.`);
+                }
+
+                const value = await api[method].apply(callContext, args);
+
+                response = { type: RpcMessageTypes.RESOLVE, value };
+            } catch (error) {
+                response = { type: RpcMessageTypes.REJECT, error: serializeError(error) };
+            }
+
+            // The main thread already rejected cancelled calls, so there's nothing left to respond to
+            if (abortController.signal.aborted) {
+                return;
+            }
+
+            abortControllers.delete(id);
+
+            const responseMessage = {
+                source: RPC_MESSAGE_SOURCE,
+                id,
+                ...response,
+            };
+
+            try {
+                scope.postMessage(responseMessage, getTransferables([ response.value ]));
+            } catch (uncloneableValueError) {
+                scope.postMessage({
+                    source: RPC_MESSAGE_SOURCE,
+                    id,
+                    type: RpcMessageTypes.REJECT,
+                    error: serializeError(uncloneableValueError),
+                });
+            }
+        };
+
+        scope.addEventListener('message', handleMessage);
+
+        return () => {
+            scope.removeEventListener('message', handleMessage);
+            abortControllers.forEach(abortController => abortController.abort());
+            abortControllers.clear();
+        };
+    }
+
+    /**
+     * Wraps a worker that called `WebWorker.expose()` so its methods can be called as if
+     * they were local, async functions.
+     *
+     * Each call returns a {@link CancellablePromise}; Cancelling it aborts the `this.signal`
+     * of the method running in the worker.
+     * Calls in progress are rejected if the worker fires an `error` event or is terminated, since
+     * their responses would never arrive.
+     *
+     * @example
+     * const worker = WebWorker.wrap(new WebWorker('my.worker.js'));
+     * const permutationsPromise = worker.getAllPermutations([ 1, 2, 3 ]);
+     * const buffer = new ArrayBuffer(1024);
+     * const processedBuffer = await worker.processBuffer(WebWorker.transfer(buffer, [ buffer ]));
+     *
+     * permutationsPromise.cancel();
+     *
+     * @param {(Worker|MessagePort)} worker - Worker exposing the methods.
+     * @returns {Object<string, function(...*): CancellablePromise>} - Proxy whose properties call the worker's methods.
+     */
+    static wrap(worker) {
+        const pendingCalls = new Map();
+        let nextId = 0;
+
+        const rejectPendingCalls = error => {
+            const calls = [ ...pendingCalls.values() ];
+
+            pendingCalls.clear();
+            calls.forEach(({ reject }) => reject(error));
+        };
+
+        worker.addEventListener('error', event => {
+            rejectPendingCalls(getWorkerErrorFromEvent(event));
+        });
+
+        addTerminateListener(worker, () => {
+            rejectPendingCalls(new Error('Worker was terminated'));
+        });
+
+        worker.addEventListener('message', ({ data }) => {
+            if (!isRpcMessage(data) || !pendingCalls.has(data.id)) {
+                return;
+            }
+
+            const { resolve, reject } = pendingCalls.get(data.id);
+
+            pendingCalls.delete(data.id);
+
+            if (data.type === RpcMessageTypes.RESOLVE) {
+                resolve(data.value);
+            } else {
+                reject(deserializeError(data.error));
+            }
+        });
+
+        const callWorkerMethod = (method, args) => new CancellablePromise((resolve, reject, signal) => {
+            const id = nextId++;
+
+            pendingCalls.set(id, { resolve, reject });
+
+            signal.addEventListener('abort', () => {
+                if (pendingCalls.delete(id)) {
+                    worker.postMessage({ source: RPC_MESSAGE_SOURCE, type: RpcMessageTypes.CANCEL, id });
+                }
+            }, { once: true });
+
+            try {
+                worker.postMessage(
+                    { source: RPC_MESSAGE_SOURCE, type: RpcMessageTypes.CALL, id, method, args },
+                    getTransferables(args),
+                );
+            } catch (uncloneableArgsError) {
+                pendingCalls.delete(id);
+                reject(uncloneableArgsError);
+            }
+        });
+
+        return new Proxy({}, {
+            get(target, method) {
+                // Prevent the proxy from being treated as a Promise, e.g. when returned from an async function
+                if (method === 'then' || typeof method !== typeof '') {
+                    return undefined;
+                }
+
+                return (...args) => callWorkerMethod(method, args);
+            },
+        });
+    }
+
+    /**
+     * Marks objects to be [transferred]{@link https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API/Transferable_objects}
+     * rather than copied when sent as an argument or return value of a `WebWorker.wrap()`/`WebWorker.expose()` call.
+     *
+     * @param {Object} value - Argument or return value to send.
+     * @param {Transferable[]} transferables - Objects within `value` to transfer, e.g. `ArrayBuffer`s.
+     * @returns {Object} - The same `value`.
+     */
+    static transfer(value, transferables) {
+        transferCache.set(value, transferables);
+
+        return value;
+    }
+
+    /**
+     * Creates a worker that runs a single function, callable via `WebWorker.wrap(worker).run(...args)`.
+     *
+     * The function is stringified, so it can't use any variables or imports from outside its own scope.
+     *
+     * @param {function(...*): *} func - Self-contained function to run in the worker; May return a Promise.
+     * @returns {Worker} - A new WebWorker running the function.
+     */
+    static createFunctionWorker(func) {
+        const protocol = JSON.stringify({ source: RPC_MESSAGE_SOURCE, types: RpcMessageTypes });
+
+        return WebWorker.createWorkerFromFunctionString(`function() {
+            (${functionWorkerScript.toString()})(${func.toString()}, ${protocol});
+        }`);
+    }
+
+    /**
+     * Creates a worker that runs the given function's source as an IIFE.
+     *
+     * The worker's script is a Blob URL, which is revoked once the worker is terminated so the Blob can be freed.
+     *
+     * @param {string} funcString - Source code of a function with no parameters.
+     * @returns {Worker} - A new WebWorker running the function.
+     */
     static createWorkerFromFunctionString(funcString) {
         // `type` option isn't absolutely necessary but added to ensure portability/usability
         const webWorkerBlob = new Blob([ `(${funcString})()` ], { type: MimeTypes.JS });
         const webWorkerBlobUrl = URL.createObjectURL(webWorkerBlob);
+        const worker = new Worker(webWorkerBlobUrl);
+
+        addTerminateListener(worker, () => {
+            URL.revokeObjectURL(webWorkerBlobUrl);
+        });
 
-        return new Worker(webWorkerBlobUrl);
+        return worker;
     }
 
     /**
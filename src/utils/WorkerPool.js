@@ -0,0 +1,208 @@
+import CancellablePromise from '@/utils/CancellablePromise';
+import WebWorker, { getWorkerErrorFromEvent } from '@/utils/WebWorker';
+
+
+/**
+ * Pool of [WebWorkers]{@link https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API} that run
+ * tasks off the main thread without creating a new `Worker` per task.
+ *
+ * - Workers are created lazily, up to `maxWorkers`, and reused once they're idle.
+ * - Tasks wait in a queue, ordered by priority (FIFO within the same priority), until a worker is free.
+ * - Workers that crash (i.e. fire an `error` event) are terminated, their task is rejected, and a new worker
+ *   replaces them for the remaining tasks.
+ * - Workers whose task is cancelled are terminated and replaced too, since the task's method might not
+ *   stop upon its `signal` being aborted (e.g. synchronous computations).
+ * - Workers that are idle for `idleTimeout` ms are terminated to free memory.
+ *
+ * Workers must call `WebWorker.expose()` with the methods tasks can run (see {@link WebWorker.wrap}).
+ *
+ * @example
+ * const pool = new WorkerPool({ workerSource: 'math.worker.js' });
+ * const permutations = await pool.run('getAllPermutations', [[ 1, 2, 3 ]], { priority: WorkerPool.Priorities.HIGH });
+ */
+class WorkerPool {
+    static Priorities = {
+        LOW: -1,
+        NORMAL: 0,
+        HIGH: 1,
+    };
+
+    /**
+     * @param {Object} options
+     * @param {(string|function)} options.workerSource - Worker script path or function; See {@link WebWorker}.
+     * @param {number} [options.maxWorkers=navigator.hardwareConcurrency] - Max number of workers running at once.
+     * @param {number} [options.idleTimeout=30000] - Milliseconds before an idle worker is terminated; Use `Infinity` to keep them alive.
+     */
+    constructor({
+        workerSource,
+        maxWorkers = self.navigator?.hardwareConcurrency || 4,
+        idleTimeout = 30 * 1000,
+    }) {
+        this.workerSource = workerSource;
+        this.maxWorkers = Math.max(1, maxWorkers);
+        this.idleTimeout = idleTimeout;
+        this.workers = []; // Entries of `{ worker, api, task, idleTimer }`
+        this.queue = [];
+    }
+
+    /**
+     * Number of tasks waiting for a free worker.
+     *
+     * @returns {number}
+     */
+    get pendingTaskCount() {
+        return this.queue.length;
+    }
+
+    /**
+     * Queues a call to a method exposed by the workers.
+     *
+     * Cancelling the returned promise removes the task from the queue or, if it's already
+     * running, terminates the worker running it.
+     *
+     * @param {string} method - Name of the method exposed by the worker.
+     * @param {Array} [args] - Arguments to pass to the method; Mark objects to transfer via `WebWorker.transfer()`.
+     * @param {Object} [options]
+     * @param {number} [options.priority=WorkerPool.Priorities.NORMAL] - Higher-priority tasks run first.
+     * @returns {CancellablePromise<*>} - Resolves/rejects with the method's result.
+     */
+    run(method, args = [], {
+        priority = WorkerPool.Priorities.NORMAL,
+    } = {}) {
+        return new CancellablePromise((resolve, reject, signal) => {
+            const task = { method, args, priority, resolve, reject };
+
+            signal.addEventListener('abort', () => {
+                const workerEntry = this.workers.find(entry => entry.task === task);
+
+                this.removeFromQueue(task);
+
+                if (workerEntry) {
+                    workerEntry.task = null;
+                    this.removeWorker(workerEntry);
+                    this.processQueue();
+                }
+            }, { once: true });
+
+            this.addToQueue(task);
+            this.processQueue();
+        });
+    }
+
+    /**
+     * Terminates all workers and rejects all running and queued tasks.
+     *
+     * @param {*} [reason] - Error with which to reject the tasks.
+     */
+    terminate(reason = new Error('WorkerPool was terminated')) {
+        const tasks = [
+            ...this.workers.map(workerEntry => workerEntry.task).filter(Boolean),
+            ...this.queue,
+        ];
+
+        [ ...this.workers ].forEach(workerEntry => this.removeWorker(workerEntry));
+        this.queue = [];
+        tasks.forEach(task => task.reject(reason));
+    }
+
+    addToQueue(task) {
+        const lowerPriorityIndex = this.queue.findIndex(queuedTask => queuedTask.priority < task.priority);
+
+        if (lowerPriorityIndex < 0) {
+            this.queue.push(task);
+        } else {
+            this.queue.splice(lowerPriorityIndex, 0, task);
+        }
+    }
+
+    removeFromQueue(task) {
+        const taskIndex = this.queue.indexOf(task);
+
+        if (taskIndex >= 0) {
+            this.queue.splice(taskIndex, 1);
+        }
+    }
+
+    processQueue() {
+        while (this.queue.length) {
+            const workerEntry = this.workers.find(({ task }) => !task)
+                ?? (this.workers.length < this.maxWorkers ? this.createWorker() : null);
+
+            if (!workerEntry) {
+                return;
+            }
+
+            this.runTask(workerEntry, this.queue.shift());
+        }
+    }
+
+    createWorker() {
+        const worker = new WebWorker(this.workerSource);
+        const workerEntry = {
+            worker,
+            api: WebWorker.wrap(worker),
+            task: null,
+            idleTimer: null,
+        };
+
+        worker.addEventListener('error', event => {
+            event.preventDefault?.();
+            this.handleCrash(workerEntry, event);
+        });
+
+        this.workers.push(workerEntry);
+
+        return workerEntry;
+    }
+
+    removeWorker(workerEntry) {
+        clearTimeout(workerEntry.idleTimer);
+        workerEntry.worker.terminate();
+        this.workers = this.workers.filter(entry => entry !== workerEntry);
+    }
+
+    runTask(workerEntry, task) {
+        clearTimeout(workerEntry.idleTimer);
+        workerEntry.task = task;
+        task.call = workerEntry.api[task.method](...task.args);
+
+        task.call
+            .then(task.resolve, task.reject)
+            .finally(() => {
+                // The worker might have crashed or been terminated in the meantime
+                if (workerEntry.task === task) {
+                    workerEntry.task = null;
+                    this.releaseWorker(workerEntry);
+                }
+            });
+    }
+
+    releaseWorker(workerEntry) {
+        this.processQueue();
+
+        if (workerEntry.task || !Number.isFinite(this.idleTimeout)) {
+            return;
+        }
+
+        workerEntry.idleTimer = setTimeout(() => {
+            if (!workerEntry.task) {
+                this.removeWorker(workerEntry);
+            }
+        }, this.idleTimeout);
+    }
+
+    handleCrash(workerEntry, event) {
+        const { task } = workerEntry;
+        const error = getWorkerErrorFromEvent(event);
+
+        workerEntry.task = null;
+        // Also rejects the worker's pending call (see `WebWorker.wrap()`) so it doesn't stay pending forever
+        this.removeWorker(workerEntry);
+        task?.reject(error);
+
+        // Replace the crashed worker if there are remaining tasks
+        this.processQueue();
+    }
+}
+
+export default WorkerPool;
@@ -0,0 +1,664 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+
+const serviceWorkerSource = fs.readFileSync(path.resolve(__dirname, '..', 'src', 'ServiceWorker.js')).toString();
+// jsdom doesn't implement the Fetch API, so use Node's for the ServiceWorker's global scope
+const { Request, Response, Headers, Blob } = vm.runInThisContext('({ Request, Response, Headers, Blob })');
+const origin = 'https://example.com';
+
+
+/**
+ * In-memory implementation of the parts of `CacheStorage` used by the ServiceWorker.
+ */
+function createMockCacheStorage() {
+    const cachesByName = new Map();
+
+    const getUrl = requestOrUrl => (typeof requestOrUrl === typeof '' ? new URL(requestOrUrl, origin).href : requestOrUrl.url);
+
+    const createCache = () => {
+        const responses = new Map();
+
+        return {
+            responses,
+            match: async requestOrUrl => responses.get(getUrl(requestOrUrl))?.clone(),
+            put: async (requestOrUrl, response) => {
+                responses.set(getUrl(requestOrUrl), response);
+            },
+            delete: async requestOrUrl => responses.delete(getUrl(requestOrUrl)),
+            keys: async () => [ ...responses.keys() ].map(url => new Request(url)),
+        };
+    };
+
+    return {
+        cachesByName,
+        open: async cacheName => {
+            if (!cachesByName.has(cacheName)) {
+                cachesByName.set(cacheName, createCache());
+            }
+
+            return cachesByName.get(cacheName);
+        },
+        has: async cacheName => cachesByName.has(cacheName),
+        delete: async cacheName => cachesByName.delete(cacheName),
+        keys: async () => [ ...cachesByName.keys() ],
+    };
+}
+
+/**
+ * In-memory implementation of the parts of `IndexedDB` used by the ServiceWorker's background sync queue.
+ */
+function createMockIndexedDb() {
+    const stores = new Map();
+
+    const runAsync = callback => setTimeout(callback);
+
+    const createObjectStore = () => {
+        const entries = new Map();
+        let nextKey = 1;
+
+        return {
+            entries,
+            add(value) {
+                const key = nextKey++;
+
+                entries.set(key, { ...value, id: key });
+
+                return { result: key };
+            },
+            delete(key) {
+                entries.delete(key);
+
+                return { result: undefined };
+            },
+            getAll() {
+                return { result: [ ...entries.values() ]};
+            },
+        };
+    };
+
+    const db = {
+        createObjectStore(storeName) {
+            stores.set(storeName, createObjectStore());
+        },
+        transaction(storeName) {
+            const transaction = {
+                objectStore: () => stores.get(storeName),
+            };
+
+            runAsync(() => transaction.oncomplete());
+
+            return transaction;
+        },
+        close() {},
+    };
+
+    return {
+        stores,
+        open() {
+            const openRequest = { result: db };
+
+            runAsync(() => {
+                if (!stores.size) {
+                    openRequest.onupgradeneeded();
+                }
+
+                openRequest.onsuccess();
+            });
+
+            return openRequest;
+        },
+    };
+}
+
+/**
+ * Runs `src/ServiceWorker.js` in a new global scope with mocked browser APIs.
+ *
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.injectedVars] - Source code of the variables injected by webpack,
+ *                                                          e.g. `{ cachingStrategies: '[{ pattern: /api/, strategy: "network-first" }]' }`.
+ */
+function createServiceWorkerScope({
+    injectedVars = {},
+} = {}) {
+    const eventListeners = {};
+    const broadcastMessages = [];
+    const serviceWorkerScope = {
+        location: {
+            href: `${origin}/ServiceWorker.js`,
+            origin,
+        },
+        addEventListener: (type, listener) => {
+            eventListeners[type] = listener;
+        },
+        skipWaiting: jest.fn(),
+        registration: {
+            sync: {
+                register: jest.fn(() => Promise.resolve()),
+            },
+            showNotification: jest.fn(() => Promise.resolve()),
+        },
+        clients: {
+            matchAll: jest.fn(() => Promise.resolve([])),
+            openWindow: jest.fn(() => Promise.resolve()),
+        },
+    };
+    const context = vm.createContext({
+        self: serviceWorkerScope,
+        caches: createMockCacheStorage(),
+        indexedDB: createMockIndexedDb(),
+        fetch: jest.fn(() => Promise.reject(new TypeError('Failed to fetch'))),
+        Request,
+        Response,
+        Headers,
+        Blob,
+        URL,
+        BroadcastChannel: class {
+            postMessage(message) {
+                broadcastMessages.push(message);
+            }
+
+            close() {}
+        },
+        console: {
+            log: jest.fn(),
+            error: jest.fn(),
+        },
+        setTimeout,
+        clearTimeout,
+    });
+    const source = Object.entries(injectedVars).reduce(
+        (sourceWithVars, [ varName, value ]) => sourceWithVars.replace(
+            new RegExp(`${varName} ?= ?\\[\\]`),
+            `${varName}=${value}`,
+        ),
+        serviceWorkerSource,
+    );
+
+    vm.runInContext(source, context);
+
+    /**
+     * Dispatches an event to the ServiceWorker.
+     *
+     * @returns {{ response: Promise<Response>, done: Promise }} - The event's `respondWith()` value and
+     *                                                             a Promise resolved when all `waitUntil()` calls resolve.
+     */
+    const dispatchEvent = (type, eventProps = {}) => {
+        const waitUntilPromises = [];
+        let response;
+
+        eventListeners[type]({
+            ...eventProps,
+            waitUntil: promise => waitUntilPromises.push(promise),
+            respondWith: responsePromise => {
+                response = Promise.resolve(responsePromise);
+            },
+        });
+
+        return {
+            response,
+            done: Promise.all(waitUntilPromises),
+        };
+    };
+
+    return {
+        context,
+        serviceWorkerScope,
+        broadcastMessages,
+        dispatchEvent,
+        fetch: context.fetch,
+        caches: context.caches,
+        getSyncQueue: () => [ ...(context.indexedDB.stores.get('requests')?.entries.values() ?? []) ],
+    };
+}
+
+
+/**
+ * Waits for the ServiceWorker's background work that isn't part of the response, e.g. caching a fetched response.
+ */
+function waitForBackgroundWork() {
+    return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+
+describe('ServiceWorker', () => {
+    describe('Caching strategies', () => {
+        const apiUrl = `${origin}/api/posts`;
+        const apiCacheName = `runtime::${/\/api\//}`;
+
+        function createApiStrategyScope(strategyEntrySource) {
+            const serviceWorker = createServiceWorkerScope({
+                injectedVars: {
+                    cachingStrategies: `[{ pattern: /\\/api\\//, ${strategyEntrySource} }]`,
+                },
+            });
+            let fetchCount = 0;
+
+            serviceWorker.fetch.mockImplementation(() => Promise.resolve(
+                new Response(`network ${++fetchCount}`, { headers: { date: new Date().toUTCString() }}),
+            ));
+
+            const fetchApi = async (url = apiUrl) => {
+                const response = await serviceWorker.dispatchEvent('fetch', { request: new Request(url) }).response;
+
+                await waitForBackgroundWork();
+
+                return response;
+            };
+
+            return { ...serviceWorker, fetchApi };
+        }
+
+        async function getCachedText(caches, url = apiUrl) {
+            const cachedResponse = await (await caches.open(apiCacheName)).match(url);
+
+            return cachedResponse?.text();
+        }
+
+        it('should use the network first and fall back to the cache', async () => {
+            const { fetchApi, fetch, caches } = createApiStrategyScope('strategy: "network-first"');
+
+            expect(await (await fetchApi()).text()).toEqual('network 1');
+            expect(await getCachedText(caches)).toEqual('network 1');
+
+            fetch.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+
+            expect(await (await fetchApi()).text()).toEqual('network 1');
+        });
+
+        it('should use the cache first and only fetch uncached responses', async () => {
+            const { fetchApi, fetch } = createApiStrategyScope('strategy: "cache-first"');
+
+            expect(await (await fetchApi()).text()).toEqual('network 1');
+            expect(await (await fetchApi()).text()).toEqual('network 1');
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        it('should respond from the cache while updating it in the background', async () => {
+            const { fetchApi, fetch, caches } = createApiStrategyScope('strategy: "stale-while-revalidate"');
+
+            expect(await (await fetchApi()).text()).toEqual('network 1');
+            expect(await (await fetchApi()).text()).toEqual('network 1');
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(await getCachedText(caches)).toEqual('network 2');
+        });
+
+        it('should never cache network-only responses and never fetch cache-only responses', async () => {
+            const networkOnly = createApiStrategyScope('strategy: "network-only"');
+
+            expect(await (await networkOnly.fetchApi()).text()).toEqual('network 1');
+            expect(await (await networkOnly.fetchApi()).text()).toEqual('network 2');
+            expect(await getCachedText(networkOnly.caches)).toBeUndefined();
+
+            const cacheOnly = createApiStrategyScope('strategy: "cache-only"');
+
+            expect((await cacheOnly.fetchApi()).type).toEqual('error');
+
+            await (await cacheOnly.caches.open(apiCacheName)).put(apiUrl, new Response('cached'));
+
+            expect(await (await cacheOnly.fetchApi()).text()).toEqual('cached');
+            expect(cacheOnly.fetch).not.toHaveBeenCalled();
+        });
+
+        it('should not use cached responses older than maxAgeSeconds', async () => {
+            const { fetchApi, fetch, caches } = createApiStrategyScope('strategy: "cache-first", maxAgeSeconds: 60');
+            const apiCache = await caches.open(apiCacheName);
+
+            await apiCache.put(apiUrl, new Response('fresh', { headers: { 'sw-cached-at': String(Date.now()) }}));
+
+            expect(await (await fetchApi()).text()).toEqual('fresh');
+            expect(fetch).not.toHaveBeenCalled();
+
+            await apiCache.put(apiUrl, new Response('expired', { headers: { 'sw-cached-at': String(Date.now() - 61000) }}));
+
+            expect(await (await fetchApi()).text()).toEqual('network 1');
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        it('should only keep the newest maxEntries responses', async () => {
+            const { fetchApi, caches } = createApiStrategyScope('strategy: "cache-first", maxEntries: 2');
+
+            await fetchApi(`${apiUrl}/1`);
+            await fetchApi(`${apiUrl}/2`);
+            await fetchApi(`${apiUrl}/3`);
+
+            expect([ ...(await caches.open(apiCacheName)).responses.keys() ]).toEqual([
+                `${apiUrl}/2`,
+                `${apiUrl}/3`,
+            ]);
+        });
+
+        it('should use the first matching entry and not cache URLs that are excluded', async () => {
+            const { dispatchEvent, fetch, caches } = createServiceWorkerScope({
+                injectedVars: {
+                    cachingStrategies: '[{ pattern: "./api/config.json", strategy: "network-only" }, { pattern: /\\/api\\//, strategy: "cache-first" }]',
+                    urlsNotToCache: '[ /\\/api\\/private/ ]',
+                },
+            });
+
+            fetch.mockImplementation(() => Promise.resolve(new Response('network')));
+
+            await dispatchEvent('fetch', { request: new Request(`${origin}/api/config.json`) }).response;
+            await dispatchEvent('fetch', { request: new Request(`${origin}/api/private`) }).response;
+            await dispatchEvent('fetch', { request: new Request(apiUrl) }).response;
+            await waitForBackgroundWork();
+
+            expect([ ...(await caches.open(apiCacheName)).responses.keys() ]).toEqual([ apiUrl ]);
+            expect(await caches.has('runtime::./api/config.json')).toBe(false);
+            expect(fetch).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('Offline fallbacks', () => {
+        /**
+         * Installs the ServiceWorker with the fallbacks precached, then goes offline.
+         *
+         * @returns {function(Request): Promise<string>} - Gets the text of the response to a request, or `'network error'`.
+         */
+        async function installOffline() {
+            const serviceWorker = createServiceWorkerScope({
+                injectedVars: {
+                    precacheManifest: JSON.stringify([
+                        { url: './index.html', revision: 'html-v1' },
+                        { url: './offline.html', revision: 'offline-v1' },
+                        { url: './offline-image.svg', revision: 'svg-v1' },
+                    ]),
+                },
+            });
+
+            serviceWorker.fetch.mockImplementation(request => Promise.resolve(new Response(`precached ${request.url}`)));
+
+            await serviceWorker.dispatchEvent('install').done;
+
+            serviceWorker.fetch.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+
+            return async request => {
+                const response = await serviceWorker.dispatchEvent('fetch', { request }).response;
+
+                return response.type === 'error' ? 'network error' : response.text();
+            };
+        }
+
+        // Node's `Request` doesn't allow `mode: 'navigate'`, so use the fields the ServiceWorker reads instead
+        function createRequest(url, { mode = 'cors', destination = '' } = {}) {
+            return {
+                url,
+                method: 'GET',
+                mode,
+                destination,
+                headers: new Headers(),
+            };
+        }
+
+        function createNavigationRequest(url) {
+            return createRequest(url, { mode: 'navigate', destination: 'document' });
+        }
+
+        it('should serve the app shell for navigations to client-side routes', async () => {
+            const getOfflineResponseText = await installOffline();
+
+            expect(await getOfflineResponseText(createNavigationRequest(`${origin}/about`))).toEqual(`precached ${origin}/index.html`);
+            expect(await getOfflineResponseText(createNavigationRequest(`${origin}/animeSearch?q=naruto`))).toEqual(`precached ${origin}/index.html`);
+        });
+
+        it('should serve the offline page for navigations to other pages', async () => {
+            const getOfflineResponseText = await installOffline();
+
+            expect(await getOfflineResponseText(createNavigationRequest(`${origin}/resume.pdf`))).toEqual(`precached ${origin}/offline.html`);
+            expect(await getOfflineResponseText(createNavigationRequest('https://other.example.com/page'))).toEqual(`precached ${origin}/offline.html`);
+        });
+
+        it('should serve the offline image for images and a network error for everything else', async () => {
+            const getOfflineResponseText = await installOffline();
+
+            expect(await getOfflineResponseText(createRequest(`${origin}/images/cat.png`, { mode: 'no-cors', destination: 'image' }))).toEqual(`precached ${origin}/offline-image.svg`);
+            expect(await getOfflineResponseText(createRequest(`${origin}/api/posts`))).toEqual('network error');
+        });
+    });
+
+    describe('Push notifications', () => {
+        it('should show push payloads as notifications with the app icon by default', async () => {
+            const { dispatchEvent, serviceWorkerScope } = createServiceWorkerScope();
+
+            await dispatchEvent('push', {
+                data: {
+                    json: () => ({ title: 'New post', body: 'Check it out', url: '/about' }),
+                },
+            }).done;
+            await dispatchEvent('push', {
+                data: {
+                    json: () => {
+                        throw new SyntaxError('Unexpected token');
+                    },
+                    text: () => 'Plain text',
+                },
+            }).done;
+
+            expect(serviceWorkerScope.registration.showNotification.mock.calls).toEqual([
+                [ 'New post', { body: 'Check it out', icon: './favicon.png', tag: undefined, data: { url: '/about' }}],
+                [ 'New notification', { body: 'Plain text', icon: './favicon.png', tag: undefined, data: { url: './' }}],
+            ]);
+        });
+    });
+
+    describe('Precache', () => {
+        const precacheManifest = [
+            { url: './index.html', revision: 'html-v2', integrity: 'sha384-html' },
+            { url: './main.js', revision: 'js-v1', integrity: 'sha384-js' },
+        ];
+
+        function createResponse(body, revision) {
+            return new Response(body, {
+                headers: revision ? { 'sw-revision': revision } : {},
+            });
+        }
+
+        async function installWithPreviousPrecache() {
+            const serviceWorker = createServiceWorkerScope({
+                injectedVars: {
+                    precacheManifest: JSON.stringify(precacheManifest),
+                },
+            });
+            const { caches, fetch } = serviceWorker;
+            const previousPrecache = await caches.open('precache::previous');
+
+            await previousPrecache.put(`${origin}/index.html`, createResponse('old html', 'html-v1'));
+            await previousPrecache.put(`${origin}/main.js`, createResponse('js', 'js-v1'));
+            await previousPrecache.put(`${origin}/removed.js`, createResponse('removed', 'removed-v1'));
+            await (await caches.open('runtime::unused')).put(`${origin}/api`, createResponse('{}'));
+
+            fetch.mockImplementation(request => Promise.resolve(createResponse(`new ${request.url}`)));
+
+            await serviceWorker.dispatchEvent('install').done;
+
+            return { ...serviceWorker, previousPrecache };
+        }
+
+        it('should stage changed files in a new cache without changing the active one', async () => {
+            const { caches, fetch, previousPrecache } = await installWithPreviousPrecache();
+            const newPrecacheNames = (await caches.keys()).filter(name => name.startsWith('precache::') && name !== 'precache::previous');
+
+            expect(newPrecacheNames).toHaveLength(1);
+
+            const newPrecache = await caches.open(newPrecacheNames[0]);
+
+            // Only the changed file is downloaded, bypassing the HTTP cache and verifying its integrity
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(fetch.mock.calls[0][0]).toMatchObject({
+                url: `${origin}/index.html`,
+                integrity: 'sha384-html',
+                cache: 'no-cache',
+            });
+
+            expect(await (await newPrecache.match(`${origin}/index.html`)).text()).toEqual(`new ${origin}/index.html`);
+            expect((await newPrecache.match(`${origin}/index.html`)).headers.get('sw-revision')).toEqual('html-v2');
+            expect(await (await newPrecache.match(`${origin}/main.js`)).text()).toEqual('js');
+            expect(await newPrecache.match(`${origin}/removed.js`)).toBeUndefined();
+
+            // The active ServiceWorker's cache is untouched until activation
+            expect(await (await previousPrecache.match(`${origin}/index.html`)).text()).toEqual('old html');
+        });
+
+        it('should swap in the new cache upon activation', async () => {
+            const { caches, dispatchEvent } = await installWithPreviousPrecache();
+            const cacheNamesAfterInstall = await caches.keys();
+
+            await dispatchEvent('activate').done;
+
+            expect(await caches.keys()).toEqual(cacheNamesAfterInstall.filter(name => (
+                name !== 'precache::previous'
+                && name !== 'runtime::unused'
+            )));
+        });
+
+        it('should fail the installation if any file could not be downloaded', async () => {
+            const { caches, fetch, dispatchEvent } = createServiceWorkerScope({
+                injectedVars: {
+                    precacheManifest: JSON.stringify(precacheManifest),
+                },
+            });
+
+            fetch.mockImplementation(() => Promise.resolve(new Response('', { status: 404 })));
+
+            await expect(dispatchEvent('install').done).rejects.toThrow('Received status: 404');
+            expect(await caches.keys()).toHaveLength(1);
+        });
+    });
+
+    describe('Background sync', () => {
+        const apiUrl = `${origin}/api/posts`;
+
+        function createMutation(headers = {}) {
+            return new Request(apiUrl, {
+                method: 'POST',
+                body: JSON.stringify({ title: 'Offline post' }),
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...headers,
+                },
+            });
+        }
+
+        it('should not queue mutations that did not opt in', async () => {
+            const { dispatchEvent, fetch, getSyncQueue } = createServiceWorkerScope();
+            const { response } = dispatchEvent('fetch', { request: createMutation() });
+
+            // Falls back to the usual offline handling, i.e. a network error
+            expect((await response).type).toEqual('error');
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(getSyncQueue()).toEqual([]);
+        });
+
+        it('should send opted-in mutations without the opt-in header', async () => {
+            const { dispatchEvent, fetch, getSyncQueue } = createServiceWorkerScope();
+
+            fetch.mockImplementation(() => Promise.resolve(new Response('{}', { status: 201 })));
+
+            const { response } = dispatchEvent('fetch', { request: createMutation({ 'sw-background-sync': 'queue' }) });
+
+            expect((await response).status).toEqual(201);
+
+            const [[ sentRequest ]] = fetch.mock.calls;
+
+            expect(sentRequest.headers.has('sw-background-sync')).toBe(false);
+            expect(await sentRequest.text()).toEqual(JSON.stringify({ title: 'Offline post' }));
+            expect(getSyncQueue()).toEqual([]);
+        });
+
+        it('should queue opted-in mutations without their credentials when offline', async () => {
+            const {
+                dispatchEvent,
+                getSyncQueue,
+                broadcastMessages,
+                serviceWorkerScope,
+            } = createServiceWorkerScope();
+            const { response } = dispatchEvent('fetch', {
+                request: createMutation({
+                    'sw-background-sync': 'queue',
+                    Authorization: 'Bearer secret',
+                    'X-Request-Id': 'abc',
+                }),
+            });
+            const queuedResponse = await response;
+            const [ queuedRequest ] = getSyncQueue();
+
+            expect(queuedResponse.status).toEqual(202);
+            expect(queuedResponse.headers.get('sw-background-sync')).toEqual('queued');
+            expect(serviceWorkerScope.registration.sync.register).toHaveBeenCalledWith('sync-queue');
+
+            expect(getSyncQueue()).toHaveLength(1);
+            expect(queuedRequest).toMatchObject({ url: apiUrl, method: 'POST' });
+            expect(Object.fromEntries(queuedRequest.headers)).toEqual({
+                'content-type': 'application/json',
+                'x-request-id': 'abc',
+            });
+            expect(Buffer.from(queuedRequest.body).toString()).toEqual(JSON.stringify({ title: 'Offline post' }));
+
+            expect(broadcastMessages).toEqual([{
+                type: 'BACKGROUND_SYNC',
+                url: apiUrl,
+                method: 'POST',
+                queued: true,
+                queuedAt: queuedRequest.queuedAt,
+            }]);
+        });
+
+        it('should replay queued requests in order once back online', async () => {
+            const {
+                dispatchEvent,
+                fetch,
+                getSyncQueue,
+                broadcastMessages,
+            } = createServiceWorkerScope();
+
+            await dispatchEvent('fetch', { request: createMutation({ 'sw-background-sync': 'queue' }) }).response;
+            await dispatchEvent('fetch', {
+                request: new Request(`${apiUrl}/1`, { method: 'DELETE', headers: { 'sw-background-sync': 'queue' }}),
+            }).response;
+
+            const [ firstQueuedRequest, secondQueuedRequest ] = getSyncQueue();
+
+            broadcastMessages.length = 0;
+            fetch.mockReset();
+            fetch.mockImplementation(() => Promise.resolve(new Response(null, { status: 204 })));
+
+            await dispatchEvent('sync', { tag: 'sync-queue' }).done;
+
+            expect(fetch.mock.calls.map(([ request ]) => `${request.method} ${request.url}`)).toEqual([
+                `POST ${apiUrl}`,
+                `DELETE ${apiUrl}/1`,
+            ]);
+            expect(await fetch.mock.calls[0][0].text()).toEqual(JSON.stringify({ title: 'Offline post' }));
+            expect(getSyncQueue()).toEqual([]);
+            expect(broadcastMessages).toEqual([
+                {
+                    type: 'BACKGROUND_SYNC',
+                    url: apiUrl,
+                    method: 'POST',
+                    queued: false,
+                    status: 204,
+                    ok: true,
+                    queuedAt: firstQueuedRequest.queuedAt,
+                },
+                {
+                    type: 'BACKGROUND_SYNC',
+                    url: `${apiUrl}/1`,
+                    method: 'DELETE',
+                    queued: false,
+                    status: 204,
+                    ok: true,
+                    queuedAt: secondQueuedRequest.queuedAt,
+                },
+            ]);
+        });
+
+        it('should keep requests queued if replaying them fails', async () => {
+            const { dispatchEvent, getSyncQueue } = createServiceWorkerScope();
+
+            await dispatchEvent('fetch', { request: createMutation({ 'sw-background-sync': 'queue' }) }).response;
+
+            await expect(dispatchEvent('sync', { tag: 'sync-queue' }).done).rejects.toThrow('Failed to fetch');
+            expect(getSyncQueue()).toHaveLength(1);
+        });
+    });
+});
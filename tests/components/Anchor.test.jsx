@@ -0,0 +1,138 @@
+import { fireEvent, render } from '@testing-library/react';
+import { MemoryRouter, Route, Routes, useLocation } from 'react-router-dom';
+
+import Anchor from '@/components/ui/Anchor';
+
+describe('<Anchor/>', () => {
+    function CurrentPath() {
+        const location = useLocation();
+
+        return <div data-testid="current-path">{location.pathname + location.search}</div>;
+    }
+
+    function renderInRouter(anchor, { basename } = {}) {
+        return render(
+            <MemoryRouter initialEntries={[ basename ?? '/' ]} basename={basename}>
+                <Routes>
+                    <Route path="*" element={<>{anchor}<CurrentPath /></>} />
+                </Routes>
+            </MemoryRouter>,
+        );
+    }
+
+    it('should navigate client-side for same-origin URLs', () => {
+        const { getByText, getByTestId } = renderInRouter(
+            <Anchor href={`${self.location.origin}/about?tab=info`}>About</Anchor>,
+        );
+        const link = getByText('About');
+
+        expect(link.getAttribute('href')).toEqual('/about?tab=info');
+        expect(link.hasAttribute('target')).toBe(false);
+        expect(link.hasAttribute('rel')).toBe(false);
+
+        fireEvent.click(link);
+
+        expect(getByTestId('current-path').textContent).toEqual('/about?tab=info');
+    });
+
+    it('should render a plain link for files and when outside a router', () => {
+        const { getByText } = renderInRouter(<Anchor href="/resume.pdf">Resume</Anchor>);
+
+        fireEvent.click(getByText('Resume'));
+
+        // Links to files aren't routes, so react-router shouldn't handle them
+        expect(getByText('/')).toBeDefined();
+
+        const { getByText: getByTextOutsideRouter } = render(<Anchor href="/about">About</Anchor>);
+        const link = getByTextOutsideRouter('About');
+
+        expect(link.getAttribute('href')).toEqual('/about');
+        expect(link.hasAttribute('target')).toBe(false);
+    });
+
+    it('should open external URLs in a new tab without sending the referrer', () => {
+        const { getByText } = renderInRouter(<Anchor href="https://example.com/page">External</Anchor>);
+        const link = getByText('External');
+
+        expect(link.getAttribute('href')).toEqual('https://example.com/page');
+        expect(link.getAttribute('target')).toEqual(Anchor.Targets.NEW_TAB);
+        expect(link.getAttribute('rel')).toEqual('noopener noreferrer');
+    });
+
+    it('should only send the referrer to allowed domains', () => {
+        const { getByText } = render(
+            <>
+                <Anchor href="https://gist.github.com/user" referrerAllowList={[ 'github.com' ]}>Allowed</Anchor>
+                <Anchor href="https://notgithub.com" referrerAllowList={[ 'github.com' ]}>Not allowed</Anchor>
+                <Anchor href="https://example.com" rel="author" target={Anchor.Targets.SAME_TAB}>Custom</Anchor>
+            </>,
+        );
+
+        expect(getByText('Allowed').getAttribute('rel')).toEqual('noopener');
+        expect(getByText('Not allowed').getAttribute('rel')).toEqual('noopener noreferrer');
+        expect(getByText('Custom').getAttribute('rel')).toEqual('author');
+        expect(getByText('Custom').getAttribute('target')).toEqual(Anchor.Targets.SAME_TAB);
+    });
+
+    it('should optionally show an icon and description for external links', () => {
+        const { getByText, getByRole } = renderInRouter(
+            <>
+                <Anchor href="https://example.com" showExternalIcon externalDescription="(opens in a new tab)">
+                    External
+                </Anchor>
+                <Anchor href="/about" showExternalIcon externalDescription="(opens in a new tab)">
+                    Internal
+                </Anchor>
+            </>,
+        );
+
+        expect(getByRole('link', { name: 'External (opens in a new tab)' })).toBeDefined();
+        expect(getByText('External').querySelector('.external-link-icon')).not.toBeNull();
+        expect(getByRole('link', { name: 'Internal' })).toBeDefined();
+        expect(getByText('Internal').querySelector('.external-link-icon')).toBeNull();
+    });
+
+    it('should only route URLs under the router basename client-side', () => {
+        const { getByText, getByTestId } = renderInRouter(
+            <>
+                <Anchor href="/repo/about?tab=info">In app</Anchor>
+                <Anchor href="/other-app/page">Outside app</Anchor>
+            </>,
+            { basename: '/repo' },
+        );
+        const inAppLink = getByText('In app');
+        const outsideAppLink = getByText('Outside app');
+
+        // Basename is only added once by react-router
+        expect(inAppLink.getAttribute('href')).toEqual('/repo/about?tab=info');
+
+        fireEvent.click(inAppLink);
+
+        expect(getByTestId('current-path').textContent).toEqual('/about?tab=info');
+
+        // Same-origin pages outside the app reload the page, but in the same tab
+        expect(outsideAppLink.getAttribute('href')).toEqual('/other-app/page');
+        expect(outsideAppLink.hasAttribute('target')).toBe(false);
+        expect(outsideAppLink.hasAttribute('rel')).toBe(false);
+    });
+
+    it('should not treat non-HTTP URLs as external pages', () => {
+        const { getByText } = renderInRouter(
+            <>
+                <Anchor href="mailto:someone@example.com" showExternalIcon externalDescription="(opens in a new tab)">
+                    Email
+                </Anchor>
+                <Anchor href="tel:+15555555555">Phone</Anchor>
+            </>,
+        );
+
+        [ getByText('Email'), getByText('Phone') ].forEach(link => {
+            expect(link.tagName).toEqual('A');
+            expect(link.hasAttribute('target')).toBe(false);
+            expect(link.hasAttribute('rel')).toBe(false);
+            expect(link.querySelector('.external-link-icon')).toBeNull();
+        });
+        expect(getByText('Email').getAttribute('href')).toEqual('mailto:someone@example.com');
+        expect(getByText('Email').textContent).toEqual('Email');
+    });
+});
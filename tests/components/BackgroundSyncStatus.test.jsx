@@ -0,0 +1,46 @@
+import { act, render } from '@testing-library/react';
+
+import BackgroundSyncStatus from '@/components/BackgroundSyncStatus';
+import { BACKGROUND_SYNC_BROADCAST } from '@/utils/Constants';
+
+describe('<BackgroundSyncStatus/>', () => {
+    async function broadcast(data) {
+        // jsdom doesn't support `BroadcastChannel`, so the `postMessage()` fallback is used
+        await act(async () => {
+            self.dispatchEvent(new MessageEvent('message', { data, origin: self.location.origin }));
+        });
+    }
+
+    const post = { url: 'https://example.com/api/posts', method: 'POST', queuedAt: 1 };
+    const deletion = { url: 'https://example.com/api/posts/1', method: 'DELETE', queuedAt: 2 };
+
+    it('should show the number of queued requests until they are replayed', async () => {
+        const handleReplay = jest.fn();
+        const { queryByRole } = render(
+            <BackgroundSyncStatus getMessage={numQueued => `${numQueued} pending`} onReplay={handleReplay} />,
+        );
+
+        expect(queryByRole('status')).toBeNull();
+
+        await broadcast({ type: BACKGROUND_SYNC_BROADCAST, ...post, queued: true });
+        await broadcast({ type: BACKGROUND_SYNC_BROADCAST, ...deletion, queued: true });
+        expect(queryByRole('status').textContent).toEqual('2 pending');
+
+        await broadcast({ type: BACKGROUND_SYNC_BROADCAST, ...post, queued: false, status: 201, ok: true });
+        expect(queryByRole('status').textContent).toEqual('1 pending');
+        expect(handleReplay).toHaveBeenCalledWith(expect.objectContaining({ ...post, status: 201, ok: true }));
+
+        await broadcast({ type: BACKGROUND_SYNC_BROADCAST, ...deletion, queued: false, status: 204, ok: true });
+        expect(queryByRole('status')).toBeNull();
+        expect(handleReplay).toHaveBeenCalledTimes(2);
+    });
+
+    it('should ignore other broadcasts', async () => {
+        const { queryByRole } = render(<BackgroundSyncStatus />);
+
+        await broadcast('UPDATE');
+        await broadcast({ type: 'OTHER', ...post, queued: true });
+
+        expect(queryByRole('status')).toBeNull();
+    });
+});
@@ -2,10 +2,18 @@ import { fireEvent } from '@testing-library/react';
 
 import Home from '@/components/Home';
 import About from '@/components/About';
+import { href } from '@/utils/AppRoutes';
 
 import { renderWithWrappingParent, waitForRedirect, getDomFromRender } from '~/tests';
 
 describe('<Home/>', () => {
+    // Render `<Home/>` through the app's routes so that navigating away from it replaces it
+    function renderHomeRoute() {
+        history.pushState(null, '', href('home'));
+
+        return renderWithWrappingParent(<></>);
+    }
+
     it('should render the word "Home"', () => {
         const homeComponent = renderWithWrappingParent(<Home />);
         const homeTextComponent = homeComponent.getByText('Home');
@@ -14,8 +22,8 @@ describe('<Home/>', () => {
     });
 
     it('should redirect upon clicking a redirect button', async () => {
-        const rootWithHomeComponent = renderWithWrappingParent(<Home />);
-        const aboutButton = rootWithHomeComponent.getByText(/Go to About/i);
+        const rootWithHomeComponent = renderHomeRoute();
+        const aboutButton = await rootWithHomeComponent.findByText(/Go to About/i);
         const originalUrl = location.href;
 
         const newUrl = await waitForRedirect(() => {
@@ -35,6 +43,8 @@ describe('<Home/>', () => {
             );
         });
 
+        await rootWithHomeComponent.findByText('About');
+
         const { element, html } = getDomFromRender(rootWithHomeComponent, { fromParent: true });
 
         expect(html.includes('Home')).toBe(false);
@@ -0,0 +1,51 @@
+import { act, fireEvent, render } from '@testing-library/react';
+
+import InstallAppButton from '@/components/InstallAppButton';
+
+import { mockObjProperty } from '~/tests';
+
+describe('<InstallAppButton/>', () => {
+    beforeEach(() => {
+        localStorage.removeItem('installPromptDismissedAt');
+    });
+
+    it('should show the native install prompt once the browser allows it', async () => {
+        const { queryByText, findByText } = render(<InstallAppButton>Install me</InstallAppButton>);
+
+        expect(queryByText('Install me')).toBeNull();
+
+        const event = new Event('beforeinstallprompt', { cancelable: true });
+
+        event.prompt = jest.fn();
+        event.userChoice = Promise.resolve({ outcome: 'accepted', platform: 'web' });
+
+        act(() => {
+            self.dispatchEvent(event);
+        });
+
+        await act(async () => {
+            fireEvent.click(await findByText('Install me'));
+        });
+
+        expect(event.prompt).toHaveBeenCalledTimes(1);
+        expect(queryByText('Install me')).toBeNull();
+    });
+
+    it('should show "Add to Home Screen" instructions on iOS Safari', async () => {
+        const restoreUserAgent = mockObjProperty(
+            navigator,
+            'userAgent',
+            'Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1',
+        );
+        const { getByText, queryByText } = render(<InstallAppButton>Install me</InstallAppButton>);
+
+        fireEvent.click(getByText('Install me'));
+        expect(getByText(/Add to Home Screen/)).toBeDefined();
+
+        fireEvent.click(getByText(/Don't show again/));
+        expect(queryByText('Install me')).toBeNull();
+        expect(localStorage.getItem('installPromptDismissedAt')).not.toBeNull();
+
+        restoreUserAgent();
+    });
+});
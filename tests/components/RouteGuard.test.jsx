@@ -0,0 +1,108 @@
+import { act, fireEvent, render } from '@testing-library/react';
+import { MemoryRouter, Navigate, useLocation } from 'react-router-dom';
+
+import Login from '@/components/Login';
+import Router from '@/components/Router';
+import AppContext from '@/utils/AppContext';
+import AuthContext, { useAuth, requireAuth } from '@/utils/AuthContext';
+import { lazyRoute } from '@/utils/LazyRoute';
+
+describe('<RouteGuard/>', () => {
+    function renderRouter(routes, initialPath) {
+        return render(
+            <AppContext.Provider>
+                <AuthContext.Provider>
+                    <Router
+                        routes={routes}
+                        ReactRouter={MemoryRouter}
+                        routerProps={{ initialEntries: [ initialPath ]}}
+                    />
+                </AuthContext.Provider>
+            </AppContext.Provider>,
+        );
+    }
+
+    function LoginPage() {
+        const location = useLocation();
+        const { isAuthenticated, login } = useAuth();
+
+        if (isAuthenticated) {
+            return <Navigate to={location.state.from.pathname} />;
+        }
+
+        return (
+            <button onClick={() => login({ name: 'Test user' })}>
+                Sign in to see {location.state?.from?.pathname}
+            </button>
+        );
+    }
+
+    it('should redirect unauthenticated users without downloading the protected route', async () => {
+        const importer = jest.fn(() => Promise.resolve({ default: () => <div>Account page</div> }));
+        const AccountPage = lazyRoute(importer);
+
+        const { findByText, queryByText } = renderRouter([
+            { path: '/account', element: <AccountPage />, guard: requireAuth({ redirect: '/login' }) },
+            { path: '/login', element: <LoginPage /> },
+        ], '/account');
+
+        const loginButton = await findByText('Sign in to see /account');
+
+        expect(importer).not.toHaveBeenCalled();
+        expect(queryByText('Account page')).toBeNull();
+
+        await act(async () => {
+            fireEvent.click(loginButton);
+        });
+
+        expect(await findByText('Account page')).toBeDefined();
+        expect(importer).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return users to the full URL they were redirected from after signing in', async () => {
+        function AccountPage() {
+            const location = useLocation();
+
+            return <div>Account page {location.search + location.hash}</div>;
+        }
+
+        const { findByText, findByRole, getByRole } = renderRouter([
+            { path: '/account', element: <AccountPage />, guard: requireAuth({ redirect: '/login' }) },
+            { path: '/login', element: <Login /> },
+        ], '/account?tab=billing#plan');
+
+        const signInButton = await findByRole('button', { name: 'Sign in' });
+
+        fireEvent.change(getByRole('textbox'), { target: { value: 'Test user' }});
+
+        await act(async () => {
+            fireEvent.click(signInButton);
+        });
+
+        expect(await findByText('Account page ?tab=billing#plan')).toBeDefined();
+    });
+
+    it('should support async guards that render a fallback', async () => {
+        let resolveGuard;
+        const guard = jest.fn(({ appState }) => new Promise(resolve => {
+            resolveGuard = () => resolve(appState.imagesLoaded > 0 || { fallback: <div>Guard fallback</div> });
+        }));
+
+        const { findByText, queryByText, container } = renderRouter([
+            { path: '/guarded', element: <div>Guarded page</div>, guard },
+        ], '/guarded');
+
+        expect(container.querySelector('.spinner-border')).not.toBeNull();
+
+        await act(async () => {
+            resolveGuard();
+        });
+
+        expect(await findByText('Guard fallback')).toBeDefined();
+        expect(queryByText('Guarded page')).toBeNull();
+        expect(guard).toHaveBeenCalledWith(expect.objectContaining({
+            appState: expect.objectContaining({ imagesLoaded: 0 }),
+            location: expect.objectContaining({ pathname: '/guarded' }),
+        }));
+    });
+});
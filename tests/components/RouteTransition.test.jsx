@@ -0,0 +1,84 @@
+import { act, fireEvent, render } from '@testing-library/react';
+import { MemoryRouter, useLocation, useNavigate } from 'react-router-dom';
+
+import Router from '@/components/Router';
+import RouteTransition from '@/components/RouteTransition';
+
+describe('<RouteTransition/>', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    function TestLayout() {
+        const navigate = useNavigate();
+
+        return (
+            <>
+                <button onClick={() => navigate('/second')}>Go to second</button>
+                <RouteTransition />
+            </>
+        );
+    }
+
+    function Page() {
+        const { pathname } = useLocation();
+
+        return <div>Page at {pathname}</div>;
+    }
+
+    function renderRouter() {
+        return render(
+            <Router
+                routes={[
+                    {
+                        path: '/',
+                        element: <TestLayout />,
+                        children: [
+                            { path: 'first', element: <Page /> },
+                            { path: 'second', element: <Page /> },
+                        ],
+                    },
+                ]}
+                ReactRouter={MemoryRouter}
+                routerProps={{ initialEntries: [ '/first' ]}}
+                transitionProps={{ name: 'fade', className: 'duration-02' }}
+            />,
+        );
+    }
+
+    it('should keep the exiting route mounted until its animation duration passes', async () => {
+        const { getByText, queryByText } = renderRouter();
+        const firstPage = getByText('Page at /first');
+
+        expect(firstPage.parentElement.className).toEqual('duration-02');
+
+        await act(async () => {
+            fireEvent.click(getByText('Go to second'));
+        });
+
+        const secondPage = getByText('Page at /second');
+
+        // The exiting page still renders the location it was shown for
+        expect(getByText('Page at /first')).toBe(firstPage);
+        expect(firstPage.parentElement.className).toEqual('duration-02 fade-exit');
+        expect(firstPage.parentElement.getAttribute('aria-hidden')).toEqual('true');
+        expect(secondPage.parentElement.className).toEqual('duration-02 fade-enter');
+
+        await act(async () => {
+            jest.advanceTimersByTime(199);
+        });
+
+        expect(queryByText('Page at /first')).not.toBeNull();
+
+        await act(async () => {
+            jest.advanceTimersByTime(1);
+        });
+
+        expect(queryByText('Page at /first')).toBeNull();
+        expect(getByText('Page at /second')).toBe(secondPage);
+    });
+});
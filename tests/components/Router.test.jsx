@@ -0,0 +1,115 @@
+import { act, fireEvent, render } from '@testing-library/react';
+import { MemoryRouter, Outlet } from 'react-router-dom';
+
+import Router from '@/components/Router';
+import NotFound from '@/components/NotFound';
+import RouteError from '@/components/RouteError';
+import { lazyRoute } from '@/utils/LazyRoute';
+
+describe('<Router/>', () => {
+    let consoleErrorSpy;
+
+    beforeEach(() => {
+        // React logs errors caught by error boundaries
+        consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        consoleErrorSpy.mockRestore();
+    });
+
+    function TestLayout() {
+        return (
+            <>
+                <header>Layout header</header>
+                <Outlet />
+            </>
+        );
+    }
+
+    function renderRouter(routes, initialPath) {
+        return render(
+            <Router
+                routes={routes}
+                ReactRouter={MemoryRouter}
+                routerProps={{ initialEntries: [ initialPath ]}}
+            />,
+        );
+    }
+
+    it('should render nested routes inside their layout and a 404 page for unknown URLs', async () => {
+        const routes = [
+            {
+                path: '/',
+                element: <TestLayout />,
+                children: [
+                    { index: true, element: <div>Index page</div> },
+                    { path: 'nested', element: <div>Nested page</div> },
+                    { path: '*', element: <NotFound /> },
+                ],
+            },
+        ];
+
+        const { findByText, unmount } = renderRouter(routes, '/nested');
+
+        expect(await findByText('Layout header')).toBeDefined();
+        expect(await findByText('Nested page')).toBeDefined();
+        unmount();
+
+        const { findByText: findByTextInUnknownUrl, getByText } = renderRouter(routes, '/unknown/url');
+
+        expect(await findByTextInUnknownUrl('Page not found')).toBeDefined();
+        expect(getByText('Layout header')).toBeDefined();
+    });
+
+    it('should render the errorElement of the failing route while keeping its layout', async () => {
+        function BrokenPage() {
+            throw new Error('Render failed');
+        }
+
+        const { findByText, getByText } = renderRouter([
+            {
+                path: '/',
+                element: <TestLayout />,
+                errorElement: <div>Layout error</div>,
+                children: [
+                    { path: 'broken', element: <BrokenPage />, errorElement: <RouteError /> },
+                ],
+            },
+        ], '/broken');
+
+        expect(await findByText('Something went wrong.')).toBeDefined();
+        expect(getByText('Layout header')).toBeDefined();
+    });
+
+    it('should retry downloading routes whose chunks failed to load', async () => {
+        const chunkLoadError = new Error('Loading chunk 123 failed.');
+
+        chunkLoadError.name = 'ChunkLoadError';
+
+        let isOnline = false;
+        const importer = jest.fn(() => isOnline
+            ? Promise.resolve({ default: () => <div>Lazy page</div> })
+            : Promise.reject(chunkLoadError));
+        const LazyPage = lazyRoute(importer);
+
+        const { findByText } = renderRouter([
+            { path: '/lazy', element: <LazyPage />, errorElement: <RouteError /> },
+        ], '/lazy');
+
+        const retryButton = await findByText('Try again');
+
+        expect(await findByText(/check your internet connection/)).toBeDefined();
+
+        const failedImportCount = importer.mock.calls.length;
+
+        isOnline = true;
+
+        await act(async () => {
+            fireEvent.click(retryButton);
+        });
+
+        expect(await findByText('Lazy page')).toBeDefined();
+        expect(importer).toHaveBeenCalledTimes(failedImportCount + 1);
+    });
+});
@@ -0,0 +1,137 @@
+import { act, fireEvent, render } from '@testing-library/react';
+import { MemoryRouter, useLocation, useNavigate } from 'react-router-dom';
+
+import Router from '@/components/Router';
+
+import { mockObjProperty } from '~/tests';
+
+describe('<ScrollRestoration/>', () => {
+    let scrollToMock;
+    const restoreMocks = [];
+
+    beforeEach(() => {
+        scrollToMock = jest.fn();
+        restoreMocks.push(
+            mockObjProperty(window, 'scrollTo', scrollToMock),
+            mockObjProperty(window, 'scrollX', 0),
+            mockObjProperty(window, 'scrollY', 0),
+            mockObjProperty(document.documentElement, 'scrollHeight', 5000),
+        );
+    });
+
+    afterEach(() => {
+        restoreMocks.splice(0).forEach(restoreMock => restoreMock());
+    });
+
+    function Page() {
+        const navigate = useNavigate();
+        const { pathname } = useLocation();
+
+        return (
+            <div>
+                <h3>Page at {pathname}</h3>
+                <button onClick={() => navigate('/second')}>Go to second</button>
+                <button onClick={() => navigate('/second#target')}>Go to target</button>
+                <button onClick={() => navigate(-1)}>Go back</button>
+                <div id={'target'} />
+            </div>
+        );
+    }
+
+    function renderRouter() {
+        return render(
+            <Router
+                routes={[
+                    { path: '/first', element: <Page /> },
+                    { path: '/second', element: <Page /> },
+                ]}
+                ReactRouter={MemoryRouter}
+                routerProps={{ initialEntries: [ '/first' ]}}
+            />,
+        );
+    }
+
+    async function scrollWindowTo(y) {
+        window.scrollY = y;
+
+        await act(async () => {
+            fireEvent.scroll(window);
+        });
+    }
+
+    it('should scroll to the top on new navigations and restore the position on back navigations', async () => {
+        const { findByText, getByText } = renderRouter();
+
+        await findByText('Page at /first');
+        await scrollWindowTo(750);
+        scrollToMock.mockClear();
+
+        await act(async () => {
+            fireEvent.click(getByText('Go to second'));
+        });
+
+        expect(await findByText('Page at /second')).toBeDefined();
+        expect(scrollToMock).toHaveBeenLastCalledWith(0, 0);
+
+        await scrollWindowTo(100);
+
+        await act(async () => {
+            fireEvent.click(getByText('Go back'));
+        });
+
+        expect(await findByText('Page at /first')).toBeDefined();
+        expect(scrollToMock).toHaveBeenLastCalledWith(0, 750);
+    });
+
+    it('should scroll to the element matching the URL hash', async () => {
+        const scrollIntoViewMock = jest.fn();
+
+        restoreMocks.push(mockObjProperty(Element.prototype, 'scrollIntoView', scrollIntoViewMock));
+
+        const { findByText, getByText } = renderRouter();
+
+        await findByText('Page at /first');
+
+        await act(async () => {
+            fireEvent.click(getByText('Go to target'));
+        });
+
+        expect(await findByText('Page at /second')).toBeDefined();
+        expect(scrollIntoViewMock).toHaveBeenCalledTimes(1);
+        expect(scrollIntoViewMock.mock.instances[0].id).toEqual('target');
+    });
+
+    it('should only save the positions of the most recently visited history entries', async () => {
+        const oldPositions = [ ...Array(150).keys() ].map(i => [ `old-entry-${i}`, [ 0, i ]]);
+
+        sessionStorage.setItem('scrollPositions', JSON.stringify(oldPositions));
+
+        const { findByText, unmount } = renderRouter();
+
+        await findByText('Page at /first');
+        await scrollWindowTo(750);
+        unmount();
+
+        const savedPositions = new Map(JSON.parse(sessionStorage.getItem('scrollPositions')));
+
+        sessionStorage.removeItem('scrollPositions');
+
+        expect(savedPositions.size).toEqual(100);
+        expect([ ...savedPositions.values() ].pop()).toEqual([ 0, 750 ]);
+        expect(savedPositions.has('old-entry-149')).toBe(true);
+        expect(savedPositions.has('old-entry-50')).toBe(false);
+    });
+
+    it('should not throw if the positions cannot be saved', async () => {
+        restoreMocks.push(mockObjProperty(Storage.prototype, 'setItem', jest.fn(() => {
+            throw new DOMException('Storage is full', 'QuotaExceededError');
+        })));
+
+        const { findByText, unmount } = renderRouter();
+
+        await findByText('Page at /first');
+        await scrollWindowTo(750);
+
+        expect(() => unmount()).not.toThrow();
+    });
+});
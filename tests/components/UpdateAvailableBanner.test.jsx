@@ -0,0 +1,83 @@
+import { act, fireEvent, render } from '@testing-library/react';
+
+import UpdateAvailableBanner from '@/components/UpdateAvailableBanner';
+import { UPDATE_BROADCAST, SKIP_WAITING } from '@/utils/Constants';
+
+import { mockObjProperty } from '~/tests';
+
+describe('<UpdateAvailableBanner/>', () => {
+    let serviceWorkerContainer;
+    let registration;
+    let restoreServiceWorker;
+
+    beforeEach(() => {
+        registration = { waiting: null };
+        serviceWorkerContainer = new EventTarget();
+        serviceWorkerContainer.getRegistration = jest.fn(() => Promise.resolve(registration));
+        restoreServiceWorker = mockObjProperty(navigator, 'serviceWorker', serviceWorkerContainer);
+        sessionStorage.removeItem('updateAvailableBannerSnoozedUntil');
+    });
+
+    afterEach(() => {
+        restoreServiceWorker();
+    });
+
+    async function broadcastUpdate() {
+        // jsdom doesn't support `BroadcastChannel`, so this also tests the `postMessage()` fallback
+        await act(async () => {
+            self.dispatchEvent(new MessageEvent('message', { data: UPDATE_BROADCAST, origin: self.location.origin }));
+        });
+    }
+
+    it('should only show once an update is broadcast', async () => {
+        const { queryByText } = render(<UpdateAvailableBanner message={'Update me'} />);
+
+        await act(async () => {});
+        expect(queryByText('Update me')).toBeNull();
+
+        await act(async () => {
+            self.dispatchEvent(new MessageEvent('message', { data: UPDATE_BROADCAST, origin: 'https://other.example.com' }));
+        });
+        expect(queryByText('Update me')).toBeNull();
+
+        await broadcastUpdate();
+        expect(queryByText('Update me')).not.toBeNull();
+    });
+
+    it('should show if an update is already waiting', async () => {
+        registration.waiting = { postMessage: jest.fn() };
+
+        const { findByText } = render(<UpdateAvailableBanner message={'Update me'} />);
+
+        expect(await findByText('Update me')).toBeDefined();
+    });
+
+    it('should tell the waiting ServiceWorker to skip waiting upon accepting the update', async () => {
+        registration.waiting = { postMessage: jest.fn() };
+
+        const { findByText, getByText } = render(<UpdateAvailableBanner />);
+
+        fireEvent.click(await findByText('Update'));
+
+        expect(await findByText('Updating...')).toBeDefined();
+        expect(registration.waiting.postMessage).toHaveBeenCalledWith(SKIP_WAITING);
+        expect(getByText('Later').disabled).toBe(true);
+    });
+
+    it('should hide until the snooze duration passes', async () => {
+        jest.useFakeTimers();
+
+        const { getByText, queryByText } = render(<UpdateAvailableBanner message={'Update me'} snoozeDurationMs={1000} />);
+
+        await broadcastUpdate();
+        fireEvent.click(getByText('Later'));
+        expect(queryByText('Update me')).toBeNull();
+
+        act(() => {
+            jest.advanceTimersByTime(1000);
+        });
+        expect(queryByText('Update me')).not.toBeNull();
+
+        jest.useRealTimers();
+    });
+});
@@ -0,0 +1,150 @@
+import zlib from 'node:zlib';
+
+import {
+    readPng,
+    writePng,
+    resizeImage,
+    hexToRgba,
+    centerImageOnBackground,
+} from '~/config/utils/Images';
+
+
+describe('Images', () => {
+    const PNG_SIGNATURE = [ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ];
+
+    /**
+     * Creates a PNG from already-filtered rows, i.e. each row prefixed by its filter type.
+     * CRCs are left empty since they aren't validated when decoding.
+     */
+    function createPng({
+        width,
+        height,
+        bitDepth = 8,
+        colorType = 6,
+        interlaceMethod = 0,
+        filteredRows = [],
+    }) {
+        const header = Buffer.alloc(13);
+
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = bitDepth;
+        header[9] = colorType;
+        header[12] = interlaceMethod;
+
+        const chunks = [
+            [ 'IHDR', header ],
+            [ 'IDAT', zlib.deflateSync(Buffer.from(filteredRows.flat())) ],
+            [ 'IEND', Buffer.alloc(0) ],
+        ].map(([ chunkType, chunkData ]) => {
+            const chunkLength = Buffer.alloc(4);
+
+            chunkLength.writeUInt32BE(chunkData.length);
+
+            return Buffer.concat([ chunkLength, Buffer.from(chunkType, 'ascii'), chunkData, Buffer.alloc(4) ]);
+        });
+
+        return Buffer.concat([ Buffer.from(PNG_SIGNATURE), ...chunks ]);
+    }
+
+    describe('readPng', () => {
+        it('should decode PNGs written by writePng', () => {
+            const image = {
+                width: 2,
+                height: 2,
+                data: Buffer.from([
+                    255, 0, 0, 255, /**/ 0, 255, 0, 128,
+                    0, 0, 255, 0, /**/ 10, 20, 30, 40,
+                ]),
+            };
+
+            expect(readPng(writePng(image))).toEqual(image);
+        });
+
+        it('should undo each row filter and convert RGB to RGBA', () => {
+            const png = createPng({
+                width: 2,
+                height: 3,
+                colorType: 2,
+                filteredRows: [
+                    // Sub: Difference from the left pixel
+                    [ 1, 10, 20, 30, 5, 5, 5 ],
+                    // Up: Difference from the pixel above
+                    [ 2, 1, 2, 3, 1, 1, 1 ],
+                    // Paeth: Difference from whichever of left, up, or upper-left is closest to `left + up - upLeft`
+                    [ 4, 1, 2, 3, 1, 1, 1 ],
+                ],
+            });
+
+            expect([ ...readPng(png).data ]).toEqual([
+                10, 20, 30, 255, /**/ 15, 25, 35, 255,
+                11, 22, 33, 255, /**/ 16, 26, 36, 255,
+                12, 24, 36, 255, /**/ 17, 27, 37, 255,
+            ]);
+        });
+
+        it('should convert grayscale to RGBA', () => {
+            const png = createPng({
+                width: 2,
+                height: 1,
+                colorType: 4,
+                filteredRows: [
+                    // Average: Difference from the mean of the left and upper pixels
+                    [ 3, 100, 50, 50, 25 ],
+                ],
+            });
+
+            expect([ ...readPng(png).data ]).toEqual([
+                100, 100, 100, 50, /**/ 100, 100, 100, 50,
+            ]);
+        });
+
+        it('should explain why unsupported or corrupted PNGs cannot be decoded', () => {
+            const validPng = createPng({ width: 1, height: 1, filteredRows: [[ 0, 1, 2, 3, 4 ]]});
+
+            expect(() => readPng(Buffer.from('GIF89a'))).toThrow('File is not a PNG');
+            expect(() => readPng(createPng({ width: 1, height: 1, bitDepth: 16 }))).toThrow('16-bit PNGs are not supported');
+            expect(() => readPng(createPng({ width: 1, height: 1, colorType: 3 }))).toThrow('Palette (indexed-color) PNGs are not supported');
+            expect(() => readPng(createPng({ width: 1, height: 1, interlaceMethod: 1 }))).toThrow('Interlaced PNGs are not supported');
+            expect(() => readPng(createPng({ width: 1, height: 1, colorType: 5 }))).toThrow('Invalid PNG color type: 5');
+            expect(() => readPng(createPng({ width: 2, height: 2, filteredRows: [[ 0, 1, 2, 3, 4 ]]}))).toThrow('too short for 2x2 pixels');
+            expect(() => readPng(createPng({ width: 1, height: 1, filteredRows: [[ 7, 1, 2, 3, 4 ]]}))).toThrow('Invalid PNG filter type 7 in row 0');
+            expect(() => readPng(validPng.subarray(0, 25))).toThrow('PNG is truncated in its IHDR chunk');
+            expect(() => readPng(Buffer.from(PNG_SIGNATURE))).toThrow('PNG is missing its IHDR header chunk');
+            expect(readPng(validPng).data).toEqual(Buffer.from([ 1, 2, 3, 4 ]));
+        });
+    });
+
+    describe('resizeImage', () => {
+        it('should average pixels weighted by their alpha', () => {
+            const image = {
+                width: 2,
+                height: 1,
+                data: Buffer.from([
+                    200, 100, 0, 255, /**/ 0, 0, 0, 0,
+                ]),
+            };
+
+            expect([ ...resizeImage(image, 1, 1).data ]).toEqual([ 200, 100, 0, 128 ]);
+        });
+    });
+
+    describe('centerImageOnBackground', () => {
+        it('should center the image on the background color', () => {
+            const image = { width: 1, height: 1, data: Buffer.from([ 255, 255, 255, 255 ]) };
+            const { data } = centerImageOnBackground(image, { width: 3, height: 1, backgroundColor: '#000' });
+
+            expect([ ...data ]).toEqual([
+                0, 0, 0, 255, /**/ 255, 255, 255, 255, /**/ 0, 0, 0, 255,
+            ]);
+        });
+    });
+
+    describe('hexToRgba', () => {
+        it('should parse short and long hex colors', () => {
+            expect(hexToRgba('#3800FF')).toEqual([ 0x38, 0x00, 0xFF, 0xFF ]);
+            expect(hexToRgba('#f008')).toEqual([ 0xFF, 0x00, 0x00, 0x88 ]);
+            expect(() => hexToRgba('#12345')).toThrow('Invalid hex color: #12345');
+        });
+    });
+});
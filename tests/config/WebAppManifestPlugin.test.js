@@ -0,0 +1,108 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { screenshots } from '@/appConfig.json';
+
+import WebAppManifestPlugin, { resolveAgainstPublicPath } from '~/config/webpack/WebAppManifestPlugin.mjs';
+
+
+describe('WebAppManifestPlugin', () => {
+    const appConfig = {
+        name: 'Test app',
+        shortName: 'Test',
+        startUrl: '/',
+        scope: '/',
+        display: 'standalone',
+        themeColor: '#3800FF',
+        backgroundColor: '#3800FF',
+    };
+
+    const srcDir = path.resolve(__dirname, '../../src');
+
+    function createPlugin(config = appConfig) {
+        return new WebAppManifestPlugin({
+            appConfig: config,
+            srcDir,
+            routesFilePath: path.resolve(srcDir, 'utils/AppRoutes.ts'),
+            routesExportName: 'appRouteDefinitions',
+        });
+    }
+
+    function createCompilation(publicPath) {
+        return {
+            outputOptions: { publicPath },
+            fileDependencies: new Set(),
+        };
+    }
+
+    function getManifest(publicPath) {
+        return createPlugin().getManifest({
+            icons: [],
+            screenshots: [],
+            shortcutIcons: [],
+            compilation: createCompilation(publicPath),
+        });
+    }
+
+    it('should resolve app URLs against the public path', () => {
+        expect(resolveAgainstPublicPath('/about', '/repo/')).toEqual('/repo/about');
+        expect(resolveAgainstPublicPath('/about', '/repo')).toEqual('/repo/about');
+        expect(resolveAgainstPublicPath('/', 'https://cdn.example.com/app/')).toEqual('https://cdn.example.com/app/');
+        expect(resolveAgainstPublicPath('/about', 'auto')).toEqual('./about');
+        expect(resolveAgainstPublicPath('/about', undefined)).toEqual('./about');
+        expect(resolveAgainstPublicPath('https://example.com/page', '/repo/')).toEqual('https://example.com/page');
+    });
+
+    it('should make the start URL, scope, and shortcuts work when served from a subpath', () => {
+        const manifest = getManifest('/repo/');
+
+        expect(manifest.start_url).toEqual('/repo/');
+        expect(manifest.scope).toEqual('/repo/');
+        expect(manifest.shortcuts.map(({ url }) => url)).toEqual([ '/repo/about', '/repo/animeSearch' ]);
+
+        const relativeManifest = getManifest('auto');
+
+        expect(relativeManifest.start_url).toEqual('./');
+        expect(relativeManifest.shortcuts[0].url).toEqual('./about');
+    });
+
+    it('should emit the configured screenshots and add them to the manifest', () => {
+        const plugin = createPlugin({
+            ...appConfig,
+            icon: 'assets/favicon.png',
+            iconSizes: [ 48 ],
+            screenshots,
+        });
+        const compilation = createCompilation('auto');
+        const { assets } = plugin.generateFiles(compilation);
+        const manifest = JSON.parse(assets['manifest.json']);
+
+        expect(manifest.screenshots).toEqual([
+            {
+                src: 'screenshots/home-narrow.png',
+                sizes: '540x960',
+                type: 'image/png',
+                label: 'Home page',
+                form_factor: 'narrow',
+            },
+            {
+                src: 'screenshots/home-wide.png',
+                sizes: '1280x720',
+                type: 'image/png',
+                label: 'Home page',
+                form_factor: 'wide',
+            },
+        ]);
+
+        screenshots.forEach(({ src }) => {
+            const screenshotAbsPath = path.resolve(srcDir, src);
+
+            expect(assets[`screenshots/${path.basename(src)}`]).toEqual(fs.readFileSync(screenshotAbsPath));
+            expect(compilation.fileDependencies.has(screenshotAbsPath)).toBe(true);
+        });
+    });
+
+    it('should omit screenshots if there are none', () => {
+        expect(JSON.parse(JSON.stringify(getManifest('auto')))).not.toHaveProperty('screenshots');
+    });
+});
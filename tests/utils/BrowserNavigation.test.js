@@ -1,6 +1,8 @@
 import {
     getQueryParams,
     getUrlSegments,
+    getSameOriginPath,
+    isHttpUrl,
     isIpAddress,
 } from '@/utils/BrowserNavigation';
 
@@ -196,6 +198,41 @@ describe('BrowserNavigation utils', () => {
         });
     });
 
+    describe('getSameOriginPath', () => {
+        let restoreLocation;
+
+        beforeEach(() => {
+            restoreLocation = mockObjProperty(window, 'location', {
+                href: 'https://example.com/repo/home',
+                origin: 'https://example.com',
+            });
+        });
+
+        afterEach(() => {
+            restoreLocation();
+        });
+
+        it('should get the path of same-origin HTTP(S) URLs', () => {
+            expect(getSameOriginPath('https://example.com/about?tab=info#top')).toEqual('/about?tab=info#top');
+            expect(getSameOriginPath('/about')).toEqual('/about');
+            expect(getSameOriginPath('https://other.example.com/about')).toBeNull();
+            expect(getSameOriginPath('mailto:someone@example.com')).toBeNull();
+
+            expect(isHttpUrl('/about')).toBe(true);
+            expect(isHttpUrl('https://example.com')).toBe(true);
+            expect(isHttpUrl('mailto:someone@example.com')).toBe(false);
+            expect(isHttpUrl('tel:+15555555555')).toBe(false);
+        });
+
+        it('should strip the basename and exclude paths outside of it', () => {
+            expect(getSameOriginPath('/repo/about?tab=info', '/repo')).toEqual('/about?tab=info');
+            expect(getSameOriginPath('/repo/about', '/repo/')).toEqual('/about');
+            expect(getSameOriginPath('/repo', '/repo')).toEqual('/');
+            expect(getSameOriginPath('/repository/about', '/repo')).toBeNull();
+            expect(getSameOriginPath('/other-app/page', '/repo')).toBeNull();
+        });
+    });
+
     describe('isIpAddress', () => {
         const localhostDomains = [
             'https://localhost',
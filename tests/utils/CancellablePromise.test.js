@@ -1,4 +1,4 @@
-import CancellablePromise from '@/utils/CancellablePromise';
+import CancellablePromise, { CancelledError } from '@/utils/CancellablePromise';
 
 function generateCancellablePromise({
     doTimeout = true,
@@ -67,6 +67,110 @@ describe('CancellablePromise utils', () => {
     });
 
     it('should still call .finally() regardless of .cancel() or not', async () => {
-        // TODO
+        const onFinally = jest.fn();
+        const resolvedChain = new CancellablePromise(res => res('resolved')).finally(onFinally);
+        const rejectedChain = new CancellablePromise((res, rej) => rej('rejected')).finally(onFinally);
+
+        expect(await resolvedChain).toEqual('resolved');
+        await expect(rejectedChain).rejects.toEqual('rejected');
+        expect(onFinally).toHaveBeenCalledTimes(2);
+
+        const p = new CancellablePromise(res => setTimeout(() => res('resolved'), 1000));
+        const onSuccess = jest.fn();
+        const cancelledChain = p.then(onSuccess).finally(onFinally);
+
+        expect(cancelledChain).toBeInstanceOf(CancellablePromise);
+        expect(cancelledChain.signal).toBe(p.signal);
+
+        p.cancel();
+
+        await expect(cancelledChain).rejects.toBeInstanceOf(CancelledError);
+        expect(onSuccess).not.toHaveBeenCalled();
+        expect(onFinally).toHaveBeenCalledTimes(3);
+        expect(p.signal.aborted).toBe(true);
+    });
+
+    it('should not cause unhandled rejections when cancelled', async () => {
+        const onUnhandledRejection = jest.fn();
+
+        process.on('unhandledRejection', onUnhandledRejection);
+
+        const p = new CancellablePromise(res => setTimeout(() => res('resolved'), 1000));
+        const chain = p.then(x => x).finally(() => {});
+
+        p.cancel();
+        chain.then(x => x);
+
+        await new Promise(res => setTimeout(res, 10));
+        process.off('unhandledRejection', onUnhandledRejection);
+
+        expect(onUnhandledRejection).not.toHaveBeenCalled();
+        await expect(chain).rejects.toBeInstanceOf(CancelledError);
+    });
+
+    it('should reject with a CancelledError and skip .then() callbacks', async () => {
+        const onSuccess = jest.fn();
+        const onError = jest.fn(e => e);
+        const p = new CancellablePromise(res => setTimeout(() => res('resolved'), 1000));
+        const chain = p.then(onSuccess).then(onSuccess).catch(onError);
+
+        p.cancel('no longer needed');
+
+        const error = await chain;
+
+        expect(onSuccess).not.toHaveBeenCalled();
+        expect(onError).toHaveBeenCalledTimes(1);
+        expect(error).toBeInstanceOf(CancelledError);
+        expect(error.reason).toEqual('no longer needed');
+        expect(chain.getIsCancelled()).toBe(true);
+    });
+
+    it('should abort the shared signal when any promise in the chain is cancelled', async () => {
+        const onAbort = jest.fn();
+        let executorSignal;
+        const p = new CancellablePromise((res, rej, signal) => {
+            executorSignal = signal;
+            signal.addEventListener('abort', onAbort);
+        });
+        const child = p.then(x => x).then(x => x);
+
+        expect(executorSignal).toBe(p.signal);
+        expect(child.signal).toBe(p.signal);
+        expect(p.signal.aborted).toBe(false);
+
+        child.cancel();
+
+        expect(p.signal.aborted).toBe(true);
+        expect(onAbort).toHaveBeenCalledTimes(1);
+        await expect(child).rejects.toBeInstanceOf(CancelledError);
+    });
+
+    it('should cancel when an external signal is aborted', async () => {
+        const externalController = new AbortController();
+        const p = new CancellablePromise(() => {}, { signal: externalController.signal });
+
+        externalController.abort();
+
+        await expect(p).rejects.toBeInstanceOf(CancelledError);
+        expect(p.signal.aborted).toBe(true);
+    });
+
+    it('should stop listening to the external signal once settled', async () => {
+        const externalController = new AbortController();
+        const removeEventListener = jest.spyOn(externalController.signal, 'removeEventListener');
+        const resolved = new CancellablePromise(res => res('done'), { signal: externalController.signal });
+        const rejected = new CancellablePromise((res, rej) => rej(new Error('failed')), { signal: externalController.signal });
+
+        await expect(resolved).resolves.toEqual('done');
+        await expect(rejected).rejects.toThrow('failed');
+
+        expect(removeEventListener).toHaveBeenCalledTimes(2);
+
+        externalController.abort();
+
+        expect(resolved.cancelled).toBe(false);
+        expect(resolved.signal.aborted).toBe(false);
+        expect(rejected.cancelled).toBe(false);
+        await expect(resolved.then(result => `${result}!`)).resolves.toEqual('done!');
     });
 });
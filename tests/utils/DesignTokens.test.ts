@@ -0,0 +1,84 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import designTokens from '@/styles/designTokens.json';
+import {
+    themes,
+    gridBreakpoints,
+    getThemePalette,
+} from '@/utils/DesignTokens';
+import { getGridBreakpoints, getThemeColors, getThemes } from '@/utils/Scss';
+
+import { generateScssTokens, generateTsTokens } from '~/config/webpack/DesignTokensPlugin.mjs';
+
+
+describe('Design tokens', () => {
+    it('should read theme colors and breakpoints without parsing SCSS', () => {
+        expect(getThemeColors('dark')).toEqual(themes.dark.colors);
+        expect(getThemeColors('light').primary).toEqual('#3800ff');
+        expect(getThemes().dark).toEqual(getThemePalette('dark'));
+        expect(getThemes().dark['body-bg']).toEqual(themes.dark.body.bg);
+
+        expect(getGridBreakpoints()).toEqual(gridBreakpoints);
+        expect(getGridBreakpoints().sm).toEqual(576);
+        expect(getGridBreakpoints(false).sm).toEqual('576px');
+        expect(getGridBreakpoints(false).xs).toEqual('0');
+    });
+
+    it('should generate the SCSS variables from the same tokens', () => {
+        const scss = generateScssTokens({
+            themes: {
+                light: {
+                    colors: { primary: '#3800ff', dark: '#282828' },
+                    body: { bg: '#f1f0f0', color: '#282828' },
+                },
+                dark: {
+                    colors: { primary: '#866eff', dark: '#e6e6e6' },
+                    body: { bg: '#1e1e21', color: '#e6e6e6' },
+                },
+            },
+            gridBreakpoints: { xs: 0, sm: 576 },
+            containerMaxWidths: { sm: 540 },
+        });
+
+        expect(scss).toContain('$primary: #3800ff;');
+        expect(scss).toContain('$body-bg: #f1f0f0;');
+        expect(scss).toMatch(/\$theme-colors: \(\s+"primary": #3800ff,\s+"dark": #282828,\s+\);/);
+        expect(scss).toMatch(/"dark": \(\s+"primary": #866eff,\s+"dark": #e6e6e6,\s+"body-bg": #1e1e21,\s+"body-color": #e6e6e6,\s+\)/);
+        expect(scss).toMatch(/\$grid-breakpoints: \(\s+"xs": 0,\s+"sm": 576px,\s+\);/);
+        expect(scss).toMatch(/\$container-max-widths: \(\s+"sm": 540px,\s+\);/);
+    });
+
+    it('should generate typed TS constants from the same tokens', () => {
+        const ts = generateTsTokens({
+            themes: {
+                light: {
+                    colors: { primary: '#3800ff' },
+                    body: { bg: '#f1f0f0', color: '#282828' },
+                },
+                'high-contrast': {
+                    colors: { primary: '#000' },
+                    body: { bg: '#fff', color: '#000' },
+                },
+            },
+            gridBreakpoints: { xs: 0, sm: 576 },
+            containerMaxWidths: { sm: 540 },
+        });
+
+        expect(ts).toMatch(/export const themes = {\s+light: {\s+colors: {\s+primary: '#3800ff',\s+},/);
+        expect(ts).toMatch(/'high-contrast': {/);
+        expect(ts).toContain("export const defaultThemeName = 'light' as const;");
+        expect(ts).toMatch(/export const gridBreakpoints = {\s+xs: 0,\s+sm: 576,\s+} as const;/);
+        expect(ts).toMatch(/export const containerMaxWidths = {\s+sm: 540,\s+} as const;/);
+    });
+
+    it('should have committed the SCSS partial and TS module generated from the current tokens', () => {
+        const stylesDir = path.resolve(__dirname, '../../src/styles');
+
+        // Run a build (or `webpack serve`) to regenerate them if this fails
+        expect(fs.readFileSync(path.resolve(stylesDir, '_designTokens.scss')).toString())
+            .toEqual(generateScssTokens(designTokens, 'designTokens.json'));
+        expect(fs.readFileSync(path.resolve(stylesDir, 'designTokens.generated.ts')).toString())
+            .toEqual(generateTsTokens(designTokens, 'designTokens.json'));
+    });
+});
@@ -0,0 +1,571 @@
+import React from 'react';
+import { act, render, renderHook, waitFor } from '@testing-library/react';
+
+import AppContext from '@/utils/AppContext';
+import {
+    useQuery,
+    QueryStatus,
+    useMutation,
+    MutationStatus,
+    useWorker,
+    WorkerStatus,
+    useNotificationPermission,
+    useInstallPrompt,
+} from '@/utils/Hooks';
+
+import { mockObjProperty } from '~/tests';
+
+function createDeferred() {
+    const deferred = {};
+
+    deferred.promise = new Promise((res, rej) => {
+        deferred.resolve = res;
+        deferred.reject = rej;
+    });
+
+    return deferred;
+}
+
+describe('Hooks', () => {
+    describe('useQuery', () => {
+        it('should track loading, success, and error states', async () => {
+            const fetcher = jest.fn(({ key }) => key[1] === 'bad'
+                ? Promise.reject(new Error('bad request'))
+                : Promise.resolve(`data for ${key[1]}`));
+
+            const { result, rerender } = renderHook(({ id }) => useQuery([ 'item', id ], fetcher), {
+                initialProps: { id: 'good' },
+            });
+
+            expect(result.current.status).toEqual(QueryStatus.LOADING);
+
+            await waitFor(() => expect(result.current.status).toEqual(QueryStatus.SUCCESS));
+            expect(result.current.data).toEqual('data for good');
+
+            rerender({ id: 'bad' });
+
+            await waitFor(() => expect(result.current.status).toEqual(QueryStatus.ERROR));
+            expect(result.current.error.message).toEqual('bad request');
+            expect(fetcher).toHaveBeenCalledTimes(2);
+        });
+
+        it('should not fetch until enabled', async () => {
+            const fetcher = jest.fn(() => Promise.resolve('data'));
+
+            const { result, rerender } = renderHook(({ enabled }) => useQuery('key', fetcher, { enabled }), {
+                initialProps: { enabled: false },
+            });
+
+            expect(result.current.status).toEqual(QueryStatus.IDLE);
+            expect(fetcher).not.toHaveBeenCalled();
+
+            rerender({ enabled: true });
+
+            await waitFor(() => expect(result.current.data).toEqual('data'));
+            expect(fetcher).toHaveBeenCalledTimes(1);
+        });
+
+        it('should cancel the stale request when the key changes', async () => {
+            const firstRequest = createDeferred();
+            const signals = [];
+            const fetcher = jest.fn(({ key, signal }) => {
+                signals.push(signal);
+
+                return key === 'first' ? firstRequest.promise : Promise.resolve('second data');
+            });
+
+            const { result, rerender } = renderHook(({ key }) => useQuery(key, fetcher), {
+                initialProps: { key: 'first' },
+            });
+
+            await waitFor(() => expect(fetcher).toHaveBeenCalledTimes(1));
+
+            rerender({ key: 'second' });
+
+            await waitFor(() => expect(result.current.data).toEqual('second data'));
+            expect(signals[0].aborted).toBe(true);
+
+            await act(async () => firstRequest.resolve('first data'));
+
+            expect(result.current.data).toEqual('second data');
+        });
+
+        it('should refetch on demand and on window focus', async () => {
+            let count = 0;
+            const fetcher = jest.fn(() => Promise.resolve(++count));
+
+            const { result } = renderHook(() => useQuery('key', fetcher, { refetchOnWindowFocus: true }));
+
+            await waitFor(() => expect(result.current.data).toEqual(1));
+
+            await act(async () => {
+                await result.current.refetch();
+            });
+            expect(result.current.data).toEqual(2);
+
+            await act(async () => {
+                self.dispatchEvent(new Event('focus'));
+            });
+            await waitFor(() => expect(result.current.data).toEqual(3));
+        });
+
+        it('should poll at the specified interval', async () => {
+            jest.useFakeTimers();
+
+            const fetcher = jest.fn(() => Promise.resolve('data'));
+            const { unmount } = renderHook(() => useQuery('key', fetcher, { refetchInterval: 1000 }));
+
+            await act(async () => {});
+            expect(fetcher).toHaveBeenCalledTimes(1);
+
+            await act(async () => {
+                jest.advanceTimersByTime(3000);
+            });
+            expect(fetcher).toHaveBeenCalledTimes(4);
+
+            unmount();
+            jest.useRealTimers();
+        });
+
+        it('should suspend until the data is loaded when using suspense', async () => {
+            const request = createDeferred();
+            const fetcher = jest.fn(() => request.promise);
+
+            function SuspenseQuery() {
+                const { data } = useQuery('suspense-key', fetcher, { suspense: true });
+
+                return <div>{data}</div>;
+            }
+
+            const { findByText, getByText } = render(
+                <React.Suspense fallback={<div>Loading</div>}>
+                    <SuspenseQuery />
+                </React.Suspense>,
+            );
+
+            expect(getByText('Loading')).toBeDefined();
+
+            await act(async () => request.resolve('Suspended data'));
+
+            expect(await findByText('Suspended data')).toBeDefined();
+            expect(fetcher).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not keep suspense results that were never used', async () => {
+            jest.useFakeTimers();
+
+            const request = createDeferred();
+            const fetcher = jest.fn(() => request.promise);
+
+            function SuspenseQuery() {
+                const { data } = useQuery('unused-suspense-key', fetcher, { suspense: true });
+
+                return <div>{data}</div>;
+            }
+
+            function renderSuspenseQuery() {
+                return render(
+                    <React.Suspense fallback={<div>Loading</div>}>
+                        <SuspenseQuery />
+                    </React.Suspense>,
+                );
+            }
+
+            // e.g. navigating away before the data loaded
+            renderSuspenseQuery().unmount();
+
+            await act(async () => request.resolve('Suspended data'));
+            await act(async () => {
+                jest.advanceTimersByTime(30 * 1000);
+            });
+
+            const { findByText } = renderSuspenseQuery();
+
+            expect(await findByText('Suspended data')).toBeDefined();
+            expect(fetcher).toHaveBeenCalledTimes(2);
+
+            jest.useRealTimers();
+        });
+    });
+
+    describe('useMutation', () => {
+        function renderMutationHook(mutator, options) {
+            return renderHook(() => ({
+                mutation: useMutation(mutator, options),
+                appContext: React.useContext(AppContext),
+            }), {
+                wrapper: ({ children }) => (
+                    <AppContext.Provider>
+                        {children}
+                    </AppContext.Provider>
+                ),
+            });
+        }
+
+        it('should apply optimistic updates and keep them if the request succeeds', async () => {
+            const request = createDeferred();
+            const onSuccess = jest.fn();
+            const onSettled = jest.fn();
+            const { result } = renderMutationHook(() => request.promise, {
+                optimisticUpdate: (contextState, name) => ({ name }),
+                onMutate: () => 'onMutate result',
+                onSuccess,
+                onSettled,
+            });
+
+            expect(result.current.mutation.status).toEqual(MutationStatus.IDLE);
+
+            act(() => {
+                result.current.mutation.mutate('new name');
+            });
+
+            expect(result.current.mutation.status).toEqual(MutationStatus.PENDING);
+            expect(result.current.appContext.contextState.name).toEqual('new name');
+
+            await act(async () => request.resolve('saved'));
+
+            expect(result.current.mutation.status).toEqual(MutationStatus.SUCCESS);
+            expect(result.current.mutation.data).toEqual('saved');
+            expect(result.current.appContext.contextState.name).toEqual('new name');
+            expect(onSuccess).toHaveBeenCalledWith('saved', 'new name', 'onMutate result');
+            expect(onSettled).toHaveBeenCalledWith('saved', null, 'new name', 'onMutate result');
+        });
+
+        it('should roll back optimistic updates if the request fails', async () => {
+            const request = createDeferred();
+            const error = new Error('save failed');
+            const onError = jest.fn();
+            const { result } = renderMutationHook(() => request.promise, {
+                optimisticUpdate: (contextState, name) => ({ name }),
+                onError,
+            });
+            const initialContextState = result.current.appContext.contextState;
+
+            let mutateAsyncPromise;
+
+            act(() => {
+                mutateAsyncPromise = result.current.mutation.mutateAsync('new name');
+            });
+
+            expect(result.current.appContext.contextState.name).toEqual('new name');
+
+            await act(async () => {
+                request.reject(error);
+                await expect(mutateAsyncPromise).rejects.toBe(error);
+            });
+
+            expect(result.current.mutation.status).toEqual(MutationStatus.ERROR);
+            expect(result.current.mutation.error).toBe(error);
+            expect(result.current.appContext.contextState).toEqual(initialContextState);
+            expect(onError).toHaveBeenCalledWith(error, 'new name', undefined);
+
+            act(() => {
+                result.current.mutation.reset();
+            });
+
+            expect(result.current.mutation.status).toEqual(MutationStatus.IDLE);
+            expect(result.current.mutation.error).toBeNull();
+        });
+
+        it('should not roll back successful requests if onSuccess or onSettled throw', async () => {
+            const callbackError = new Error('callback failed');
+            const onError = jest.fn();
+            const { result } = renderMutationHook(() => Promise.resolve('saved'), {
+                optimisticUpdate: (contextState, name) => ({ name }),
+                onSuccess: () => {
+                    throw callbackError;
+                },
+                onError,
+            });
+
+            await act(async () => {
+                await expect(result.current.mutation.mutateAsync('new name')).rejects.toBe(callbackError);
+            });
+
+            expect(result.current.mutation.status).toEqual(MutationStatus.SUCCESS);
+            expect(result.current.mutation.data).toEqual('saved');
+            expect(result.current.appContext.contextState.name).toEqual('new name');
+            expect(onError).not.toHaveBeenCalled();
+        });
+
+        it('should not mask the original error with the rollback if the context is missing', async () => {
+            const onError = jest.fn();
+            const { result } = renderHook(() => useMutation(() => Promise.resolve('saved'), {
+                context: React.createContext(),
+                optimisticUpdate: (contextState, name) => ({ name }),
+                onError,
+            }));
+
+            await act(async () => {
+                await expect(result.current.mutateAsync('new name')).rejects.toThrow('setContextState is not a function');
+            });
+
+            expect(result.current.status).toEqual(MutationStatus.ERROR);
+            expect(onError).toHaveBeenCalledWith(expect.any(TypeError), 'new name', undefined);
+        });
+    });
+
+    describe('useWorker', () => {
+        const blobSources = new Map();
+        let workers;
+        let restoreMocks;
+
+        /**
+         * Runs the worker's script against a fake worker scope since jsdom doesn't support `Worker`.
+         */
+        class MockWorker extends EventTarget {
+            constructor(url) {
+                super();
+
+                const workerScope = new EventTarget();
+
+                workerScope.postMessage = data => setTimeout(() => {
+                    if (!this.terminated) {
+                        this.dispatchEvent(new MessageEvent('message', { data }));
+                    }
+                });
+
+                this.terminated = false;
+                this.workerScope = workerScope;
+                new Function('self', blobSources.get(url))(workerScope); // eslint-disable-line no-new-func
+
+                workers.push(this);
+            }
+
+            postMessage(data) {
+                setTimeout(() => this.workerScope.dispatchEvent(new MessageEvent('message', { data })));
+            }
+
+            terminate() {
+                this.terminated = true;
+            }
+        }
+
+        beforeEach(() => {
+            workers = [];
+
+            const restoreFunctions = [
+                mockObjProperty(global, 'Worker', MockWorker),
+                mockObjProperty(global, 'Blob', class {
+                    constructor(parts) {
+                        this.source = parts.join('');
+                    }
+                }),
+                mockObjProperty(URL, 'createObjectURL', blob => {
+                    const url = `blob:${blobSources.size}`;
+
+                    blobSources.set(url, blob.source);
+
+                    return url;
+                }),
+                mockObjProperty(URL, 'revokeObjectURL', jest.fn()),
+            ];
+
+            restoreMocks = () => restoreFunctions.forEach(restore => restore());
+        });
+
+        afterEach(() => {
+            restoreMocks();
+        });
+
+        it('should run the function in a worker and track its state', async () => {
+            const { result, unmount } = renderHook(() => useWorker((a, b) => {
+                if (b == null) {
+                    throw new TypeError('Missing second number');
+                }
+
+                return a + b;
+            }));
+
+            expect(result.current[1].status).toEqual(WorkerStatus.IDLE);
+
+            let runPromise;
+
+            act(() => {
+                runPromise = result.current[0](1, 2);
+            });
+
+            expect(result.current[1].status).toEqual(WorkerStatus.RUNNING);
+
+            await act(async () => {
+                expect(await runPromise).toEqual(3);
+            });
+
+            expect(result.current[1]).toEqual({ result: 3, error: null, status: WorkerStatus.SUCCESS });
+
+            await act(async () => {
+                await result.current[0](1);
+            });
+
+            expect(result.current[1].status).toEqual(WorkerStatus.ERROR);
+            expect(result.current[1].error).toBeInstanceOf(TypeError);
+            expect(result.current[1].error.message).toEqual('Missing second number');
+            expect(workers.length).toEqual(1);
+
+            unmount();
+
+            expect(workers[0].terminated).toBe(true);
+        });
+
+        it('should cancel stale runs', async () => {
+            const { result, rerender } = renderHook(({ multiplier }) => useWorker(x => x * 2, [ multiplier ]), {
+                initialProps: { multiplier: 2 },
+            });
+
+            let staleRunPromise;
+            let latestRunPromise;
+
+            act(() => {
+                staleRunPromise = result.current[0](1);
+                latestRunPromise = result.current[0](2);
+            });
+
+            await act(async () => {
+                expect(await staleRunPromise).toBeUndefined();
+                expect(await latestRunPromise).toEqual(4);
+            });
+
+            expect(workers.length).toEqual(2);
+            expect(workers[0].terminated).toBe(true);
+            expect(result.current[1].result).toEqual(4);
+
+            rerender({ multiplier: 3 });
+
+            expect(workers[1].terminated).toBe(true);
+            expect(URL.revokeObjectURL).toHaveBeenCalledTimes(2);
+        });
+
+        it('should fail the run and replace the worker if it errors', async () => {
+            const { result, unmount } = renderHook(() => useWorker(x => x * 2));
+
+            let crashedRunPromise;
+
+            act(() => {
+                crashedRunPromise = result.current[0](1);
+            });
+
+            await act(async () => {
+                workers[0].dispatchEvent(new ErrorEvent('error', { message: '_toConsumableArray is not defined' }));
+                expect(await crashedRunPromise).toBeUndefined();
+            });
+
+            expect(result.current[1].status).toEqual(WorkerStatus.ERROR);
+            expect(result.current[1].error.message).toEqual('Worker crashed: _toConsumableArray is not defined');
+            expect(workers[0].terminated).toBe(true);
+
+            await act(async () => {
+                expect(await result.current[0](2)).toEqual(4);
+            });
+
+            expect(workers.length).toEqual(2);
+            expect(result.current[1].status).toEqual(WorkerStatus.SUCCESS);
+
+            unmount();
+        });
+    });
+
+    describe('useNotificationPermission', () => {
+        it('should report unsupported browsers', async () => {
+            const { result } = renderHook(() => useNotificationPermission());
+
+            expect(result.current[0]).toEqual('unsupported');
+            expect(await result.current[1]()).toEqual('unsupported');
+        });
+
+        it('should request permission and update the state', async () => {
+            const MockNotification = {
+                permission: 'default',
+                requestPermission: jest.fn(() => {
+                    MockNotification.permission = 'granted';
+
+                    return Promise.resolve('granted');
+                }),
+            };
+            const restoreNotification = mockObjProperty(global, 'Notification', MockNotification);
+            const { result } = renderHook(() => useNotificationPermission());
+
+            expect(result.current[0]).toEqual('default');
+
+            await act(async () => {
+                expect(await result.current[1]()).toEqual('granted');
+            });
+
+            expect(result.current[0]).toEqual('granted');
+            expect(MockNotification.requestPermission).toHaveBeenCalledTimes(1);
+
+            restoreNotification();
+        });
+    });
+
+    describe('useInstallPrompt', () => {
+        function fireBeforeInstallPrompt(outcome) {
+            const event = new Event('beforeinstallprompt', { cancelable: true });
+
+            event.prompt = jest.fn();
+            event.userChoice = Promise.resolve({ outcome, platform: 'web' });
+
+            act(() => {
+                self.dispatchEvent(event);
+            });
+
+            return event;
+        }
+
+        beforeEach(() => {
+            localStorage.removeItem('installPromptDismissedAt');
+        });
+
+        it('should defer the install prompt until requested', async () => {
+            const { result } = renderHook(() => useInstallPrompt());
+
+            expect(result.current.canInstall).toBe(false);
+            expect(await result.current.promptInstall()).toBeNull();
+
+            const event = fireBeforeInstallPrompt('accepted');
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(result.current.canInstall).toBe(true);
+
+            await act(async () => {
+                expect(await result.current.promptInstall()).toEqual('accepted');
+            });
+
+            expect(event.prompt).toHaveBeenCalledTimes(1);
+            expect(result.current.outcome).toEqual('accepted');
+            expect(result.current.canInstall).toBe(false);
+
+            act(() => {
+                self.dispatchEvent(new Event('appinstalled'));
+            });
+
+            expect(result.current.isInstalled).toBe(true);
+        });
+
+        it('should remember dismissals', async () => {
+            const { result, unmount } = renderHook(() => useInstallPrompt({ dismissalDurationMs: 1000 }));
+
+            fireBeforeInstallPrompt('dismissed');
+
+            await act(async () => {
+                await result.current.promptInstall();
+            });
+
+            expect(result.current.isDismissed).toBe(true);
+            unmount();
+
+            const { result: newResult } = renderHook(() => useInstallPrompt({ dismissalDurationMs: 1000 }));
+
+            fireBeforeInstallPrompt('accepted');
+
+            expect(newResult.current.isDismissed).toBe(true);
+            expect(newResult.current.canInstall).toBe(false);
+
+            const dateNowSpy = jest.spyOn(Date, 'now').mockImplementation(() => Number(localStorage.getItem('installPromptDismissedAt')) + 1000);
+            const { result: laterResult } = renderHook(() => useInstallPrompt({ dismissalDurationMs: 1000 }));
+
+            expect(laterResult.current.canInstall).toBe(true);
+
+            dateNowSpy.mockRestore();
+        });
+    });
+});
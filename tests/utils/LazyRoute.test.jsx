@@ -0,0 +1,189 @@
+import { act, fireEvent, render } from '@testing-library/react';
+
+import Anchor from '@/components/ui/Anchor';
+import {
+    PreloadStrategies,
+    PreloadableRoutesContext,
+    lazyRoute,
+    getLazyRoutes,
+    preloadRoute,
+    preloadRoutesOnLoad,
+} from '@/utils/LazyRoute';
+
+import { mockObjProperty } from '~/tests';
+
+describe('LazyRoute', () => {
+    function createImporter() {
+        return jest.fn(() => Promise.resolve({ default: () => 'Lazy component' }));
+    }
+
+    describe('lazyRoute', () => {
+        it('should only download the code when preloaded or rendered', () => {
+            const importer = createImporter();
+            const LazyRoute = lazyRoute(importer);
+
+            expect(importer).not.toHaveBeenCalled();
+
+            LazyRoute.preload();
+            LazyRoute.preload();
+
+            expect(importer).toHaveBeenCalledTimes(1);
+        });
+
+        it('should allow retrying failed downloads', async () => {
+            const importer = jest.fn()
+                .mockImplementationOnce(() => Promise.reject(new Error('Offline')))
+                .mockImplementationOnce(() => Promise.resolve({ default: () => 'Lazy component' }));
+            const LazyRoute = lazyRoute(importer);
+
+            await expect(LazyRoute.preload()).rejects.toThrow('Offline');
+            await expect(LazyRoute.preload()).resolves.toBeDefined();
+            expect(importer).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('preloadRoutesOnLoad', () => {
+        it('should download eager routes immediately and idle routes once the browser is idle', () => {
+            jest.useFakeTimers();
+
+            const eagerImporter = createImporter();
+            const idleImporter = createImporter();
+            const hoverImporter = createImporter();
+            const guardedImporter = createImporter();
+            const EagerRoute = lazyRoute(eagerImporter);
+            const IdleRoute = lazyRoute(idleImporter);
+            const HoverRoute = lazyRoute(hoverImporter);
+            const GuardedRoute = lazyRoute(guardedImporter);
+
+            preloadRoutesOnLoad([
+                {
+                    path: '/',
+                    element: <EagerRoute />,
+                    preload: PreloadStrategies.EAGER,
+                    children: [
+                        { path: 'idle', element: <IdleRoute />, preload: PreloadStrategies.IDLE },
+                        { path: 'hover', element: <HoverRoute /> },
+                        {
+                            path: 'guarded',
+                            element: <GuardedRoute />,
+                            preload: PreloadStrategies.EAGER,
+                            guard: () => false,
+                        },
+                    ],
+                },
+            ]);
+
+            expect(eagerImporter).toHaveBeenCalledTimes(1);
+            expect(idleImporter).not.toHaveBeenCalled();
+
+            jest.runAllTimers();
+            expect(idleImporter).toHaveBeenCalledTimes(1);
+            expect(hoverImporter).not.toHaveBeenCalled();
+            expect(guardedImporter).not.toHaveBeenCalled();
+
+            jest.useRealTimers();
+        });
+    });
+
+    describe('preloadRoute', () => {
+        it('should preload the routes matching the URL', async () => {
+            const aboutImporter = createImporter();
+            const searchImporter = createImporter();
+            const About = lazyRoute(aboutImporter);
+            const Search = lazyRoute(searchImporter);
+            const routes = [
+                { path: '/about', element: <About />, preload: PreloadStrategies.HOVER },
+                { path: '/search/:query', element: <Search />, preload: PreloadStrategies.VISIBLE },
+            ];
+
+            expect(getLazyRoutes(routes, '/about')).toEqual([ routes[0] ]);
+            expect(getLazyRoutes(routes, 'https://example.com/about')).toEqual([]);
+            expect(getLazyRoutes(routes, '/unknown')).toEqual([]);
+
+            await preloadRoute(routes, '/search/naruto', { strategies: [ PreloadStrategies.HOVER ]});
+            expect(searchImporter).not.toHaveBeenCalled();
+
+            await preloadRoute(routes, `${location.origin}/search/naruto?page=2`);
+            expect(searchImporter).toHaveBeenCalledTimes(1);
+            expect(aboutImporter).not.toHaveBeenCalled();
+        });
+
+        it('should not preload guarded routes or their children', async () => {
+            const layoutImporter = createImporter();
+            const accountImporter = createImporter();
+            const settingsImporter = createImporter();
+            const Layout = lazyRoute(layoutImporter);
+            const Account = lazyRoute(accountImporter);
+            const Settings = lazyRoute(settingsImporter);
+
+            const routes = [
+                {
+                    path: '/',
+                    element: <Layout />,
+                    children: [
+                        {
+                            path: 'account',
+                            element: <Account />,
+                            guard: () => false,
+                            children: [
+                                { path: 'settings', element: <Settings /> },
+                            ],
+                        },
+                    ],
+                },
+            ];
+
+            expect(getLazyRoutes(routes, '/account')).toEqual([ routes[0] ]);
+            expect(getLazyRoutes(routes, '/account/settings')).toEqual([ routes[0] ]);
+
+            await preloadRoute(routes, '/account/settings');
+            expect(layoutImporter).toHaveBeenCalledTimes(1);
+            expect(accountImporter).not.toHaveBeenCalled();
+            expect(settingsImporter).not.toHaveBeenCalled();
+        });
+
+        it('should be triggered by hovering over or scrolling to links', async () => {
+            const intersectionCallbacks = [];
+            const restoreIntersectionObserver = mockObjProperty(global, 'IntersectionObserver', class {
+                constructor(callback) {
+                    intersectionCallbacks.push(callback);
+                }
+
+                observe() {}
+
+                disconnect() {}
+            });
+            const aboutImporter = createImporter();
+            const searchImporter = createImporter();
+            const About = lazyRoute(aboutImporter);
+            const Search = lazyRoute(searchImporter);
+            const routes = [
+                { path: '/about', element: <About />, preload: PreloadStrategies.HOVER },
+                { path: '/search', element: <Search />, preload: PreloadStrategies.VISIBLE },
+            ];
+
+            const { getByText } = render(
+                <PreloadableRoutesContext.Provider value={routes}>
+                    <Anchor href={'/about'}>About</Anchor>
+                    <Anchor href={'/search'}>Search</Anchor>
+                </PreloadableRoutesContext.Provider>,
+            );
+
+            // Only links to routes using the VISIBLE strategy are observed
+            expect(intersectionCallbacks.length).toEqual(1);
+
+            await act(async () => {
+                intersectionCallbacks[0]([{ isIntersecting: true }]);
+            });
+            expect(searchImporter).toHaveBeenCalledTimes(1);
+            expect(aboutImporter).not.toHaveBeenCalled();
+
+            await act(async () => {
+                fireEvent.mouseEnter(getByText('About'));
+            });
+            expect(aboutImporter).toHaveBeenCalledTimes(1);
+
+            restoreIntersectionObserver();
+        });
+    });
+});
@@ -0,0 +1,414 @@
+import {
+    HttpClient,
+    HttpError,
+    HttpMethods,
+    NetworkError,
+    TimeoutError,
+    AbortError,
+    doXhr,
+} from '@/utils/Network';
+import RequestCache from '@/utils/RequestCache';
+
+import { mockObjProperty } from '~/tests';
+
+function createMockResponse({
+    status = 200,
+    statusText = '',
+    headers = { 'Content-Type': 'application/json' },
+    body = {},
+} = {}) {
+    const responseHeaders = new Map(Object.entries(headers).map(([ key, value ]) => [ key.toLowerCase(), value ]));
+
+    return {
+        status,
+        statusText,
+        ok: status >= 200 && status < 300,
+        headers: {
+            get: key => responseHeaders.get(key.toLowerCase()) ?? null,
+            forEach: callback => responseHeaders.forEach(callback),
+        },
+        json: () => Promise.resolve(body),
+        text: () => Promise.resolve(typeof body === typeof '' ? body : JSON.stringify(body)),
+    };
+}
+
+class MockXhr extends EventTarget {
+    static instances = [];
+
+    upload = new EventTarget();
+    status = 0;
+    statusText = '';
+    response = null;
+
+    constructor() {
+        super();
+        MockXhr.instances.push(this);
+    }
+
+    open = jest.fn();
+    send = jest.fn();
+    abort = jest.fn(() => this.onabort?.(new Event('abort')));
+    getAllResponseHeaders = () => 'content-type: application/json\r\n';
+
+    respond(status, response = null) {
+        this.status = status;
+        this.response = response;
+        this.onload(new Event('load'));
+    }
+}
+
+describe('Network utils', () => {
+    describe('HttpClient', () => {
+        let fetchSpy;
+
+        beforeEach(() => {
+            fetchSpy = jest.spyOn(global, 'fetch');
+        });
+
+        afterEach(() => {
+            fetchSpy.mockRestore();
+        });
+
+        it('should prepend the base URL and append query params', async () => {
+            fetchSpy.mockImplementation(() => Promise.resolve(createMockResponse({ body: { a: 'b' }})));
+
+            const client = new HttpClient({ baseUrl: 'https://example.com/api/' });
+            const { data, status } = await client.get('/users', { query: { page: 2, empty: null }});
+
+            expect(fetchSpy.mock.calls[0][0]).toEqual('https://example.com/api/users?page=2');
+            expect(fetchSpy.mock.calls[0][1].method).toEqual(HttpMethods.GET);
+            expect(data).toEqual({ a: 'b' });
+            expect(status).toEqual(200);
+        });
+
+        it('should stringify object bodies as JSON', async () => {
+            fetchSpy.mockImplementation(() => Promise.resolve(createMockResponse({ status: 201 })));
+
+            const client = new HttpClient();
+
+            await client.post('https://example.com/users', { name: 'me' });
+
+            const [ , fetchOptions ] = fetchSpy.mock.calls[0];
+
+            expect(fetchOptions.body).toEqual('{"name":"me"}');
+            expect(fetchOptions.headers['Content-Type']).toEqual('application/json');
+        });
+
+        it('should negotiate the response body type from Content-Type', async () => {
+            fetchSpy.mockImplementation(() => Promise.resolve(createMockResponse({
+                headers: { 'Content-Type': 'text/html' },
+                body: '<p>hi</p>',
+            })));
+
+            const { data } = await new HttpClient().get('https://example.com');
+
+            expect(data).toEqual('<p>hi</p>');
+        });
+
+        it('should run request and response interceptors in order', async () => {
+            fetchSpy.mockImplementation(() => Promise.resolve(createMockResponse({ body: { count: 1 }})));
+
+            const client = new HttpClient();
+
+            client.interceptors.request.use(config => ({
+                ...config,
+                headers: { ...config.headers, Authorization: 'token' },
+            }));
+            const removeInterceptor = client.interceptors.response.use(result => ({
+                ...result,
+                data: { count: result.data.count + 1 },
+            }));
+            client.interceptors.response.use(result => ({
+                ...result,
+                data: { count: result.data.count * 10 },
+            }));
+
+            expect(fetchSpy).not.toHaveBeenCalled();
+            expect((await client.get('https://example.com')).data).toEqual({ count: 20 });
+            expect(fetchSpy.mock.calls[0][1].headers.Authorization).toEqual('token');
+
+            removeInterceptor();
+
+            expect((await client.get('https://example.com')).data).toEqual({ count: 10 });
+        });
+
+        it('should reject non-2xx responses with an HttpError', async () => {
+            fetchSpy.mockImplementation(() => Promise.resolve(createMockResponse({
+                status: 404,
+                statusText: 'Not Found',
+                headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'abc' },
+                body: { message: 'missing' },
+            })));
+
+            const error = await new HttpClient().get('https://example.com/missing').catch(e => e);
+
+            expect(error).toBeInstanceOf(HttpError);
+            expect(error).toMatchObject({
+                name: 'HttpError',
+                url: 'https://example.com/missing',
+                method: HttpMethods.GET,
+                status: 404,
+                statusText: 'Not Found',
+                headers: { 'x-request-id': 'abc' },
+                body: { message: 'missing' },
+            });
+        });
+
+        it('should retry idempotent requests with exponential backoff', async () => {
+            const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+
+            fetchSpy
+                .mockImplementationOnce(() => Promise.reject(new TypeError('Failed to fetch')))
+                .mockImplementationOnce(() => Promise.resolve(createMockResponse({ status: 503 })))
+                .mockImplementationOnce(() => Promise.resolve(createMockResponse({ body: 'done' })));
+
+            const client = new HttpClient({ retries: 2, retryDelayMs: 5 });
+            const { data } = await client.get('https://example.com');
+            const retryDelays = setTimeoutSpy.mock.calls.map(([ , delay ]) => delay);
+
+            expect(data).toEqual('done');
+            expect(fetchSpy).toHaveBeenCalledTimes(3);
+            expect(retryDelays).toEqual([ 5, 10 ]);
+
+            setTimeoutSpy.mockRestore();
+        });
+
+        it('should only retry network failures', async () => {
+            fetchSpy.mockImplementation(() => Promise.resolve({
+                ...createMockResponse(),
+                json: () => Promise.reject(new SyntaxError('Unexpected token')),
+            }));
+
+            const client = new HttpClient({ retries: 2, retryDelayMs: 0 });
+
+            await expect(client.get('https://example.com', { responseType: 'json' })).rejects.toBeInstanceOf(SyntaxError);
+            expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+            fetchSpy.mockImplementation(() => Promise.resolve(createMockResponse()));
+            client.interceptors.response.use(() => {
+                throw new TypeError('Interceptor failed');
+            });
+
+            await expect(client.get('https://example.com')).rejects.toThrow('Interceptor failed');
+            expect(fetchSpy).toHaveBeenCalledTimes(2);
+
+            fetchSpy.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+
+            const networkError = await client.get('https://example.com').catch(e => e);
+
+            expect(networkError).toBeInstanceOf(NetworkError);
+            expect(networkError.cause).toBeInstanceOf(TypeError);
+            expect(fetchSpy).toHaveBeenCalledTimes(5);
+        });
+
+        it('should stop waiting to retry when aborted', async () => {
+            fetchSpy.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+
+            const abortController = new AbortController();
+            const client = new HttpClient({ retries: 1, retryDelayMs: 60 * 1000 });
+            const requestPromise = client.get('https://example.com', { signal: abortController.signal });
+
+            await new Promise(res => setTimeout(res));
+            abortController.abort();
+
+            await expect(requestPromise).rejects.toBeInstanceOf(AbortError);
+            expect(fetchSpy).toHaveBeenCalledTimes(1);
+        });
+
+        it('should pass fetchOptions to every fetch() call', async () => {
+            fetchSpy.mockImplementation(() => Promise.resolve(createMockResponse()));
+
+            const client = new HttpClient({ fetchOptions: { credentials: 'include', mode: 'cors' }});
+
+            await client.get('https://example.com', { mode: 'same-origin' });
+
+            expect(fetchSpy.mock.calls[0][1]).toMatchObject({ credentials: 'include', mode: 'same-origin' });
+            expect(fetchSpy.mock.calls[0][1]).not.toHaveProperty('fetchOptions');
+        });
+
+        it('should dedupe and cache GET requests with a RequestCache', async () => {
+            fetchSpy.mockImplementation(() => Promise.resolve(createMockResponse({ body: { a: 'b' }})));
+
+            const client = new HttpClient({ baseUrl: 'https://example.com', requestCache: new RequestCache({ ttl: 1000 }) });
+
+            const [ first, second ] = await Promise.all([ client.get('/users'), client.get('/users') ]);
+            await client.get('/users');
+
+            expect(first.data).toEqual({ a: 'b' });
+            expect(first.status).toEqual(200);
+            expect(first.response).toBeUndefined();
+            expect(second.data).toBe(first.data);
+            expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+            await client.get('/users', { requestCacheOptions: false });
+            expect(fetchSpy).toHaveBeenCalledTimes(2);
+
+            expect(client.invalidateCache('/users')).toEqual([ 'https://example.com/users' ]);
+            await client.get('/users');
+            expect(fetchSpy).toHaveBeenCalledTimes(3);
+
+            const abortController = new AbortController();
+            const abortedPromise = client.get('/other', { signal: abortController.signal });
+            const otherPromise = client.get('/other');
+
+            abortController.abort();
+
+            await expect(abortedPromise).rejects.toBeInstanceOf(AbortError);
+            expect((await otherPromise).data).toEqual({ a: 'b' });
+        });
+
+        it('should cache GET requests per headers, including those added by interceptors', async () => {
+            fetchSpy.mockImplementation((url, { headers }) => Promise.resolve(createMockResponse({
+                body: { user: headers.Authorization },
+            })));
+
+            let token = 'user-1';
+            const client = new HttpClient({ baseUrl: 'https://example.com', requestCache: new RequestCache({ ttl: 1000 }) });
+
+            client.interceptors.request.use(config => ({
+                ...config,
+                headers: { ...config.headers, Authorization: token },
+            }));
+
+            expect((await client.get('/me')).data).toEqual({ user: 'user-1' });
+
+            token = 'user-2';
+            expect((await client.get('/me')).data).toEqual({ user: 'user-2' });
+            expect((await client.get('/me', { headers: { Accept: 'text/html' }})).data).toEqual({ user: 'user-2' });
+            expect(fetchSpy).toHaveBeenCalledTimes(3);
+
+            token = 'user-1';
+            expect((await client.get('/me')).data).toEqual({ user: 'user-1' });
+            expect((await client.get('/other', { requestCacheOptions: { key: 'me' }})).data).toEqual({ user: 'user-1' });
+            expect((await client.get('/other-url', { requestCacheOptions: { key: 'me' }})).data).toEqual({ user: 'user-1' });
+            expect(fetchSpy).toHaveBeenCalledTimes(4);
+
+            expect(client.invalidateCache('/me')).toHaveLength(3);
+        });
+
+        it('should not retry non-idempotent requests', async () => {
+            fetchSpy.mockImplementation(() => Promise.resolve(createMockResponse({ status: 503 })));
+
+            const client = new HttpClient({ retries: 3, retryDelayMs: 0 });
+
+            await expect(client.post('https://example.com', {})).rejects.toBeInstanceOf(HttpError);
+            expect(fetchSpy).toHaveBeenCalledTimes(1);
+        });
+
+        it('should opt into background sync and report if the request was queued', async () => {
+            fetchSpy
+                .mockImplementationOnce(() => Promise.resolve(createMockResponse({
+                    status: 202,
+                    headers: { 'sw-background-sync': 'queued' },
+                    body: '',
+                })))
+                .mockImplementationOnce(() => Promise.resolve(createMockResponse({ status: 201 })));
+
+            const client = new HttpClient();
+            const offlineResult = await client.post('https://example.com/posts', {}, { backgroundSync: true });
+            const onlineResult = await client.post('https://example.com/posts', {});
+
+            expect(fetchSpy.mock.calls[0][1].headers['sw-background-sync']).toEqual('queue');
+            expect(fetchSpy.mock.calls[0][1]).not.toHaveProperty('backgroundSync');
+            expect(fetchSpy.mock.calls[1][1].headers).not.toHaveProperty('sw-background-sync');
+            expect(offlineResult.queued).toBe(true);
+            expect(onlineResult.queued).toBe(false);
+        });
+    });
+
+    describe('doXhr', () => {
+        let restoreXhr;
+
+        beforeEach(() => {
+            MockXhr.instances = [];
+            restoreXhr = mockObjProperty(global, 'XMLHttpRequest', MockXhr);
+        });
+
+        afterEach(() => {
+            restoreXhr();
+        });
+
+        it('should resolve with the XHR for 2xx responses', async () => {
+            const responsePromise = doXhr('https://example.com', { timeout: 500 });
+            const xhr = MockXhr.instances[0];
+
+            expect(xhr.timeout).toEqual(500);
+            expect(xhr.send).toHaveBeenCalled();
+
+            xhr.respond(200, 'hi');
+
+            expect(await responsePromise).toBe(xhr);
+            expect(xhr.resolved).toBe(true);
+            expect(xhr.headers).toEqual({ 'content-type': 'application/json' });
+        });
+
+        it('should reject with distinct error types', async () => {
+            const httpErrorPromise = doXhr('https://example.com/missing', { method: HttpMethods.POST });
+            MockXhr.instances[0].respond(404, { message: 'missing' });
+
+            await expect(httpErrorPromise).rejects.toMatchObject({
+                name: 'HttpError',
+                status: 404,
+                method: HttpMethods.POST,
+                body: { message: 'missing' },
+            });
+            await expect(httpErrorPromise).rejects.toBeInstanceOf(HttpError);
+
+            const networkErrorPromise = doXhr('https://example.com');
+            MockXhr.instances[1].onerror(new Event('error'));
+            await expect(networkErrorPromise).rejects.toBeInstanceOf(NetworkError);
+
+            const timeoutPromise = doXhr('https://example.com', { timeout: 10 });
+            MockXhr.instances[2].ontimeout(new Event('timeout'));
+            await expect(timeoutPromise).rejects.toBeInstanceOf(TimeoutError);
+            await expect(timeoutPromise).rejects.toMatchObject({ timeout: 10 });
+        });
+
+        it('should abort the request via an AbortSignal', async () => {
+            const abortController = new AbortController();
+            const onerror = jest.fn();
+            const responsePromise = doXhr('https://example.com', { signal: abortController.signal, onerror });
+
+            abortController.abort();
+
+            await expect(responsePromise).rejects.toBeInstanceOf(AbortError);
+            expect(MockXhr.instances[0].abort).toHaveBeenCalled();
+            expect(onerror).toHaveBeenCalledTimes(1);
+
+            const alreadyAbortedOnerror = jest.fn();
+            const alreadyAbortedPromise = doXhr('https://example.com', {
+                signal: abortController.signal,
+                onerror: alreadyAbortedOnerror,
+            });
+
+            await expect(alreadyAbortedPromise).rejects.toBeInstanceOf(AbortError);
+            await expect(alreadyAbortedPromise).rejects.toMatchObject({ reason: abortController.signal.reason });
+            expect(MockXhr.instances[1].send).not.toHaveBeenCalled();
+            expect(alreadyAbortedOnerror).not.toHaveBeenCalled();
+        });
+
+        it('should report upload and download progress', async () => {
+            const onUploadProgress = jest.fn();
+            const onDownloadProgress = jest.fn();
+            const responsePromise = doXhr('https://example.com', {
+                method: HttpMethods.POST,
+                onUploadProgress,
+                onDownloadProgress,
+            });
+            const xhr = MockXhr.instances[0];
+            const createProgressEvent = (loaded, total) => Object.assign(new Event('progress'), {
+                loaded,
+                total,
+                lengthComputable: total > 0,
+            });
+
+            xhr.upload.dispatchEvent(createProgressEvent(50, 200));
+            xhr.dispatchEvent(createProgressEvent(10, 0));
+            xhr.respond(201);
+            await responsePromise;
+
+            expect(onUploadProgress.mock.calls[0][0]).toEqual({ loaded: 50, total: 200, percent: 25 });
+            expect(onDownloadProgress.mock.calls[0][0]).toEqual({ loaded: 10, total: 0, percent: null });
+        });
+    });
+});
@@ -0,0 +1,102 @@
+import RequestCache from '@/utils/RequestCache';
+
+describe('RequestCache', () => {
+    let now;
+    let dateNowSpy;
+
+    beforeEach(() => {
+        now = 0;
+        dateNowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        dateNowSpy.mockRestore();
+    });
+
+    it('should share one in-flight request between identical calls', async () => {
+        const cache = new RequestCache();
+        const fetcher = jest.fn(() => Promise.resolve('response'));
+
+        const responses = await Promise.all([
+            cache.fetch('https://example.com/a', fetcher),
+            cache.fetch('https://example.com/a', fetcher),
+        ]);
+
+        expect(responses).toEqual([ 'response', 'response' ]);
+        expect(fetcher).toHaveBeenCalledTimes(1);
+
+        // No TTL means nothing was stored
+        await cache.fetch('https://example.com/a', fetcher);
+        expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return cached responses until their TTL expires', async () => {
+        const cache = new RequestCache({ ttl: 1000 });
+        const fetcher = jest.fn(() => Promise.resolve(now));
+
+        expect(await cache.fetch('key', fetcher)).toEqual(0);
+
+        now = 999;
+        expect(await cache.fetch('key', fetcher)).toEqual(0);
+        expect(await cache.fetch('key', fetcher, { forceRefresh: true })).toEqual(999);
+
+        now = 5000;
+        expect(await cache.fetch('key', fetcher, { ttl: 10 })).toEqual(5000);
+        expect(fetcher).toHaveBeenCalledTimes(3);
+    });
+
+    it('should return stale responses while revalidating in the background', async () => {
+        const cache = new RequestCache({ ttl: 1000, staleWhileRevalidate: 1000 });
+        const fetcher = jest.fn(() => Promise.resolve(now));
+
+        await cache.fetch('key', fetcher);
+
+        now = 1500;
+        expect(await cache.fetch('key', fetcher)).toEqual(0);
+        expect(fetcher).toHaveBeenCalledTimes(2);
+
+        await cache.inFlight.get('key');
+        expect(await cache.fetch('key', fetcher)).toEqual(1500);
+
+        now = 10000;
+        expect(await cache.fetch('key', fetcher)).toEqual(10000);
+    });
+
+    it('should evict the least-recently-used entries', async () => {
+        const cache = new RequestCache({ ttl: 1000, maxEntries: 2 });
+
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+
+        expect(cache.get('a')?.value).toEqual(1);
+        expect(cache.get('b')).toBeUndefined();
+        expect(cache.get('c')?.value).toEqual(3);
+    });
+
+    it('should invalidate entries by key prefix', async () => {
+        const cache = new RequestCache({ ttl: 1000 });
+
+        cache.set('https://example.com/users/1', 1);
+        cache.set('https://example.com/users/2', 2);
+        cache.set('https://example.com/posts/1', 3);
+
+        let resolveInFlight;
+        const inFlightPromise = cache.fetch('https://example.com/users/3', () => new Promise(res => {
+            resolveInFlight = res;
+        }));
+
+        expect(cache.invalidate('https://example.com/users').sort()).toEqual([
+            'https://example.com/users/1',
+            'https://example.com/users/2',
+            'https://example.com/users/3',
+        ]);
+
+        resolveInFlight(4);
+        await inFlightPromise;
+
+        expect(cache.get('https://example.com/users/3')).toBeUndefined();
+        expect(cache.get('https://example.com/posts/1')?.value).toEqual(3);
+    });
+});
@@ -0,0 +1,102 @@
+import { act, fireEvent, render, renderHook } from '@testing-library/react';
+
+import ThemeToggle from '@/components/ThemeToggle';
+import { getCssVar, getThemeColors, getThemes } from '@/utils/Scss';
+import { ThemePreferences, ThemeProvider, Themes, useTheme } from '@/utils/ThemeContext';
+
+describe('ThemeContext', () => {
+    const storageKey = 'themePreference';
+
+    function mockSystemTheme(theme) {
+        const changeListeners = new Set();
+
+        self.matchMedia.mockImplementation(query => ({
+            matches: theme === Themes.DARK && query.includes('dark'),
+            media: query,
+            addEventListener: (eventName, listener) => changeListeners.add(listener),
+            removeEventListener: (eventName, listener) => changeListeners.delete(listener),
+        }));
+
+        return {
+            changeTo(newTheme) {
+                theme = newTheme;
+                changeListeners.forEach(listener => listener());
+            },
+        };
+    }
+
+    afterEach(() => {
+        localStorage.removeItem(storageKey);
+        delete document.documentElement.dataset.theme;
+        mockSystemTheme(Themes.LIGHT);
+    });
+
+    it('should follow the OS theme by default', () => {
+        const systemTheme = mockSystemTheme(Themes.DARK);
+        const { result } = renderHook(() => useTheme(), { wrapper: ThemeProvider });
+
+        expect(result.current.preference).toEqual(ThemePreferences.SYSTEM);
+        expect(result.current.theme).toEqual(Themes.DARK);
+        expect(document.documentElement.dataset.theme).toEqual(Themes.DARK);
+
+        act(() => {
+            systemTheme.changeTo(Themes.LIGHT);
+        });
+
+        expect(result.current.theme).toEqual(Themes.LIGHT);
+        expect(document.documentElement.dataset.theme).toEqual(Themes.LIGHT);
+    });
+
+    it('should switch themes at runtime and persist the choice', () => {
+        const { result, unmount } = renderHook(() => useTheme(), { wrapper: ThemeProvider });
+
+        expect(result.current.theme).toEqual(Themes.LIGHT);
+
+        act(() => {
+            result.current.toggleTheme();
+        });
+
+        expect(result.current.preference).toEqual(Themes.DARK);
+        expect(result.current.themeColors).toEqual(getThemeColors(Themes.DARK));
+        expect(document.documentElement.dataset.theme).toEqual(Themes.DARK);
+        expect(JSON.parse(localStorage.getItem(storageKey))).toEqual(Themes.DARK);
+
+        unmount();
+
+        const { result: resultAfterReload } = renderHook(() => useTheme(), { wrapper: ThemeProvider });
+
+        expect(resultAfterReload.current.preference).toEqual(Themes.DARK);
+        expect(document.documentElement.dataset.theme).toEqual(Themes.DARK);
+    });
+
+    it('should allow choosing the theme from the toggle', () => {
+        const { getByRole } = render(<ThemeToggle />, { wrapper: ThemeProvider });
+
+        fireEvent.change(getByRole('combobox'), { target: { value: ThemePreferences.DARK }});
+
+        expect(document.documentElement.dataset.theme).toEqual(Themes.DARK);
+
+        fireEvent.change(getByRole('combobox'), { target: { value: ThemePreferences.SYSTEM }});
+
+        expect(document.documentElement.dataset.theme).toEqual(Themes.LIGHT);
+        expect(JSON.parse(localStorage.getItem(storageKey))).toEqual(ThemePreferences.SYSTEM);
+    });
+
+    it('should resolve CSS variables and colors against the active theme', () => {
+        const themes = getThemes();
+
+        expect(Object.keys(themes)).toEqual(expect.arrayContaining([ Themes.LIGHT, Themes.DARK ]));
+        expect(themes.dark.primary).not.toEqual(themes.light.primary);
+
+        document.documentElement.dataset.theme = Themes.DARK;
+
+        expect(getCssVar('--primary')).toEqual(themes.dark.primary);
+        expect(getCssVar('bodyBg')).toEqual(themes.dark['body-bg']);
+        expect(getThemeColors().primary).toEqual(themes.dark.primary);
+        expect(getThemeColors()).not.toHaveProperty('body-bg');
+
+        document.documentElement.dataset.theme = Themes.LIGHT;
+
+        expect(getCssVar('--primary')).toEqual(themes.light.primary);
+    });
+});
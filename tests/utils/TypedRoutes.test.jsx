@@ -0,0 +1,118 @@
+import { act, fireEvent, render } from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+
+import { createTypedRoutes, coerceParam } from '@/utils/TypedRoutes';
+
+describe('TypedRoutes', () => {
+    const { href, useRouteParams, useTypedQuery } = createTypedRoutes({
+        home: {
+            path: '/home',
+        },
+        user: {
+            path: '/users/:userId',
+            params: { userId: 'number' },
+            query: { tab: 'string', page: 'number', tags: 'string[]', archived: 'boolean' },
+        },
+        files: {
+            path: '/files/*',
+        },
+    });
+
+    describe('href', () => {
+        it('should fill in path params and append query params', () => {
+            expect(href('home')).toEqual('/home');
+            expect(href('user', { userId: 5 })).toEqual('/users/5');
+            expect(href('user', { userId: 5 }, { tab: 'a b', page: 2, tags: [ 'x', 'y' ], archived: undefined }))
+                .toEqual('/users/5?tab=a%20b&page=2&tags=x&tags=y');
+            expect(href('files', { '*': 'my dir/file.txt' })).toEqual('/files/my%20dir/file.txt');
+        });
+
+        it('should throw if path params are missing', () => {
+            expect(() => href('user', {})).toThrow('Missing param "userId" for route "user" (/users/:userId)');
+        });
+    });
+
+    describe('coerceParam', () => {
+        it('should coerce values to their type or undefined if invalid', () => {
+            expect(coerceParam(123, 'string')).toEqual('123');
+            expect(coerceParam('12.5', 'number')).toEqual(12.5);
+            expect(coerceParam('abc', 'number')).toBeUndefined();
+            expect(coerceParam('true', 'boolean')).toEqual(true);
+            expect(coerceParam(0, 'boolean')).toEqual(false);
+            expect(coerceParam('maybe', 'boolean')).toBeUndefined();
+            expect(coerceParam('5', 'number[]')).toEqual([ 5 ]);
+            expect(coerceParam([ 1, 'a', 3 ], 'number[]')).toEqual([ 1, 3 ]);
+            expect(coerceParam([ 'a', 'b' ], 'string')).toEqual('b');
+            expect(coerceParam('', 'string')).toBeUndefined();
+        });
+    });
+
+    describe('hooks', () => {
+        function UserPage() {
+            const { userId } = useRouteParams('user');
+            const [ query, setQuery ] = useTypedQuery('user');
+            const location = useLocation();
+
+            return (
+                <>
+                    <div data-testid={'params'}>{JSON.stringify({ userId })}</div>
+                    <div data-testid={'query'}>{JSON.stringify(query)}</div>
+                    <div data-testid={'url'}>{location.pathname + location.search}</div>
+                    <button onClick={() => setQuery({ page: (query.page ?? 1) + 1, tab: '' })}>Next page</button>
+                </>
+            );
+        }
+
+        function renderUserPage(initialUrl) {
+            return render(
+                <MemoryRouter initialEntries={[ initialUrl ]}>
+                    <Routes>
+                        <Route path={'/users/:userId'} element={<UserPage />} />
+                    </Routes>
+                </MemoryRouter>,
+            );
+        }
+
+        it('should coerce path and query params, ignoring unknown and invalid ones', () => {
+            const { getByTestId } = renderUserPage('/users/42?tab=123&page=abc&tags=a&tags=b&archived=true&unknown=x');
+
+            expect(JSON.parse(getByTestId('params').textContent)).toEqual({ userId: 42 });
+            expect(JSON.parse(getByTestId('query').textContent)).toEqual({
+                tab: '123',
+                tags: [ 'a', 'b' ],
+                archived: true,
+            });
+        });
+
+        it('should coerce query params from their raw strings', () => {
+            [ 'null', '[1,2]', '1e3', '1.50', 'true' ].forEach(tab => {
+                const { getByTestId, unmount } = renderUserPage(`/users/42?tab=${encodeURIComponent(tab)}&page=1e3`);
+
+                expect(JSON.parse(getByTestId('query').textContent)).toEqual({ tab, page: 1000 });
+                unmount();
+            });
+        });
+
+        it('should update the query, removing empty values', async () => {
+            const { getByTestId, getByText } = renderUserPage('/users/42?tab=posts&page=1');
+
+            await act(async () => {
+                fireEvent.click(getByText('Next page'));
+            });
+
+            expect(getByTestId('url').textContent).toEqual('/users/42?page=2');
+            expect(JSON.parse(getByTestId('query').textContent)).toEqual({ page: 2 });
+        });
+
+        it('should keep unregistered query params when updating the query', async () => {
+            const { getByTestId, getByText } = renderUserPage('/users/42?utm_source=news%20letter&utm_id=1.50&page=1&tags=a&tags=b');
+
+            await act(async () => {
+                fireEvent.click(getByText('Next page'));
+            });
+
+            expect(getByTestId('url').textContent).toEqual('/users/42?utm_source=news+letter&utm_id=1.50&page=2&tags=a&tags=b');
+            expect(JSON.parse(getByTestId('query').textContent)).toEqual({ page: 2, tags: [ 'a', 'b' ]});
+        });
+    });
+});
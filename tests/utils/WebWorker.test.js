@@ -0,0 +1,182 @@
+import WebWorker from '@/utils/WebWorker';
+import { CancelledError } from '@/utils/CancellablePromise';
+
+import { mockObjProperty } from '~/tests';
+
+/**
+ * Creates a main-thread/worker pair of message targets since jsdom doesn't support `Worker`.
+ */
+function createMockWorkerPair() {
+    const mainThread = new EventTarget();
+    const workerScope = new EventTarget();
+    const transferredObjects = [];
+
+    const connect = (from, to) => {
+        from.postMessage = jest.fn((data, transfer = []) => {
+            transferredObjects.push(...transfer);
+            setTimeout(() => to.dispatchEvent(new MessageEvent('message', { data })));
+        });
+    };
+
+    connect(mainThread, workerScope);
+    connect(workerScope, mainThread);
+
+    return { worker: mainThread, workerScope, transferredObjects };
+}
+
+describe('WebWorker', () => {
+    describe('expose/wrap', () => {
+        it('should call exposed methods and resolve with their return values', async () => {
+            const { worker, workerScope } = createMockWorkerPair();
+
+            WebWorker.expose({
+                add: (a, b) => a + b,
+                async getGreeting(name) {
+                    return `${this.getPrefix()} ${name}`;
+                },
+                getPrefix: () => 'Hello,',
+            }, workerScope);
+
+            const workerApi = WebWorker.wrap(worker);
+
+            expect(await workerApi.add(1, 2)).toEqual(3);
+            expect(await workerApi.getGreeting('world')).toEqual('Hello, world');
+        });
+
+        it('should propagate errors with their name and stack trace', async () => {
+            const { worker, workerScope } = createMockWorkerPair();
+            const workerError = new RangeError('Too big');
+
+            workerError.code = 'TOO_BIG';
+
+            WebWorker.expose({
+                fail() {
+                    throw workerError;
+                },
+            }, workerScope);
+
+            const workerApi = WebWorker.wrap(worker);
+            const error = await workerApi.fail().catch(e => e);
+
+            expect(error).toBeInstanceOf(RangeError);
+            expect(error.message).toEqual('Too big');
+            expect(error.stack).toEqual(workerError.stack);
+            expect(error.code).toEqual('TOO_BIG');
+
+            await expect(workerApi.missingMethod()).rejects.toThrow('Method "missingMethod" is not exposed by the worker.');
+        });
+
+        it('should transfer marked objects', async () => {
+            const { worker, workerScope, transferredObjects } = createMockWorkerPair();
+
+            WebWorker.expose({
+                echo: value => WebWorker.transfer(value, [ value.buffer ]),
+            }, workerScope);
+
+            const workerApi = WebWorker.wrap(worker);
+            const arg = { buffer: new ArrayBuffer(8) };
+
+            await workerApi.echo(WebWorker.transfer(arg, [ arg.buffer ]));
+
+            expect(transferredObjects).toEqual([ arg.buffer, arg.buffer ]);
+        });
+
+        it('should abort the worker method when the call is cancelled', async () => {
+            const { worker, workerScope } = createMockWorkerPair();
+            let workerSignal;
+
+            WebWorker.expose({
+                waitForever() {
+                    workerSignal = this.signal;
+
+                    return new Promise(() => {});
+                },
+            }, workerScope);
+
+            const workerApi = WebWorker.wrap(worker);
+            const callPromise = workerApi.waitForever();
+
+            await new Promise(res => setTimeout(res));
+            expect(workerSignal.aborted).toBe(false);
+
+            callPromise.cancel('No longer needed');
+
+            await expect(callPromise).rejects.toBeInstanceOf(CancelledError);
+            await new Promise(res => setTimeout(res));
+            expect(workerSignal.aborted).toBe(true);
+        });
+
+        it('should reject pending calls if the worker errors', async () => {
+            const { worker, workerScope } = createMockWorkerPair();
+            const crashError = new RangeError('Out of memory');
+
+            WebWorker.expose({
+                waitForever: () => new Promise(() => {}),
+            }, workerScope);
+
+            const workerApi = WebWorker.wrap(worker);
+            const firstCallPromise = workerApi.waitForever();
+            const secondCallPromise = workerApi.waitForever();
+
+            await new Promise(res => setTimeout(res));
+            worker.dispatchEvent(new ErrorEvent('error', { error: crashError }));
+
+            await expect(firstCallPromise).rejects.toBe(crashError);
+            await expect(secondCallPromise).rejects.toBe(crashError);
+
+            const loadErrorCallPromise = workerApi.waitForever();
+
+            worker.dispatchEvent(new ErrorEvent('error', { message: 'Script failed to load' }));
+
+            await expect(loadErrorCallPromise).rejects.toThrow('Worker crashed: Script failed to load');
+        });
+
+        it('should reject pending calls if the worker is terminated', async () => {
+            const { worker, workerScope } = createMockWorkerPair();
+
+            const terminate = jest.fn();
+
+            worker.terminate = terminate;
+
+            WebWorker.expose({
+                waitForever: () => new Promise(() => {}),
+            }, workerScope);
+
+            const workerApi = WebWorker.wrap(worker);
+            const callPromise = workerApi.waitForever();
+
+            worker.terminate();
+
+            expect(terminate).toHaveBeenCalledTimes(1);
+            await expect(callPromise).rejects.toThrow('Worker was terminated');
+        });
+    });
+
+    describe('createWorkerFromFunctionString', () => {
+        it('should revoke the Blob URL once the worker is terminated', () => {
+            const terminate = jest.fn();
+            const restoreMocks = [
+                mockObjProperty(global, 'Worker', class {
+                    constructor(url) {
+                        this.url = url;
+                        this.terminate = terminate;
+                    }
+                }),
+                mockObjProperty(URL, 'createObjectURL', jest.fn(() => 'blob:worker')),
+                mockObjProperty(URL, 'revokeObjectURL', jest.fn()),
+            ];
+
+            const worker = WebWorker.createWorkerFromFunctionString('function() {}');
+
+            expect(worker.url).toEqual('blob:worker');
+            expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+            worker.terminate();
+
+            expect(terminate).toHaveBeenCalledTimes(1);
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:worker');
+
+            restoreMocks.forEach(restore => restore());
+        });
+    });
+});
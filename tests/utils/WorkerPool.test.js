@@ -0,0 +1,175 @@
+import { waitFor } from '@testing-library/react';
+
+import WebWorker from '@/utils/WebWorker';
+import WorkerPool from '@/utils/WorkerPool';
+import { CancelledError } from '@/utils/CancellablePromise';
+
+import { mockObjProperty } from '~/tests';
+
+function createDeferred() {
+    const deferred = {};
+
+    deferred.promise = new Promise((res, rej) => {
+        deferred.resolve = res;
+        deferred.reject = rej;
+    });
+
+    return deferred;
+}
+
+const waitForMessages = () => new Promise(res => setTimeout(res));
+
+/**
+ * Stand-in for `Worker` (unsupported by jsdom) which exposes `MockWorker.api` in a fake worker scope.
+ */
+class MockWorker extends EventTarget {
+    static api = {};
+    static instances = [];
+
+    constructor(workerSource) {
+        super();
+
+        this.workerSource = workerSource;
+        this.terminated = false;
+        this.workerScope = new EventTarget();
+        this.workerScope.postMessage = data => setTimeout(() => {
+            if (!this.terminated) {
+                this.dispatchEvent(new MessageEvent('message', { data }));
+            }
+        });
+
+        WebWorker.expose(MockWorker.api, this.workerScope);
+        MockWorker.instances.push(this);
+    }
+
+    postMessage(data) {
+        setTimeout(() => this.workerScope.dispatchEvent(new MessageEvent('message', { data })));
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    crash(message) {
+        this.dispatchEvent(Object.assign(new Event('error', { cancelable: true }), { message }));
+    }
+}
+
+describe('WorkerPool', () => {
+    let restoreWorker;
+    let pendingCalls;
+
+    beforeEach(() => {
+        pendingCalls = [];
+        MockWorker.instances = [];
+        MockWorker.api = {
+            double: x => x * 2,
+            wait(name) {
+                const deferred = createDeferred();
+
+                pendingCalls.push({ name, deferred, signal: this.signal });
+
+                return deferred.promise;
+            },
+        };
+        restoreWorker = mockObjProperty(global, 'Worker', MockWorker);
+    });
+
+    afterEach(() => {
+        restoreWorker();
+    });
+
+    it('should run tasks in workers and reuse idle workers', async () => {
+        const pool = new WorkerPool({ workerSource: 'worker.js', maxWorkers: 2 });
+
+        expect(await pool.run('double', [ 2 ])).toEqual(4);
+        expect(await pool.run('double', [ 3 ])).toEqual(6);
+        expect(MockWorker.instances.length).toEqual(1);
+        expect(MockWorker.instances[0].workerSource).toEqual('worker.js');
+
+        pool.terminate();
+    });
+
+    it('should limit concurrency and run queued tasks by priority', async () => {
+        const pool = new WorkerPool({ workerSource: 'worker.js', maxWorkers: 1 });
+        const completed = [];
+        const runAndTrack = (name, priority) => pool.run('wait', [ name ], { priority }).then(() => completed.push(name));
+
+        const tasks = [
+            runAndTrack('first'),
+            runAndTrack('low', WorkerPool.Priorities.LOW),
+            runAndTrack('normal'),
+            runAndTrack('high', WorkerPool.Priorities.HIGH),
+        ];
+
+        expect(pool.pendingTaskCount).toEqual(3);
+
+        for (let i = 0; i < tasks.length; i++) {
+            await waitFor(() => expect(pendingCalls.length).toEqual(i + 1));
+            pendingCalls[i].deferred.resolve();
+        }
+
+        await Promise.all(tasks);
+
+        expect(completed).toEqual([ 'first', 'high', 'normal', 'low' ]);
+        expect(MockWorker.instances.length).toEqual(1);
+
+        pool.terminate();
+    });
+
+    it('should remove cancelled tasks from the queue and replace the workers of running ones', async () => {
+        const pool = new WorkerPool({ workerSource: 'worker.js', maxWorkers: 1 });
+        const runningTask = pool.run('wait', [ 'running' ]);
+        const queuedTask = pool.run('wait', [ 'queued' ]);
+        const nextTask = pool.run('double', [ 5 ]);
+
+        queuedTask.cancel();
+        await expect(queuedTask).rejects.toBeInstanceOf(CancelledError);
+        expect(pool.pendingTaskCount).toEqual(1);
+
+        await waitForMessages();
+
+        const runningCall = pool.workers[0].task.call;
+
+        runningTask.cancel();
+        await expect(runningTask).rejects.toBeInstanceOf(CancelledError);
+        await expect(runningCall).rejects.toThrow('Worker was terminated');
+
+        expect(pendingCalls.map(({ name }) => name)).toEqual([ 'running' ]);
+        expect(MockWorker.instances[0].terminated).toBe(true);
+        expect(await nextTask).toEqual(10);
+        expect(MockWorker.instances.length).toEqual(2);
+
+        pool.terminate();
+    });
+
+    it('should replace crashed workers', async () => {
+        const pool = new WorkerPool({ workerSource: 'worker.js', maxWorkers: 1 });
+        const crashingTask = pool.run('wait', [ 'crash' ]);
+        const nextTask = pool.run('double', [ 5 ]);
+
+        await waitForMessages();
+
+        const crashingCall = pool.workers[0].task.call;
+
+        MockWorker.instances[0].crash('Out of memory');
+
+        await expect(crashingTask).rejects.toThrow('Worker crashed: Out of memory');
+        await expect(crashingCall).rejects.toThrow('Worker crashed: Out of memory');
+        expect(MockWorker.instances[0].terminated).toBe(true);
+        expect(await nextTask).toEqual(10);
+        expect(MockWorker.instances.length).toEqual(2);
+
+        pool.terminate();
+    });
+
+    it('should terminate idle workers after the timeout', async () => {
+        const pool = new WorkerPool({ workerSource: 'worker.js', idleTimeout: 50 });
+
+        expect(await pool.run('double', [ 1 ])).toEqual(2);
+        expect(pool.workers.length).toEqual(1);
+
+        await waitFor(() => expect(pool.workers.length).toEqual(0));
+        expect(MockWorker.instances[0].terminated).toBe(true);
+    });
+});